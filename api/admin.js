@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const url = require('url');
+const { config, ErrorTypes, ErrorCodes, tripCircuitBreaker, resetCircuitBreaker, describeCircuitBreakers, describeRuntimeSettings, applyRuntimeSettings, globalRequestCounter } = require('./config.js');
+const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const rateLimiter = require('../utils/rateLimit');
+const auditLog = require('../utils/auditLog');
+const { normalizeIp } = require('../utils/clientIp');
+const { stateStore, RUNTIME_SETTINGS_KEY } = require('../utils/stateStore');
+
+// 发送JSON响应
+function sendJson(res, statusCode, data) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+// 发送错误响应
+function sendError(res, statusCode, message, type, code) {
+  sendJson(res, statusCode, { error: { message, type, code } });
+}
+
+// 校验管理密钥，使用常量时间比较，校验失败时返回true
+function verifyAdmin(req, res) {
+  if (!config.adminKey) {
+    sendError(res, 403, "管理接口未启用，请设置 ADMIN_KEY 环境变量", ErrorTypes.PERMISSION, ErrorCodes.ADMIN_DISABLED);
+    return true;
+  }
+
+  const token = Buffer.from(req.headers.authorization?.replace('Bearer ', '') || '');
+  const expected = Buffer.from(config.adminKey);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    sendError(res, 401, "无效的管理密钥", ErrorTypes.AUTHENTICATION, ErrorCodes.INVALID_AUTH_KEY);
+    return true;
+  }
+
+  return false;
+}
+
+// 解析时间参数，支持毫秒时间戳和ISO时间字符串，无效时返回NaN
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+// 规范化IP参数，与计数器和审核日志中记录的格式一致
+function parseIp(value) {
+  if (!value) return undefined;
+  return normalizeIp(value) || value;
+}
+
+// GET /admin/moderation/logs/:id
+async function getModerationLog(req, res, params) {
+  const record = await auditLog.findById(params[0]);
+  if (!record) {
+    sendError(res, 404, `审核记录 ${params[0]} 不存在`, ErrorTypes.INVALID_REQUEST, ErrorCodes.NOT_FOUND);
+    return;
+  }
+  sendJson(res, 200, record);
+}
+
+// GET /admin/moderation/logs?from=&to=&riskLevel=&minRiskLevel=&model=&tenant=&ip=&stage=&violation=true&limit=
+async function listModerationLogs(req, res, params, query) {
+  const filters = {
+    from: parseTime(query.from),
+    to: parseTime(query.to),
+    riskLevel: query.riskLevel ? parseInt(query.riskLevel) : undefined,
+    minRiskLevel: query.minRiskLevel ? parseInt(query.minRiskLevel) : undefined,
+    model: query.model,
+    tenant: query.tenant,
+    ip: parseIp(query.ip),
+    stage: query.stage,
+    violation: query.violation === 'true',
+    limit: Math.min(parseInt(query.limit || '50') || 50, 1000)
+  };
+
+  const invalid = ['from', 'to', 'riskLevel', 'minRiskLevel'].find(key => Number.isNaN(filters[key]));
+  if (invalid) {
+    sendError(res, 400, `查询参数 ${invalid} 无效`, ErrorTypes.INVALID_REQUEST, 'invalid_query');
+    return;
+  }
+
+  const { records, hasMore } = await auditLog.query(filters);
+  sendJson(res, 200, { object: 'list', data: records, has_more: hasMore });
+}
+
+// 全局熔断器在管理接口中的名称
+const GLOBAL_BREAKER = 'global';
+
+// 检查熔断器名称是否存在，不存在时返回true
+function rejectUnknownBreaker(res, name) {
+  if (name === GLOBAL_BREAKER || (name !== 'firstProvider' && config.serviceHealth[name])) {
+    return false;
+  }
+  sendError(res, 404, `熔断器 ${name} 不存在`, ErrorTypes.INVALID_REQUEST, ErrorCodes.NOT_FOUND);
+  return true;
+}
+
+// GET /admin/circuit-breakers
+async function listCircuitBreakers(req, res) {
+  sendJson(res, 200, describeCircuitBreakers());
+}
+
+// POST /admin/circuit-breakers/:name/trip，请求体 { "duration": 毫秒 }，默认60秒
+async function tripBreaker(req, res, params) {
+  const [name] = params;
+  if (rejectUnknownBreaker(res, name)) return;
+
+  const duration = req.body?.duration === undefined ? 60000 : parseInt(req.body.duration);
+  if (!(duration > 0)) {
+    sendError(res, 400, "duration 必须为正整数(毫秒)", ErrorTypes.INVALID_REQUEST, 'invalid_duration');
+    return;
+  }
+
+  if (name === GLOBAL_BREAKER) {
+    globalRequestCounter.trip(duration);
+    console.warn(`[管理接口] 全局熔断器已被手动触发，持续 ${duration} 毫秒`);
+  } else {
+    tripCircuitBreaker(name, duration);
+  }
+  sendJson(res, 200, describeCircuitBreakers());
+}
+
+// POST /admin/circuit-breakers/:name/reset
+async function resetBreaker(req, res, params) {
+  const [name] = params;
+  if (rejectUnknownBreaker(res, name)) return;
+
+  if (name === GLOBAL_BREAKER) {
+    globalRequestCounter.reset();
+    console.warn(`[管理接口] 全局熔断器已被手动重置`);
+  } else {
+    resetCircuitBreaker(name);
+  }
+  sendJson(res, 200, describeCircuitBreakers());
+}
+
+// GET /admin/rate-limits?ip=&path=
+async function listRateLimits(req, res, params, query) {
+  sendJson(res, 200, await rateLimiter.getCounters({ ip: parseIp(query.ip), path: query.path }));
+}
+
+// DELETE /admin/rate-limits?ip=&path=，不指定时清除所有计数器
+async function clearRateLimits(req, res, params, query) {
+  const filter = { ip: parseIp(query.ip), path: query.path };
+  await rateLimiter.clearCounters(filter);
+  console.warn(`[管理接口] 已清除速率限制计数器 (ip: ${filter.ip || '全部'}, path: ${filter.path || '全部'})`);
+  sendJson(res, 200, await rateLimiter.getCounters(filter));
+}
+
+// GET /admin/settings
+async function getSettings(req, res) {
+  if (stateStore.shared) {
+    applyRuntimeSettings(await stateStore.get(RUNTIME_SETTINGS_KEY));
+  }
+  sendJson(res, 200, describeRuntimeSettings());
+}
+
+// PATCH /admin/settings，请求体 { "enableRetry": true, "moderationEnabled": false }
+// 使用共享状态存储时写入共享存储，所有实例在下一次同步时生效；
+// 否则只在当前进程内生效，Vercel 上管理接口是单独的函数，修改无法影响其他接口，直接拒绝
+async function updateSettings(req, res) {
+  const body = req.body || {};
+  const fields = { enableRetry: 'boolean', moderationEnabled: 'boolean' };
+
+  const invalid = Object.keys(body).find(key => !fields[key] || typeof body[key] !== fields[key]);
+  if (invalid) {
+    sendError(res, 400, `设置项 ${invalid} 无效`, ErrorTypes.INVALID_REQUEST, 'invalid_setting');
+    return;
+  }
+
+  if (stateStore.shared) {
+    const stored = await stateStore.get(RUNTIME_SETTINGS_KEY);
+    applyRuntimeSettings(stored);
+    await stateStore.set(RUNTIME_SETTINGS_KEY, { ...describeRuntimeSettings(), ...body });
+  } else if (process.env.VERCEL) {
+    sendError(res, 409, "未配置共享状态存储，运行时开关只能修改管理接口自身的函数实例，请设置 STATE_BACKEND=redis", ErrorTypes.INVALID_REQUEST, 'settings_not_shared');
+    return;
+  }
+  applyRuntimeSettings(body);
+
+  console.warn(`[管理接口] 运行时设置已更新: ${JSON.stringify(describeRuntimeSettings())}`);
+  sendJson(res, 200, describeRuntimeSettings());
+}
+
+// 管理接口路由表
+const routes = [
+  { method: 'GET', pattern: /^\/admin\/moderation\/logs\/?$/, handler: listModerationLogs },
+  { method: 'GET', pattern: /^\/admin\/moderation\/logs\/([^/]+)$/, handler: getModerationLog },
+  { method: 'GET', pattern: /^\/admin\/circuit-breakers\/?$/, handler: listCircuitBreakers },
+  { method: 'POST', pattern: /^\/admin\/circuit-breakers\/([^/]+)\/trip$/, handler: tripBreaker },
+  { method: 'POST', pattern: /^\/admin\/circuit-breakers\/([^/]+)\/reset$/, handler: resetBreaker },
+  { method: 'GET', pattern: /^\/admin\/rate-limits\/?$/, handler: listRateLimits },
+  { method: 'DELETE', pattern: /^\/admin\/rate-limits\/?$/, handler: clearRateLimits },
+  { method: 'GET', pattern: /^\/admin\/settings\/?$/, handler: getSettings },
+  { method: 'PATCH', pattern: /^\/admin\/settings\/?$/, handler: updateSettings }
+];
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  // 添加速率限制检查
+  if (await rateLimitMiddleware(req, res, '/admin')) {
+    return; // 如果被限制，直接返回
+  }
+
+  if (verifyAdmin(req, res)) {
+    return; // 如果管理密钥无效，直接返回
+  }
+
+  const parsedUrl = url.parse(req.url, true);
+  const pathMatches = routes
+    .map(route => ({ route, match: route.pattern.exec(parsedUrl.pathname) }))
+    .filter(item => item.match);
+
+  if (pathMatches.length === 0) {
+    sendError(res, 404, "路径不存在", ErrorTypes.INVALID_REQUEST, ErrorCodes.NOT_FOUND);
+    return;
+  }
+
+  const matched = pathMatches.find(item => item.route.method === req.method);
+  if (!matched) {
+    sendError(res, 405, "不支持的请求方法", ErrorTypes.INVALID_REQUEST, "method_not_allowed");
+    return;
+  }
+
+  try {
+    await matched.route.handler(req, res, matched.match.slice(1).map(decodeURIComponent), parsedUrl.query);
+  } catch (error) {
+    console.error('[管理接口] 请求处理失败:', error);
+    sendError(res, 500, "服务器内部错误", ErrorTypes.SERVICE, ErrorCodes.INTERNAL_ERROR);
+  }
+};
@@ -1,129 +1,462 @@
 const axios = require('axios');
+const url = require('url');
 const { config, ErrorTypes, ErrorCodes, handleError } = require('./config.js');
 const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const authMiddleware = require('../utils/authMiddleware');
+const { PolicyActions } = require('../utils/moderationPolicy');
+const { performModeration, isModerationRejection } = require('../utils/moderation');
+const { resolveProvider, buildProviderConfig } = require('../utils/providers');
+const { isMultipart, parseMultipart, createMultipartBody, cleanupFiles } = require('../utils/multipart');
+const { usageStore } = require('../utils/usageStore');
+const metrics = require('../utils/metrics');
 
-module.exports = async (req, res) => {
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+// 转录结果违规且审核方式为 redact 时替换的文本
+const REDACTED_TEXT = '[内容已屏蔽]';
 
-  if (req.method === 'OPTIONS') {
-    res.statusCode = 200;
-    res.end();
-    return;
+// 转录和翻译接口支持的 response_format
+const TRANSCRIPT_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+// 字幕格式，上游返回带序号和时间轴的纯文本
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+// 语音合成支持的 response_format
+const SPEECH_FORMATS = ['mp3', 'opus', 'aac', 'flac', 'wav', 'pcm'];
+
+const SPEECH_PATH = '/v1/audio/speech';
+const TRANSLATIONS_PATH = '/v1/audio/translations';
+const TRANSCRIPTIONS_PATH = '/v1/audio/transcriptions';
+
+function sendError(res, status, message, type, code) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: { message, type, code } }));
+}
+
+// 字幕中的文本行：不是序号、时间轴、WEBVTT 头部或空行
+function isSubtitleTextLine(line) {
+  const trimmed = line.trim();
+  return trimmed !== '' && !/^\d+$/.test(trimmed) && !trimmed.includes('-->') && !/^WEBVTT\b/.test(trimmed);
+}
+
+// 提取转录文本，response_format 为 text/srt/vtt 时上游直接返回字符串，字幕只保留文本行
+function extractTranscript(data, format) {
+  if (typeof data === 'string') {
+    if (!SUBTITLE_FORMATS.includes(format)) return data;
+    return data.split(/\r?\n/).filter(isSubtitleTextLine).join('\n');
   }
+  return typeof data?.text === 'string' ? data.text : '';
+}
 
-  if (req.method !== 'POST') {
-    res.statusCode = 405;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "不支持的请求方法",
-        type: ErrorTypes.INVALID_REQUEST,
-        code: "method_not_allowed"
+// 屏蔽转录结果中的文本，保留时长、字幕序号和时间轴等元数据
+function redactTranscript(data, format) {
+  if (typeof data === 'string') {
+    if (!SUBTITLE_FORMATS.includes(format)) return REDACTED_TEXT;
+    // 每条字幕的多行文本合并为一行屏蔽文本
+    const lines = [];
+    let previousIsText = false;
+    for (const line of data.split(/\r?\n/)) {
+      const isText = isSubtitleTextLine(line);
+      if (!isText) {
+        lines.push(line);
+      } else if (!previousIsText) {
+        lines.push(REDACTED_TEXT);
       }
-    }));
-    return;
+      previousIsText = isText;
+    }
+    return lines.join('\n');
   }
-  
-  // 添加速率限制检查
-  if (await rateLimitMiddleware(req, res, '/v1/audio/transcriptions')) {
-    return; // 如果被限制，直接返回
+
+  const redacted = { ...data, text: REDACTED_TEXT };
+  if (Array.isArray(data.segments)) {
+    redacted.segments = data.segments.map(segment => ({ ...segment, text: REDACTED_TEXT }));
   }
+  delete redacted.words;
+  return redacted;
+}
 
-  const authKey = req.headers.authorization?.replace('Bearer ', '');
-  const validAuthKey = config.authKey;
+// 审核转录文本，与聊天补全的输出审核使用相同的策略和日志格式
+// 返回需要发送给客户端的数据，返回null表示已直接响应错误
+async function moderateTranscript(req, res, data, format) {
+  const transcript = extractTranscript(data, format);
+  if (!transcript.trim()) return data;
 
-  if (!authKey || authKey !== validAuthKey) {
-    res.statusCode = 401;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "无效的认证密钥",
-        type: ErrorTypes.AUTHENTICATION,
-        code: ErrorCodes.INVALID_AUTH_KEY
+  try {
+    const result = await performModeration(
+      [{ role: 'assistant', content: transcript }],
+      config.firstProvider.url,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.firstProvider.key}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+      },
+      { stage: 'output', model: req.body.model, tenant: req.tenant, clientIp: req.clientIp, usage: req.usageRecord?.moderation }
+    );
+    res.setHeader('X-Content-Review-Output', 'pass');
+    res.setHeader('X-Content-Review-Output-ID', result.logId);
+    res.setHeader('X-Output-Risk-Level', result.riskLevel);
+    if (result.action === PolicyActions.WARN) {
+      res.setHeader('X-Content-Review-Output-Warning', `riskLevel=${result.riskLevel}`);
+    }
+    return data;
+  } catch (moderationError) {
+    if (isModerationRejection(moderationError)) {
+      res.setHeader('X-Content-Review-Output-ID', moderationError.error.details.logId);
+      res.setHeader('X-Output-Risk-Level', moderationError.error.details.riskLevel);
+
+      if (config.moderation.audioOutputMode === 'redact') {
+        console.warn(`[音频审核] 转录结果未通过审核，已屏蔽文本 (ID: ${moderationError.error.details.logId})`);
+        res.setHeader('X-Content-Review-Output', 'redacted');
+        return redactTranscript(data, format);
       }
-    }));
-    return;
+
+      console.warn(`[音频审核] 转录结果未通过审核，已拦截响应 (ID: ${moderationError.error.details.logId})`);
+      res.statusCode = 403;
+      res.setHeader('X-Content-Review-Output', 'violation');
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(moderationError));
+      return null;
+    }
+
+    if (moderationError.error?.circuit_breaker) {
+      console.error(`[熔断器警报] 转录审核时熔断器已触发，拒绝返回响应`);
+      res.statusCode = 503;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(moderationError));
+      return null;
+    }
+
+    throw moderationError;
   }
+}
 
-  if (!req.body || typeof req.body !== 'object') {
-    res.statusCode = 400;
+
+// 审核语音合成的输入文本，返回true表示已直接响应错误
+async function moderateSpeechInput(req, res, input) {
+  try {
+    const result = await performModeration(
+      [{ role: 'user', content: input }],
+      config.firstProvider.url,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.firstProvider.key}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+      },
+      { model: req.body.model, tenant: req.tenant, clientIp: req.clientIp, usage: req.usageRecord?.moderation }
+    );
+    res.setHeader('X-Content-Review-ID', result.logId);
+    res.setHeader('X-Risk-Level', result.riskLevel);
+    res.setHeader('X-Content-Review-Cache', result.cacheStatus);
+    if (result.ruleId) {
+      res.setHeader('X-Content-Review-Rule', result.ruleId);
+    }
+    if (result.action === PolicyActions.WARN) {
+      res.setHeader('X-Content-Review-Warning', `riskLevel=${result.riskLevel}`);
+    }
+    return false;
+  } catch (moderationError) {
+    if (isModerationRejection(moderationError)) {
+      res.statusCode = 403;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(moderationError));
+      return true;
+    }
+
+    if (moderationError.error?.circuit_breaker) {
+      console.error(`[熔断器警报] 内容审核服务熔断器已触发，拒绝处理语音合成请求`);
+      res.statusCode = 503;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(moderationError));
+      return true;
+    }
+
+    console.error('Speech input moderation error:', moderationError.message || moderationError.error?.message);
+    const errorResponse = handleError(moderationError);
+    res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+      ? errorResponse.error.code
+      : 500;
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "无效的请求体格式",
-        type: ErrorTypes.INVALID_REQUEST,
-        code: "invalid_body"
-      }
-    }));
+    res.end(JSON.stringify(errorResponse));
+    return true;
+  }
+}
+
+// 读取上游以流返回的错误响应，尽量解析为JSON，便于 handleError 提取服务商的错误信息
+async function readErrorStream(stream) {
+  let text = '';
+  for await (const chunk of stream) {
+    text += chunk.toString();
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { error: { message: text || '未知错误' } };
+  }
+}
+
+function sendUpstreamError(res, error, label) {
+  console.error(`${label} error:`, error.message || error);
+  const errorResponse = handleError(error);
+  res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+    ? errorResponse.error.code
+    : 500;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(errorResponse));
+}
+
+// 转录和翻译：multipart 上传的文件从临时文件流式转发给上游，也兼容旧的 JSON 请求体 { audio, model, language }
+async function handleTranscription(req, res, route) {
+  let upload = null;
+  if (isMultipart(req)) {
+    // 先校验密钥再读取上传内容，避免未认证的请求把文件写入临时目录
+    if (authMiddleware.authenticateOnly(req, res)) {
+      return;
+    }
+
+    try {
+      upload = await parseMultipart(req, { maxFileBytes: config.audio.maxFileBytes });
+    } catch (error) {
+      if (!error.status) throw error;
+      sendError(res, error.status, error.message, ErrorTypes.INVALID_REQUEST, error.code);
+      return;
+    }
+    // 响应结束（包括客户端断开）后删除临时文件
+    res.once('close', () => cleanupFiles(upload.files));
+    req.body = upload.fields;
+  }
+
+  // 解析密钥对应的租户，挂载到 req.tenant；multipart 请求的 model 在表单字段中，解析后才能检查模型白名单
+  if (await authMiddleware(req, res, req.body?.model)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
+
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, route);
+
+  if (!req.body || typeof req.body !== 'object') {
+    sendError(res, 400, "无效的请求体格式", ErrorTypes.INVALID_REQUEST, "invalid_body");
     return;
   }
 
   const { audio, model, language } = req.body;
-  if (!audio || typeof audio !== 'string') {
-    res.statusCode = 400;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "音频参数无效",
-        type: ErrorTypes.INVALID_REQUEST,
-        code: "invalid_audio"
-      }
-    }));
+  if (upload ? !upload.files.file : (!audio || typeof audio !== 'string')) {
+    sendError(res, 400, upload ? "缺少音频文件 file" : "音频参数无效", ErrorTypes.INVALID_REQUEST, "invalid_audio");
     return;
   }
 
   if (!model || typeof model !== 'string') {
-    res.statusCode = 400;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "模型参数无效",
-        type: ErrorTypes.INVALID_REQUEST,
-        code: "invalid_model"
-      }
-    }));
+    sendError(res, 400, "模型参数无效", ErrorTypes.INVALID_REQUEST, "invalid_model");
+    return;
+  }
+
+  const format = req.body.response_format || 'json';
+  if (!TRANSCRIPT_FORMATS.includes(format)) {
+    sendError(res, 400, `response_format 必须是 ${TRANSCRIPT_FORMATS.join('、')} 之一`, ErrorTypes.INVALID_REQUEST, "invalid_response_format");
     return;
   }
 
-  const secondProviderUrl = config.secondProvider.url;
-  const secondProviderKey = config.secondProvider.key;
+  // 根据请求的模型名选择服务商
+  const provider = resolveProvider(model);
 
-  if (!secondProviderUrl || !secondProviderKey) {
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "服务配置缺失",
-        type: ErrorTypes.SERVICE,
-        code: ErrorCodes.INTERNAL_ERROR
+  if (!provider) {
+    sendError(res, 500, "服务配置缺失", ErrorTypes.SERVICE, ErrorCodes.INTERNAL_ERROR);
+    return;
+  }
+
+  if (req.usageRecord) {
+    req.usageRecord.provider = provider.name;
+  }
+  const endTimer = metrics.upstreamDuration.startTimer({ route, provider: provider.name });
+  try {
+    let response;
+    if (upload) {
+      const body = createMultipartBody(upload.fields, upload.files);
+      response = await axios.post(
+        `${provider.url}${route}`,
+        body.stream,
+        buildProviderConfig(provider, {
+          headers: { 'Content-Type': body.contentType, 'Content-Length': body.contentLength, 'Accept': '*/*' },
+          maxBodyLength: Infinity,
+          responseType: 'text'
+        })
+      );
+    } else {
+      const legacyBody = { audio, model, language };
+      if (req.body.response_format) legacyBody.response_format = format;
+      response = await axios.post(
+        `${provider.url}${route}`,
+        legacyBody,
+        buildProviderConfig(provider, { headers: { 'Accept': '*/*' }, responseType: 'text' })
+      );
+    }
+    endTimer({ outcome: 'success' });
+
+    // text/srt/vtt 按原样返回，json/verbose_json 解析后再审核
+    const contentType = String(response.headers['content-type'] || '');
+    let data = response.data;
+    if (/json/i.test(contentType)) {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        // 上游声明为JSON但无法解析时按文本返回
       }
-    }));
+    }
+
+    const audioOutputMode = config.moderation.audioOutputMode;
+    if (config.moderation.enabled && (audioOutputMode === 'redact' || audioOutputMode === 'block')) {
+      data = await moderateTranscript(req, res, data, format);
+      if (data === null) return;
+    }
+
+    if (typeof data === 'string') {
+      res.setHeader('Content-Type', contentType && !/json/i.test(contentType) ? contentType : 'text/plain; charset=utf-8');
+      res.end(data);
+      return;
+    }
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(data));
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    sendUpstreamError(res, error, route === TRANSLATIONS_PATH ? 'Audio translation' : 'Audio transcription');
+  }
+}
+
+// 语音合成：审核输入文本后转发，上游返回的音频边接收边发送给客户端
+async function handleSpeech(req, res) {
+  // 解析密钥对应的租户，挂载到 req.tenant
+  if (await authMiddleware(req, res, req.body?.model)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
+
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, SPEECH_PATH);
+
+  if (!req.body || typeof req.body !== 'object') {
+    sendError(res, 400, "无效的请求体格式", ErrorTypes.INVALID_REQUEST, "invalid_body");
+    return;
+  }
+
+  const { model, input, voice } = req.body;
+  if (!model || typeof model !== 'string') {
+    sendError(res, 400, "模型参数无效", ErrorTypes.INVALID_REQUEST, "invalid_model");
+    return;
+  }
+
+  if (!input || typeof input !== 'string') {
+    sendError(res, 400, "输入文本无效", ErrorTypes.INVALID_REQUEST, "invalid_input");
     return;
   }
 
+  const maxInputChars = config.audio.maxSpeechInputChars;
+  if (maxInputChars > 0 && input.length > maxInputChars) {
+    sendError(res, 400, `输入文本超过${maxInputChars}个字符的限制`, ErrorTypes.INVALID_REQUEST, "input_too_long");
+    return;
+  }
+
+  if (!voice) {
+    sendError(res, 400, "缺少 voice 参数", ErrorTypes.INVALID_REQUEST, "invalid_voice");
+    return;
+  }
+
+  if (req.body.response_format && !SPEECH_FORMATS.includes(req.body.response_format)) {
+    sendError(res, 400, `response_format 必须是 ${SPEECH_FORMATS.join('、')} 之一`, ErrorTypes.INVALID_REQUEST, "invalid_response_format");
+    return;
+  }
+
+  if (config.moderation.enabled) {
+    if (await moderateSpeechInput(req, res, input)) return;
+  } else {
+    res.setHeader('X-Content-Review-Skipped', 'disabled');
+  }
+
+  // 根据请求的模型名选择服务商
+  const provider = resolveProvider(model);
+
+  if (!provider) {
+    sendError(res, 500, "服务配置缺失", ErrorTypes.SERVICE, ErrorCodes.INTERNAL_ERROR);
+    return;
+  }
+
+  const upstreamBody = {};
+  for (const param of ['model', 'input', 'voice', 'instructions', 'response_format', 'speed', 'stream_format']) {
+    if (req.body[param] !== undefined) {
+      upstreamBody[param] = req.body[param];
+    }
+  }
+
+  if (req.usageRecord) {
+    req.usageRecord.provider = provider.name;
+  }
+  const endTimer = metrics.upstreamDuration.startTimer({ route: SPEECH_PATH, provider: provider.name });
   try {
     const response = await axios.post(
-      `${secondProviderUrl}/v1/audio/transcriptions`,
-      { audio, model, language },
-      {
-        headers: {
-          'Authorization': `Bearer ${secondProviderKey}`,
-          'Content-Type': 'application/json'
-        }
-      }
+      `${provider.url}${SPEECH_PATH}`,
+      upstreamBody,
+      buildProviderConfig(provider, {
+        headers: { 'Accept': '*/*' },
+        responseType: 'stream',
+        validateStatus: () => true
+      })
     );
 
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(response.data));
+    if (response.status < 200 || response.status >= 300) {
+      const error = new Error('语音合成请求失败');
+      error.response = {
+        status: response.status,
+        data: await readErrorStream(response.data),
+        headers: response.headers
+      };
+      throw error;
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', response.headers['content-type'] || 'audio/mpeg');
+    // 客户端断开时停止读取上游音频
+    res.once('close', () => response.data.destroy());
+    response.data.on('end', () => endTimer({ outcome: 'success' }));
+    response.data.on('error', error => {
+      endTimer({ outcome: 'error' });
+      console.error('Speech stream error:', error.message);
+      res.destroy(error);
+    });
+    response.data.pipe(res);
   } catch (error) {
-    console.error('Audio transcription error:', error);
-    const errorResponse = handleError(error);
-    res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600 
-      ? errorResponse.error.code 
-      : 500;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(errorResponse));
+    endTimer({ outcome: 'error' });
+    sendUpstreamError(res, error, 'Speech');
+  }
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendError(res, 405, "不支持的请求方法", ErrorTypes.INVALID_REQUEST, "method_not_allowed");
+    return;
+  }
+
+  // 转录、翻译和语音合成共用此处理函数，按路径区分
+  const pathname = url.parse(req.url).pathname;
+  const route = [TRANSLATIONS_PATH, SPEECH_PATH].includes(pathname) ? pathname : TRANSCRIPTIONS_PATH;
+
+  // 添加速率限制检查
+  if (await rateLimitMiddleware(req, res, route)) {
+    return; // 如果被限制，直接返回
+  }
+
+  if (route === SPEECH_PATH) {
+    await handleSpeech(req, res);
+  } else {
+    await handleTranscription(req, res, route);
   }
 };
@@ -1,106 +1,18 @@
 // completions.js
 
 const axios = require('axios');
-const { config, ErrorTypes, ErrorCodes, handleError, checkCircuitBreaker, recordServiceFailure, globalRequestCounter, moderationPrompts } = require('./config.js');
+const { config, ErrorTypes, ErrorCodes, handleError, matchesModelPattern, recordServiceFailure, globalRequestCounter } = require('./config.js');
 const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
-
-// 用于负载均衡的模型索引计数器
-let moderationModelIndex = 0;
-
-// 负载均衡选择模型的函数
-function selectModerationModel(strategy = 'round-robin') {
-  const models = config.firstProvider.models;
-
-  // 如果没有配置模型，返回错误
-  if (!models || models.length === 0) {
-    const error = new Error("未配置审核模型，请设置 FIRST_PROVIDER_MODELS 环境变量");
-    error.nonRetryable = true; // 标记为不可重试错误
-    throw error;
-  }
-
-  // 如果只有一个模型，直接返回
-  if (models.length === 1) {
-    return models[0];
-  }
-
-  // 根据策略选择模型
-  let selectedModel;
-  
-  switch (strategy) {
-    case 'random':
-      // 随机选择一个模型
-      const randomIndex = Math.floor(Math.random() * models.length);
-      selectedModel = models[randomIndex];
-      break;
-
-    case 'round-robin':
-    default:
-      // 轮询选择模型
-      selectedModel = models[moderationModelIndex];
-      moderationModelIndex = (moderationModelIndex + 1) % models.length;
-      break;
-  }
-  
-  // 验证选定的模型是否为空
-  if (!selectedModel || selectedModel.trim() === '') {
-    const error = new Error("选择的审核模型无效");
-    error.nonRetryable = true;
-    throw error;
-  }
-  
-  return selectedModel;
-}
-
-// 在文件顶部添加日志工具函数
-function logModerationResult(model, request, response, result, isViolation) {
-  const timestamp = new Date().toISOString();
-  const logId = `mod_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
-
-  // 提取用户消息内容用于日志记录
-  const userMessages = request.messages
-    .filter(msg => msg.role === 'user')
-    .map(msg => typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content))
-    .join('\n---\n');
-
-  // 构建详细的日志对象
-  const logData = {
-    id: logId,
-    timestamp,
-    model,
-    request: {
-      temperature: request.temperature,
-      max_tokens: request.max_tokens,
-      // 只记录用户消息，避免系统提示过长
-      userMessages: userMessages.length > 500 ? userMessages.substring(0, 500) + '...' : userMessages,
-      // 记录所有原始消息，包括角色信息
-      originalMessages: request.messages.map(msg => ({
-        role: msg.role,
-        content: typeof msg.content === 'string' && msg.content.length > 100
-          ? msg.content.substring(0, 100) + '...'
-          : msg.content
-      }))
-    },
-    response: {
-      raw: response ? response.data : null,
-      parsed: result
-    },
-    result: {
-      isViolation,
-      riskLevel: result?.riskLevel || 0
-    }
-  };
-
-  // 使用不同的日志级别区分违规和非违规内容
-  if (isViolation) {
-    console.warn(`[CONTENT-VIOLATION][${logId}] 内容违规，风险等级: ${result?.riskLevel || 'unknown'}`);
-    console.warn(JSON.stringify(logData, null, 2));
-  } else {
-    console.log(`[CONTENT-PASS][${logId}] 内容审核通过，风险等级: ${result?.riskLevel || 'unknown'}`);
-    console.log(JSON.stringify(logData, null, 2));
-  }
-
-  return logId;
-}
+const authMiddleware = require('../utils/authMiddleware');
+const tokenLimitMiddleware = require('../utils/tokenLimitMiddleware');
+const { estimateTokens, StreamUsageTracker } = require('../utils/tokenCounter');
+const { usageStore } = require('../utils/usageStore');
+const StreamModerator = require('../utils/streamModerator');
+const { PolicyActions } = require('../utils/moderationPolicy');
+const { performModeration, isModerationRejection, extractImageParts, validateImageInputs } = require('../utils/moderation');
+const { executeWithFailover, buildProviderConfig } = require('../utils/providers');
+const { buildUpstreamBody } = require('../utils/paramRules');
+const metrics = require('../utils/metrics');
 
 // 添加重试函数
 async function retryRequest(requestFn, maxTime, fnName = "未知函数") {
@@ -172,6 +84,7 @@ async function retryRequest(requestFn, maxTime, fnName = "未知函数") {
       );
       
       console.log(`[${fnName}] 等待 ${actualRetryDelay} 毫秒后进行下一次重试...`);
+      metrics.upstreamRetries.inc({ route: '/v1/chat/completions' });
       await new Promise(resolve => setTimeout(resolve, actualRetryDelay));
     }
   }
@@ -213,64 +126,96 @@ function preprocessMessages(messages) {
   });
 }
 
-// 发送到第二个运营商的请求处理
-async function sendToSecondProvider(req, secondProviderUrl, secondProviderConfig) {
-  // 检查熔断器状态
-  if (!checkCircuitBreaker('secondProvider')) {
-    throw {
-      error: {
-        message: "主服务暂时不可用，请稍后再试",
-        type: ErrorTypes.SERVICE,
-        code: ErrorCodes.SERVICE_UNAVAILABLE,
-        circuit_breaker: true
+
+// 从非流式补全响应中提取模型输出内容，用于输出审核
+function extractCompletionOutput(data) {
+  if (!data || !Array.isArray(data.choices)) return [];
+
+  return data.choices
+    .map(choice => {
+      const message = choice.message || {};
+      const parts = [];
+
+      if (typeof message.content === 'string') {
+        parts.push(message.content);
+      } else if (Array.isArray(message.content)) {
+        parts.push(message.content
+          .filter(item => item.type === 'text')
+          .map(item => item.text)
+          .join('\n'));
       }
-    };
-  }
 
-  // 检查o3模型的temperature限制
-  if (req.body.model && req.body.model.toLowerCase().includes('o3')) {
-    const temperature = req.body.temperature ?? 0; // 使用空值合并运算符，如果temperature为undefined或null则使用0
-    if (temperature !== 0) {
-      // 创建一个错误对象
-      const error = new Error("o3模型的temperature值必须为0");
-      error.response = {
-        status: 400,
-        data: {
-          error: {
-            message: "o3模型的temperature值必须为0",
-            type: ErrorTypes.INVALID_REQUEST,
-            code: ErrorCodes.INVALID_TEMPERATURE
+      // 工具调用参数同样由模型生成，需要一并审核
+      if (Array.isArray(message.tool_calls)) {
+        for (const toolCall of message.tool_calls) {
+          if (toolCall.function?.arguments) {
+            parts.push(`[TOOL_CALL ${toolCall.function.name || ''}]: ${toolCall.function.arguments}`);
           }
         }
+      }
+
+      if (message.function_call?.arguments) {
+        parts.push(`[FUNCTION_CALL ${message.function_call.name || ''}]: ${message.function_call.arguments}`);
+      }
+
+      return {
+        role: 'assistant',
+        content: parts.filter(Boolean).join('\n')
       };
-      // 设置特殊标记，表明这是不需要重试的错误
-      error.nonRetryable = true;
-      throw error;
+    })
+    .filter(message => message.content !== '');
+}
+
+// 发送到第二个运营商的请求处理，根据请求的模型名选择服务商，失败时按备用链故障转移
+async function sendToSecondProvider(req) {
+  const { result: response, provider } = await executeWithFailover(
+    req.body.model,
+    async (provider, model) => {
+      const endTimer = metrics.upstreamDuration.startTimer({ route: '/v1/chat/completions', provider: provider.name });
+      try {
+        const result = await sendToProvider(req, provider, model);
+        endTimer({ outcome: 'success' });
+        return result;
+      } catch (error) {
+        endTimer({ outcome: 'error' });
+        throw error;
+      }
     }
-  }
+  );
 
-  const secondProviderRequest = {
-    model: req.body.model,
-    messages: req.body.messages,
-    stream: req.body.stream || false,
-    temperature: req.body.temperature,
-    max_tokens: req.body.max_tokens || 4096
-  };
+  // 记录实际处理请求的服务商，用于响应头
+  response.servedBy = provider.name;
+  return response;
+}
 
-  if (req.body.response_format) {
-    secondProviderRequest.response_format = req.body.response_format;
-  }
+// 向指定服务商发送聊天补全请求
+async function sendToProvider(req, provider, model) {
+  const secondProviderUrl = provider.url;
+  const secondProviderConfig = buildProviderConfig(provider, {
+    timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+  });
 
-  if (req.body.tools) {
-    secondProviderRequest.tools = req.body.tools;
+  // 只转发规范中的参数，并按上游模型的参数规则拒绝、删除、改名或限制参数
+  const { body: secondProviderRequest, error: paramError } = buildUpstreamBody(req.body, model);
+  if (paramError) {
+    const error = new Error(paramError.error.message);
+    error.response = {
+      status: 400,
+      data: paramError
+    };
+    // 设置特殊标记，表明这是不需要重试的错误
+    error.nonRetryable = true;
+    throw error;
   }
 
   // 记录请求信息（不包含敏感数据）
   console.log('主服务商请求参数：', {
+    provider: provider.name,
     model: secondProviderRequest.model,
     stream: secondProviderRequest.stream,
     temperature: secondProviderRequest.temperature,
-    max_tokens: secondProviderRequest.max_tokens
+    max_tokens: secondProviderRequest.max_tokens,
+    max_completion_tokens: secondProviderRequest.max_completion_tokens
   });
 
   try {
@@ -315,7 +260,7 @@ async function sendToSecondProvider(req, secondProviderUrl, secondProviderConfig
           };
           
           // 记录服务失败
-          recordServiceFailure('secondProvider');
+          recordServiceFailure(provider.name);
           
           throw error;
         } catch (parseError) {
@@ -328,7 +273,7 @@ async function sendToSecondProvider(req, secondProviderUrl, secondProviderConfig
           };
           
           // 记录服务失败
-          recordServiceFailure('secondProvider');
+          recordServiceFailure(provider.name);
           
           throw error;
         }
@@ -348,14 +293,14 @@ async function sendToSecondProvider(req, secondProviderUrl, secondProviderConfig
     }
   } catch (error) {
     // 记录服务失败
-    recordServiceFailure('secondProvider');
+    recordServiceFailure(provider.name);
   
     // 记录错误详情
     console.error('主服务商错误响应：', {
       message: error.message,
       response: error.response?.data,
       status: error.response?.status,
-      details: `错误累积: ${config.serviceHealth.secondProvider.failureCount}/${config.serviceHealthConfig.maxErrors} 在 ${config.serviceHealthConfig.errorWindow/1000}秒内`
+      details: `错误累积: ${config.serviceHealth[provider.name].failureCount}/${config.serviceHealthConfig.maxErrors} 在 ${config.serviceHealthConfig.errorWindow/1000}秒内`
     });
 
     // 默认将所有错误标记为不可重试，除非明确启用了重试功能
@@ -379,195 +324,22 @@ async function sendToSecondProvider(req, secondProviderUrl, secondProviderConfig
   }
 }
 
-// 处理审核服务
-async function performModeration(messages, firstProviderUrl, firstProviderConfig) {
-  // 使用checkCircuitBreaker函数检查熔断器状态，而不是直接访问config
-  if (!checkCircuitBreaker('firstProvider')) {
-    console.error(`[熔断器警报] 主服务熔断器已触发，拒绝处理请求`);
-    throw {
-      error: {
-        message: "服务暂时不可用，请稍后再试",
-        type: ErrorTypes.SERVICE,
-        code: ErrorCodes.SERVICE_UNAVAILABLE,
-        circuit_breaker: true
-      }
-    };
-  }
-
-  // 移除直接访问firstProvider熔断状态的日志，改为检查主服务熔断状态
-  const mainServiceHealth = config.serviceHealth['secondProvider'];
-  console.log(`[审核服务] 主服务熔断器状态: circuitBreakerTripped=${mainServiceHealth.circuitBreakerTripped}, failureCount=${mainServiceHealth.failureCount}/${config.serviceHealthConfig.maxErrors}`);
-
-  try {
-    // 选择一个审核模型
-    const selectedModel = selectModerationModel('round-robin');
-    console.log(`Using moderation model: ${selectedModel}`);
-
-    // 提取客户端的所有消息内容，无论角色是什么
-    const clientMessagesContent = messages.map(msg => {
-      return {
-        role: msg.role,
-        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
-      };
-    });
-
-    // 应用随机截取策略处理超长文本
-    const extractResult = extractRandomSegments(clientMessagesContent);
-
-    // 如果进行了截取，记录相关信息
-    if (extractResult.isExtracted) {
-      console.log(`内容审核: 原始长度 ${extractResult.originalLength} 字符，截取后 ${extractResult.extractedLength} 字符`);
-    }
-
-    // 构建一个包含所有内容的单一消息，确保所有内容都被审核
-    const allMessagesText = extractResult.messages.map(msg =>
-      `[${msg.role.toUpperCase()}]: ${msg.content}`
-    ).join('\n\n');
-
-    // 构造审核消息
-    const moderationMessages = [
-      { 
-        role: "system", 
-        content: moderationPrompts.DEFAULT_SYSTEM_CONTENT
-      }, 
-      {
-        role: "user",
-        content: `以下是需要审核的${extractResult.isExtracted ? '部分截取的' : '完整'}对话内容，请仔细审核每一部分：\n\n${allMessagesText}`
-      },
-      { role: "user", 
-        content: moderationPrompts.FINAL_SYSTEM_CONTENT 
-      }
-    ];
-
-    const moderationRequest = {
-      messages: moderationMessages,
-      model: selectedModel, // 使用选定的模型
-      temperature: 0,
-      max_tokens: 100,
-      response_format: {
-        type: "json_object"
-      }
-    };
-
-    console.log('审核请求：', {
-      model: moderationRequest.model,
-      temperature: moderationRequest.temperature,
-      max_tokens: moderationRequest.max_tokens,
-      response_format: moderationRequest.response_format,
-      // 添加原始客户端消息的摘要
-      originalClientMessages: messages.map(msg => ({
-        role: msg.role,
-        contentPreview: typeof msg.content === 'string' && msg.content.length > 50
-          ? msg.content.substring(0, 50) + '...'
-          : (typeof msg.content === 'string' ? msg.content : 'non-string content')
-      })),
-      // 添加截取信息
-      extractionInfo: extractResult.isExtracted ? {
-        originalLength: extractResult.originalLength,
-        extractedLength: extractResult.extractedLength,
-        reductionPercent: Math.round((1 - extractResult.extractedLength / extractResult.originalLength) * 100)
-      } : null
-    });
-
-    try {
-      const checkResponse = await axios.post(
-        firstProviderUrl + '/v1/chat/completions',
-        moderationRequest,
-        firstProviderConfig
-      );
-
-      // 解析审核结果
-      const moderationResult = JSON.parse(checkResponse.data.choices[0].message.content);
-
-      // 记录详细的审核日志
-      const logId = logModerationResult(
-        selectedModel,
-        moderationRequest,
-        checkResponse,
-        moderationResult,
-        moderationResult.isViolation === true
-      );
-
-      // 如果内容违规，抛出错误
-      if (moderationResult.isViolation === true) {
-        const violationError = {
-          error: {
-            message: `内容审核未通过，请修改后重试 (ID: ${logId})`,
-            type: ErrorTypes.INVALID_REQUEST,
-            code: ErrorCodes.CONTENT_VIOLATION,
-            details: {
-              riskLevel: moderationResult.riskLevel,
-              logId: logId,
-              isPartialCheck: extractResult.isExtracted
-            }
-          }
-        };
-        throw violationError;
-      }
-
-      return {
-        passed: true,
-        logId: logId,
-        riskLevel: moderationResult.riskLevel,
-        isPartialCheck: extractResult.isExtracted
-      };
-    } catch (error) {
-      // 确保先记录服务失败，无论是什么类型的错误
-      console.error(`[审核服务] 请求失败，记录到熔断器统计`);
-      recordServiceFailure('firstProvider');
-      
-      // 如果错误已经是我们格式化过的违规错误，直接抛出
-      if (error.error?.code === ErrorCodes.CONTENT_VIOLATION) {
-        throw error;
-      }
-      
-      // 其他API错误
-      throw error;
-    }
-  } catch (error) {
-    // 如果是模型配置错误，返回更友好的错误信息
-    if (error.message && error.message.includes("未配置审核模型")) {
-      throw {
-        error: {
-          message: "服务配置错误：未配置审核模型",
-          type: ErrorTypes.SERVICE,
-          code: ErrorCodes.INTERNAL_ERROR,
-          details: "请管理员设置 FIRST_PROVIDER_MODELS 环境变量"
-        }
-      };
-    }
-    throw error;
-  }
-}
 
 // 检查模型是否在白名单中的函数
 function isModelWhitelisted(modelName) {
-  if (!modelName) return false;
-  
-  // 转换为小写以便不区分大小写比较
-  const lowerModelName = modelName.toLowerCase();
-  
-  // 检查模型是否在白名单中
-  return config.whitelistedModels.some(whitelistedModel => {
-    // 精确匹配
-    if (lowerModelName === whitelistedModel) return true;
-    
-    // 通配符匹配（如：gpt-4*可以匹配所有gpt-4开头的模型）
-    if (whitelistedModel.endsWith('*')) {
-      const prefix = whitelistedModel.slice(0, -1);
-      return lowerModelName.startsWith(prefix);
-    }
-    
-    return false;
-  });
+  return matchesModelPattern(modelName, config.whitelistedModels);
 }
 
 // 处理流式响应的函数
-async function handleStream(req, res, firstProviderUrl, secondProviderUrl, firstProviderKey, secondProviderKey, skipModeration = false) {
+async function handleStream(req, res, firstProviderUrl, firstProviderKey, skipModeration = false) {
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
 
+  // 统计正在进行的流式响应，连接关闭（正常结束或客户端断开）时减少
+  metrics.streamsInFlight.inc();
+  res.once('close', () => metrics.streamsInFlight.dec());
+
   // 添加流式数据超时控制
   let lastDataTime = Date.now();
   const checkInterval = setInterval(() => {
@@ -596,6 +368,11 @@ async function handleStream(req, res, firstProviderUrl, secondProviderUrl, first
       // 添加请求头标记模型已跳过审核
       res.setHeader('X-Content-Review-Skipped', 'whitelist');
     }
+    // 内容审核已通过管理接口关闭
+    if (!skipModeration && !config.moderation.enabled) {
+      skipModeration = true;
+      res.setHeader('X-Content-Review-Skipped', 'disabled');
+    }
     const firstProviderConfig = {
       headers: {
         'Authorization': `Bearer ${firstProviderKey}`,
@@ -605,30 +382,39 @@ async function handleStream(req, res, firstProviderUrl, secondProviderUrl, first
       timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
     };
 
-    const secondProviderConfig = {
-      headers: {
-        'Authorization': `Bearer ${secondProviderKey}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
-    };
-
     // 先执行审核
     let moderationPassed = skipModeration; // 如果skipModeration为true，直接跳过审核
     if (!skipModeration) {
       try {
-        const moderationResult = await performModeration(textMessages, firstProviderUrl, firstProviderConfig);
+        const moderationResult = await performModeration(textMessages, firstProviderUrl, firstProviderConfig, {
+          model: req.body.model,
+          tenant: req.tenant,
+          clientIp: req.clientIp,
+          images: extractImageParts(req.body.messages),
+          usage: req.usageRecord?.moderation
+        });
         moderationPassed = true;
         // 可以在响应头中添加审核ID，方便追踪
         res.setHeader('X-Content-Review-ID', moderationResult.logId);
         res.setHeader('X-Risk-Level', moderationResult.riskLevel);
+        res.setHeader('X-Content-Review-Cache', moderationResult.cacheStatus);
+        if (moderationResult.ruleId) {
+          res.setHeader('X-Content-Review-Rule', moderationResult.ruleId);
+        }
+        if (moderationResult.imageLogId) {
+          res.setHeader('X-Content-Review-Image-ID', moderationResult.imageLogId);
+          res.setHeader('X-Content-Review-Images', moderationResult.imageCount);
+        }
+        // 策略为 warn 时放行，但添加警告响应头
+        if (moderationResult.action === PolicyActions.WARN) {
+          res.setHeader('X-Content-Review-Warning', `riskLevel=${moderationResult.riskLevel}`);
+        }
         // 如果审核结果包含部分审核标记，添加到响应头
         if (moderationResult.isPartialCheck) {
           res.setHeader('X-Content-Review-Partial', 'true');
         }
       } catch (moderationError) {
-        if (moderationError.error?.code === "content_violation") {
+        if (isModerationRejection(moderationError)) {
           res.write(`data: ${JSON.stringify(moderationError)}\n\n`);
           res.write('data: [DONE]\n\n');
           res.end();
@@ -666,7 +452,7 @@ async function handleStream(req, res, firstProviderUrl, secondProviderUrl, first
         console.log(`[${requestId}] 开始处理流式请求`);
         
         const response = await retryRequest(
-          () => sendToSecondProvider(req, secondProviderUrl, secondProviderConfig),
+          () => sendToSecondProvider(req),
           config.timeouts.maxRetryTime,
           `sendToSecondProvider-Stream-${requestId}`
         );
@@ -686,21 +472,61 @@ async function handleStream(req, res, firstProviderUrl, secondProviderUrl, first
         }
         
         console.log(`[${requestId}] 成功获取流式响应`);
+        res.setHeader('X-Served-By', response.servedBy);
 
         // 替换原来的 response.data.pipe(res) 为自定义的流处理
         const stream = response.data;
 
-        stream.on('data', (chunk) => {
-          lastDataTime = Date.now(); // 更新最后收到数据的时间
+        // 统计输出令牌数，响应结束时计入令牌限制
+        const usageTracker = new StreamUsageTracker();
+        req.tokenUsage = usageTracker;
+
+        const writeToClient = (chunk) => {
           try {
             res.write(chunk);
           } catch (writeError) {
             console.error(`[${requestId}] 写入流数据时出错:`, writeError);
             clearInterval(checkInterval);
           }
+        };
+
+        // 输出审核：在检查点审核累积的模型输出，违规时截断流
+        const streamModerator = config.moderation.outputEnabled && !skipModeration
+          ? new StreamModerator({
+            moderate: (text) => performModeration(
+              [{ role: 'assistant', content: text }],
+              firstProviderUrl,
+              firstProviderConfig,
+              { stage: 'output', model: req.body.model, tenant: req.tenant, clientIp: req.clientIp, usage: req.usageRecord?.moderation }
+            ),
+            write: writeToClient,
+            onStop: () => {
+              clearInterval(checkInterval);
+              stream.destroy();
+              res.end();
+            },
+            model: req.body.model,
+            checkChars: config.moderation.streamCheckChars,
+            checkInterval: config.moderation.streamCheckInterval,
+            overlapChars: config.moderation.streamCheckOverlap,
+            holdback: config.moderation.streamHoldback
+          })
+          : null;
+
+        stream.on('data', (chunk) => {
+          lastDataTime = Date.now(); // 更新最后收到数据的时间
+          usageTracker.push(chunk);
+          if (streamModerator) {
+            streamModerator.push(chunk);
+          } else {
+            writeToClient(chunk);
+          }
         });
 
-        stream.on('end', () => {
+        stream.on('end', async () => {
+          if (streamModerator && !(await streamModerator.finish())) {
+            return; // 流已因审核被截断
+          }
           console.log(`[${requestId}] 流式响应正常结束`);
           clearInterval(checkInterval);
           res.end();
@@ -772,242 +598,9 @@ async function handleStream(req, res, firstProviderUrl, secondProviderUrl, first
   }
 }
 
-// 计算消息总长度的函数
-function calculateTotalLength(messages) {
-  return messages.reduce((total, msg) => {
-    const content = typeof msg.content === 'string'
-      ? msg.content
-      : JSON.stringify(msg.content);
-    return total + content.length;
-  }, 0);
-}
-
-// 随机截取文本的函数
-function extractRandomSegments(messages, maxLength = 30000) {
-  const totalLength = calculateTotalLength(messages);
-
-  // 如果总长度小于最大长度，直接返回原始消息
-  if (totalLength <= maxLength) {
-    return {
-      messages: messages,
-      isExtracted: false,
-      originalLength: totalLength,
-      extractedLength: totalLength
-    };
-  }
-
-  console.log(`消息总长度(${totalLength})超过最大限制(${maxLength})，将进行随机截取`);
-
-  // 分离用户消息和非用户消息
-  const userMessages = messages.filter(msg => msg.role === 'user');
-  const nonUserMessages = messages.filter(msg => msg.role !== 'user');
-
-  // 为非用户消息预留最多50%的空间
-  const nonUserMaxLength = Math.floor(maxLength * 0.5);
-
-  // 创建消息的副本，以便我们可以修改它
-  const extractedMessages = [];
-  let currentLength = 0;
-
-  // 首先处理非用户消息（系统消息、助手消息等）
-  for (const msg of nonUserMessages) {
-    const content = typeof msg.content === 'string'
-      ? msg.content
-      : JSON.stringify(msg.content);
-
-    // 如果添加这条消息后仍在限制内，直接添加
-    if (currentLength + content.length <= nonUserMaxLength) {
-      extractedMessages.push({
-        role: msg.role,
-        content: content
-      });
-      currentLength += content.length;
-    } else {
-      // 如果这条消息太长，截取部分内容
-      const availableLength = nonUserMaxLength - currentLength;
-      if (availableLength > 200) { // 确保至少有足够空间添加有意义的内容
-        const truncatedContent = content.substring(0, Math.floor(availableLength * 0.8)) +
-          "\n...[系统内容过长，已截取]...";
-
-        extractedMessages.push({
-          role: msg.role,
-          content: truncatedContent
-        });
-        currentLength += truncatedContent.length;
-      }
-      // 一旦达到非用户消息的限制，就停止添加
-      break;
-    }
-  }
-
-  // 计算剩余可用于用户消息的长度
-  const remainingLength = maxLength - currentLength;
-
-  // 如果没有用户消息，直接返回
-  if (userMessages.length === 0) {
-    return {
-      messages: extractedMessages,
-      isExtracted: true,
-      originalLength: totalLength,
-      extractedLength: currentLength
-    };
-  }
-
-  // 如果只有一条用户消息，处理这种特殊情况
-  if (userMessages.length === 1) {
-    const msg = userMessages[0];
-    const content = typeof msg.content === 'string'
-      ? msg.content
-      : JSON.stringify(msg.content);
-
-    if (content.length <= remainingLength) {
-      // 如果消息长度在限制内，直接添加
-      extractedMessages.push(msg);
-    } else {
-      // 随机截取策略：取开头、中间和结尾的部分
-      const segmentLength = Math.floor(remainingLength / 3);
-
-      // 确保段落长度不超过剩余长度的三分之一
-      const safeSegmentLength = Math.min(segmentLength, Math.floor(remainingLength / 3.5));
-
-      // 取开头部分
-      const startSegment = content.substring(0, safeSegmentLength);
-
-      // 取中间随机部分
-      const middleStart = Math.floor(Math.random() * (content.length - safeSegmentLength));
-      const middleSegment = content.substring(middleStart, middleStart + safeSegmentLength);
-
-      // 取结尾部分
-      const endSegment = content.substring(content.length - safeSegmentLength);
-
-      const extractedContent = `${startSegment}\n...[内容过长，已截取]...\n${middleSegment}\n...[内容过长，已截取]...\n${endSegment}`;
-
-      // 最后检查确保不超过剩余长度
-      const finalContent = extractedContent.length > remainingLength
-        ? extractedContent.substring(0, remainingLength - 30) + "...[已截断]"
-        : extractedContent;
-
-      extractedMessages.push({
-        role: 'user',
-        content: finalContent
-      });
-    }
-  } else {
-    // 多条用户消息，随机选择一些消息
-    // 首先计算每条消息的长度
-    const messageLengths = userMessages.map(msg => {
-      const content = typeof msg.content === 'string'
-        ? msg.content
-        : JSON.stringify(msg.content);
-      return {
-        message: msg,
-        length: content.length
-      };
-    });
-
-    // 按照消息长度排序（优先选择较短的消息）
-    messageLengths.sort((a, b) => a.length - b.length);
-
-    // 按照可用长度添加消息
-    let usedLength = 0;
-
-    // 首先尝试添加完整的短消息
-    for (let i = 0; i < messageLengths.length; i++) {
-      const item = messageLengths[i];
-
-      // 如果消息可以完整添加
-      if (usedLength + item.length <= remainingLength) {
-        extractedMessages.push(item.message);
-        usedLength += item.length;
-        // 标记为已处理
-        messageLengths[i] = null;
-      }
-
-      // 如果已经达到限制，停止添加
-      if (usedLength >= remainingLength) break;
-    }
-
-    // 如果还有剩余空间，尝试截取一些较长消息的片段
-    if (usedLength < remainingLength) {
-      // 过滤掉已处理的消息
-      const remainingMessages = messageLengths.filter(item => item !== null);
-
-      // 随机打乱顺序，以获取更多样的内容
-      remainingMessages.sort(() => Math.random() - 0.5);
-
-      for (const item of remainingMessages) {
-        const availableLength = remainingLength - usedLength;
-
-        // 确保有足够空间添加有意义的内容
-        if (availableLength < 200) break;
-
-        const content = typeof item.message.content === 'string'
-          ? item.message.content
-          : JSON.stringify(item.message.content);
-
-        // 计算可以截取的内容长度
-        const truncateLength = Math.min(availableLength - 50, Math.floor(content.length / 2));
-
-        if (truncateLength > 100) {
-          // 截取开头部分
-          const extractedContent = content.substring(0, truncateLength) +
-            "\n...[内容过长，已截取]...";
-
-          extractedMessages.push({
-            role: 'user',
-            content: extractedContent
-          });
-
-          usedLength += extractedContent.length;
-
-          // 如果已经达到限制，停止添加
-          if (usedLength >= remainingLength) break;
-        }
-      }
-    }
-  }
-
-  // 计算最终提取的内容长度
-  const extractedLength = calculateTotalLength(extractedMessages);
-
-  // 最后的安全检查：如果提取的内容仍然超过最大长度，强制截断
-  if (extractedLength > maxLength) {
-    console.warn(`警告：提取后的内容(${extractedLength})仍超过最大长度(${maxLength})，将强制截断`);
-
-    // 从提取的消息中移除最后一条用户消息
-    for (let i = extractedMessages.length - 1; i >= 0; i--) {
-      if (extractedMessages[i].role === 'user') {
-        extractedMessages.splice(i, 1);
-        break;
-      }
-    }
-
-    // 重新计算长度
-    const newExtractedLength = calculateTotalLength(extractedMessages);
-
-    // 如果仍然超过限制，添加一条警告消息
-    if (newExtractedLength > maxLength) {
-      return {
-        messages: [
-          { role: 'system', content: '内容过长，无法处理。请减少输入内容后重试。' }
-        ],
-        isExtracted: true,
-        originalLength: totalLength,
-        extractedLength: 0
-      };
-    }
-  }
-
-  return {
-    messages: extractedMessages,
-    isExtracted: true,
-    originalLength: totalLength,
-    extractedLength: extractedLength
-  };
-}
 
 // 处理非流式响应的函数
-async function handleNormal(req, res, firstProviderUrl, secondProviderUrl, firstProviderKey, secondProviderKey, skipModeration = false) {
+async function handleNormal(req, res, firstProviderUrl, firstProviderKey, skipModeration = false) {
   try {
     const textMessages = preprocessMessages(req.body.messages);
     
@@ -1019,6 +612,11 @@ async function handleNormal(req, res, firstProviderUrl, secondProviderUrl, first
       // 添加请求头标记模型已跳过审核
       res.setHeader('X-Content-Review-Skipped', 'whitelist');
     }
+    // 内容审核已通过管理接口关闭
+    if (!skipModeration && !config.moderation.enabled) {
+      skipModeration = true;
+      res.setHeader('X-Content-Review-Skipped', 'disabled');
+    }
     const firstProviderConfig = {
       headers: {
         'Authorization': `Bearer ${firstProviderKey}`,
@@ -1028,30 +626,39 @@ async function handleNormal(req, res, firstProviderUrl, secondProviderUrl, first
       timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
     };
 
-    const secondProviderConfig = {
-      headers: {
-        'Authorization': `Bearer ${secondProviderKey}`,
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      },
-      timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
-    };
-
     // 先执行审核
     let moderationPassed = skipModeration; // 如果skipModeration为true，直接跳过审核
     if (!skipModeration) {
       try {
-        const moderationResult = await performModeration(textMessages, firstProviderUrl, firstProviderConfig);
+        const moderationResult = await performModeration(textMessages, firstProviderUrl, firstProviderConfig, {
+          model: req.body.model,
+          tenant: req.tenant,
+          clientIp: req.clientIp,
+          images: extractImageParts(req.body.messages),
+          usage: req.usageRecord?.moderation
+        });
         moderationPassed = true;
         // 可以在响应头中添加审核ID，方便追踪
         res.setHeader('X-Content-Review-ID', moderationResult.logId);
         res.setHeader('X-Risk-Level', moderationResult.riskLevel);
+        res.setHeader('X-Content-Review-Cache', moderationResult.cacheStatus);
+        if (moderationResult.ruleId) {
+          res.setHeader('X-Content-Review-Rule', moderationResult.ruleId);
+        }
+        if (moderationResult.imageLogId) {
+          res.setHeader('X-Content-Review-Image-ID', moderationResult.imageLogId);
+          res.setHeader('X-Content-Review-Images', moderationResult.imageCount);
+        }
+        // 策略为 warn 时放行，但添加警告响应头
+        if (moderationResult.action === PolicyActions.WARN) {
+          res.setHeader('X-Content-Review-Warning', `riskLevel=${moderationResult.riskLevel}`);
+        }
         // 如果审核结果包含部分审核标记，添加到响应头
         if (moderationResult.isPartialCheck) {
           res.setHeader('X-Content-Review-Partial', 'true');
         }
       } catch (moderationError) {
-        if (moderationError.error?.code === "content_violation") {
+        if (isModerationRejection(moderationError)) {
           res.statusCode = 403;
           res.setHeader('Content-Type', 'application/json');
           res.end(JSON.stringify(moderationError));
@@ -1089,12 +696,68 @@ async function handleNormal(req, res, firstProviderUrl, secondProviderUrl, first
       
       try {
         const response = await retryRequest(
-          () => sendToSecondProvider(req, secondProviderUrl, secondProviderConfig),
+          () => sendToSecondProvider(req),
           config.timeouts.maxRetryTime,
           `sendToSecondProvider-Normal-${requestId}`
         );
         
         console.log(`[${requestId}] 成功获取普通响应`);
+        res.setHeader('X-Served-By', response.servedBy);
+
+        // 记录令牌用量，上游未返回 usage 时估算输出令牌数
+        const usage = response.data?.usage;
+        req.tokenUsage = {
+          promptTokens: usage?.prompt_tokens,
+          completionTokens: usage?.completion_tokens
+            ?? estimateTokens(extractCompletionOutput(response.data).map(message => message.content).join('\n'))
+        };
+
+        // 输出审核：在返回给客户端之前审核模型生成的内容
+        if (config.moderation.outputEnabled && !skipModeration) {
+          const outputMessages = extractCompletionOutput(response.data);
+          if (outputMessages.length > 0) {
+            try {
+              const outputResult = await performModeration(outputMessages, firstProviderUrl, firstProviderConfig, {
+                stage: 'output',
+                model: req.body.model,
+                tenant: req.tenant,
+                clientIp: req.clientIp,
+                usage: req.usageRecord?.moderation
+              });
+              res.setHeader('X-Content-Review-Output', 'pass');
+              res.setHeader('X-Content-Review-Output-ID', outputResult.logId);
+              res.setHeader('X-Output-Risk-Level', outputResult.riskLevel);
+              if (outputResult.action === PolicyActions.WARN) {
+                res.setHeader('X-Content-Review-Output-Warning', `riskLevel=${outputResult.riskLevel}`);
+              }
+              if (outputResult.isPartialCheck) {
+                res.setHeader('X-Content-Review-Output-Partial', 'true');
+              }
+            } catch (moderationError) {
+              if (isModerationRejection(moderationError)) {
+                console.warn(`[${requestId}] 模型输出未通过审核，已拦截响应`);
+                res.statusCode = 403;
+                res.setHeader('X-Content-Review-Output', 'violation');
+                res.setHeader('X-Content-Review-Output-ID', moderationError.error.details.logId);
+                res.setHeader('X-Output-Risk-Level', moderationError.error.details.riskLevel);
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(moderationError));
+                return;
+              }
+
+              if (moderationError.error?.circuit_breaker) {
+                console.error(`[熔断器警报] 输出审核时熔断器已触发，拒绝返回响应`);
+                res.statusCode = 503;
+                res.setHeader('Content-Type', 'application/json');
+                res.end(JSON.stringify(moderationError));
+                return;
+              }
+
+              throw moderationError;
+            }
+          }
+        }
+
         res.setHeader('Content-Type', 'application/json');
         res.end(JSON.stringify(response.data));
       } catch (error) {
@@ -1152,6 +815,7 @@ module.exports = async (req, res) => {
   
   // 检查全局熔断器状态
   if (globalRequestCounter.isTripped()) {
+    metrics.rateLimitRejections.inc({ limiter: 'global_breaker', route: '/v1/chat/completions' });
     res.statusCode = 429;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
@@ -1172,26 +836,30 @@ module.exports = async (req, res) => {
     return; // 如果被限制，直接返回
   }
 
-  const authKey = req.headers.authorization?.replace('Bearer ', '');
-  const validAuthKey = config.authKey;
+  // 解析密钥对应的租户，挂载到 req.tenant
+  if (await authMiddleware(req, res, req.body?.model)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
+
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, '/v1/chat/completions');
 
-  if (!authKey || authKey !== validAuthKey) {
-    res.statusCode = 401;
+  // 检查图片数量和大小限制，白名单模型同样适用
+  const imageError = validateImageInputs(extractImageParts(req.body?.messages));
+  if (imageError) {
+    res.statusCode = 400;
     res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "无效的认证密钥",
-        type: ErrorTypes.AUTHENTICATION,
-        code: ErrorCodes.INVALID_AUTH_KEY
-      }
-    }));
+    res.end(JSON.stringify(imageError));
+    return;
+  }
+
+  // 检查密钥和模型的每分钟令牌数限制
+  if (await tokenLimitMiddleware(req, res)) {
     return;
   }
 
   const firstProviderUrl = config.firstProvider.url;
   const firstProviderKey = config.firstProvider.key;
-  const secondProviderUrl = config.secondProvider.url;
-  const secondProviderKey = config.secondProvider.key;
 
   try {
     if (req.body.stream) {
@@ -1199,18 +867,14 @@ module.exports = async (req, res) => {
         req,
         res,
         firstProviderUrl,
-        secondProviderUrl,
-        firstProviderKey,
-        secondProviderKey
+        firstProviderKey
       );
     } else {
       await handleNormal(
         req,
         res,
         firstProviderUrl,
-        secondProviderUrl,
-        firstProviderKey,
-        secondProviderKey
+        firstProviderKey
       );
     }
   } catch (error) {
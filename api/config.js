@@ -1,5 +1,10 @@
 // config.js - 集中管理环境变量和错误常量
 
+const fs = require('fs');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const metrics = require('../utils/metrics');
+
 // 错误类型常量
 const ErrorTypes = {
   INVALID_REQUEST: 'invalid_request_error',    // 请求参数错误
@@ -14,14 +19,32 @@ const ErrorTypes = {
 const ErrorCodes = {
   INVALID_AUTH_KEY: 'invalid_auth_key',        // 无效的认证密钥
   CONTENT_VIOLATION: 'content_violation',      // 内容违规
+  CONTENT_UNDER_REVIEW: 'content_under_review', // 内容等待人工复核
   RETRY_TIMEOUT: 'retry_timeout',              // 重试超时
   STREAM_TIMEOUT: 'stream_timeout',            // 流式响应超时
   SERVICE_UNAVAILABLE: 'service_unavailable',  // 服务不可用
   INTERNAL_ERROR: 'internal_error',            // 内部错误
   INVALID_TEMPERATURE: 'invalid_temperature',  // 无效的temperature参数
   RATE_LIMIT_EXCEEDED: 'rate_limit_exceeded',  // 超过速率限制
+  KEY_DISABLED: 'key_disabled',                // 密钥已禁用
+  KEY_EXPIRED: 'key_expired',                  // 密钥已过期
+  MODEL_NOT_ALLOWED: 'model_not_allowed',      // 密钥无权使用该模型
+  KEY_QUOTA_EXCEEDED: 'key_quota_exceeded',    // 密钥超过请求配额
+  MODEL_NOT_SUPPORTED: 'model_not_supported',  // 没有服务商可以处理该模型
+  IMAGE_INPUT_NOT_ALLOWED: 'image_input_not_allowed', // 不接受图片输入
+  TOO_MANY_IMAGES: 'too_many_images',          // 图片数量超过限制
+  IMAGE_TOO_LARGE: 'image_too_large',          // 图片大小超过限制
+  ADMIN_DISABLED: 'admin_disabled',            // 未配置管理密钥，管理接口未启用
+  NOT_FOUND: 'not_found',                      // 资源不存在
+  TOKEN_LIMIT_EXCEEDED: 'token_limit_exceeded', // 超过每分钟令牌数限制
+  REQUEST_TOO_LARGE: 'request_too_large',      // 请求的令牌数超过每分钟令牌数限制的上限
+  IP_NOT_ALLOWED: 'ip_not_allowed',            // 客户端IP被禁止访问
 };
 
+// 熔断器状态变化事件：trip / reset，事件参数为 { name, tripped, resetTime, updatedAt }
+// 使用共享状态存储时，由 stateStore 订阅并同步到其他实例
+const circuitBreakerEvents = new EventEmitter();
+
 // 全局请求计数器，用于检测异常请求模式
 const globalRequestCounter = {
   count: 0,
@@ -29,6 +52,7 @@ const globalRequestCounter = {
   threshold: 500, // 1秒内超过500个请求视为异常
   isCircuitBreakerTripped: false,
   circuitBreakerResetTime: 0,
+  stateUpdatedAt: 0, // 熔断状态最后一次变化的时间，用于多实例同步时判断新旧
   
   // 增加请求计数
   increment() {
@@ -47,6 +71,9 @@ const globalRequestCounter = {
       console.error(`检测到异常请求模式: ${this.count} 请求/秒，触发全局熔断器`);
       this.isCircuitBreakerTripped = true;
       this.circuitBreakerResetTime = now + 60000; // 熔断器保持60秒
+      this.stateUpdatedAt = now;
+      metrics.circuitBreakerTrips.inc({ breaker: 'global', reason: 'traffic' });
+      emitCircuitBreakerChange('global', this);
     }
     
     // 检查是否重置熔断器
@@ -58,6 +85,24 @@ const globalRequestCounter = {
     return this.isCircuitBreakerTripped;
   },
   
+  // 手动触发全局熔断器
+  trip(duration = 60000) {
+    this.isCircuitBreakerTripped = true;
+    this.circuitBreakerResetTime = Date.now() + duration;
+    this.stateUpdatedAt = Date.now();
+    metrics.circuitBreakerTrips.inc({ breaker: 'global', reason: 'manual' });
+    emitCircuitBreakerChange('global', this);
+  },
+
+  // 手动重置全局熔断器
+  reset() {
+    this.isCircuitBreakerTripped = false;
+    this.circuitBreakerResetTime = 0;
+    this.count = 0;
+    this.stateUpdatedAt = Date.now();
+    emitCircuitBreakerChange('global', this);
+  },
+
   // 检查熔断器状态
   isTripped() {
     // 如果熔断器已触发，检查是否可以重置
@@ -75,10 +120,192 @@ const globalRequestCounter = {
   }
 };
 
+// 解析密钥过期时间，支持ISO日期字符串或毫秒时间戳
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const time = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isNaN(time) ? null : time;
+}
+
+// 从JSON文件加载虚拟API密钥
+// 文件格式: { "keys": [{ "key": "sk-xxx", "name": "team-a", "enabled": true, "models": ["gpt-4*"], "rpm": 60, "tpm": 100000, "dailyLimit": 1000, "expiresAt": "2025-12-31T00:00:00Z" }] }
+function loadApiKeys(filePath) {
+  if (!filePath) return [];
+
+  try {
+    const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const entries = Array.isArray(raw) ? raw : (raw.keys || []);
+
+    return entries
+      .filter(entry => entry && typeof entry.key === 'string' && entry.key.trim() !== '')
+      .map(entry => {
+        const key = entry.key.trim();
+        // 密钥ID只取哈希前缀，避免在日志中泄露原始密钥
+        const keyId = crypto.createHash('sha256').update(key).digest('hex').substring(0, 12);
+        return {
+          key,
+          keyId,
+          name: entry.name || keyId,
+          enabled: entry.enabled !== false,
+          models: Array.isArray(entry.models)
+            ? entry.models.map(model => String(model).trim().toLowerCase()).filter(Boolean)
+            : [],
+          rpm: parseInt(entry.rpm || '0'),
+          tpm: parseInt(entry.tpm || '0'),
+          dailyLimit: parseInt(entry.dailyLimit || '0'),
+          expiresAt: parseExpiry(entry.expiresAt),
+          // 该密钥的审核策略，覆盖全局和模型策略
+          policy: entry.policy || null,
+          // 按审核场景覆盖的策略，如 { "image": "1-2:allow,3-5:block" }
+          scopePolicies: entry.scopePolicies || {}
+        };
+      });
+  } catch (error) {
+    console.error(`[密钥库] 加载密钥文件失败 (${filePath})：`, error.message);
+    return [];
+  }
+}
+
+// 解析JSON格式的环境变量，解析失败时返回默认值
+function parseJsonEnv(name, defaultValue) {
+  if (!process.env[name]) return defaultValue;
+  try {
+    return JSON.parse(process.env[name]);
+  } catch (error) {
+    console.error(`[配置] 解析环境变量 ${name} 失败：`, error.message);
+    return defaultValue;
+  }
+}
+
+// 规范化备用服务商列表
+// 每个备用服务商可以引用已配置的服务商 { "provider": "name" }，
+// 也可以单独配置 { "name": "backup", "url": "...", "key": "..." }，并可选配置模型映射 modelMap
+function normalizeFallbacks(entries, ownerName) {
+  return (Array.isArray(entries) ? entries : [])
+    .filter(entry => entry && (entry.provider || entry.url))
+    .map((entry, index) => ({
+      ref: entry.provider ? String(entry.provider) : null,
+      name: entry.provider ? String(entry.provider) : String(entry.name || `${ownerName}-fallback-${index + 1}`),
+      url: entry.url ? String(entry.url).replace(/\/+$/, '') : null,
+      keys: (Array.isArray(entry.keys) ? entry.keys : [entry.key]).filter(Boolean),
+      models: [],
+      priority: 0,
+      fallbacks: [],
+      // 模型映射，例如 { "gpt-4o": "gpt-4o-mini", "*": "default-model" }
+      modelMap: entry.modelMap && typeof entry.modelMap === 'object' ? entry.modelMap : {}
+    }));
+}
+
+// 加载主服务商列表
+// 通过 PROVIDERS_FILE（JSON文件）或 PROVIDERS（JSON字符串）配置多个服务商：
+// [{ "name": "openai", "url": "https://api.openai.com", "keys": ["sk-1", "sk-2"], "models": ["gpt-*", "o3*"], "priority": 10, "fallbacks": [{ "provider": "azure" }] }]
+// 未配置时使用 SECOND_PROVIDER_URL / SECOND_PROVIDER_KEY 作为唯一的默认服务商
+// FALLBACK_PROVIDERS 为未单独配置 fallbacks 的服务商提供默认的备用链
+function loadProviders() {
+  let entries = [];
+
+  try {
+    if (process.env.PROVIDERS_FILE) {
+      entries = JSON.parse(fs.readFileSync(process.env.PROVIDERS_FILE, 'utf8'));
+    } else if (process.env.PROVIDERS) {
+      entries = JSON.parse(process.env.PROVIDERS);
+    }
+  } catch (error) {
+    console.error('[服务商] 解析服务商配置失败：', error.message);
+    entries = [];
+  }
+
+  const defaultFallbacks = parseJsonEnv('FALLBACK_PROVIDERS', []);
+
+  const providers = (Array.isArray(entries) ? entries : [])
+    .filter(entry => entry && entry.name && entry.url)
+    .map(entry => ({
+      name: String(entry.name),
+      url: String(entry.url).replace(/\/+$/, ''),
+      keys: (Array.isArray(entry.keys) ? entry.keys : [entry.key]).filter(Boolean),
+      // 模型匹配模式，留空表示该服务商可以处理任意模型（兜底服务商）
+      models: Array.isArray(entry.models)
+        ? entry.models.map(model => String(model).trim().toLowerCase()).filter(Boolean)
+        : [],
+      priority: parseInt(entry.priority || '0'),
+      fallbacks: normalizeFallbacks(entry.fallbacks || defaultFallbacks, entry.name)
+    }));
+
+  if (providers.length === 0 && process.env.SECOND_PROVIDER_URL) {
+    providers.push({
+      name: 'default',
+      url: process.env.SECOND_PROVIDER_URL.replace(/\/+$/, ''),
+      keys: [process.env.SECOND_PROVIDER_KEY].filter(Boolean),
+      models: [],
+      priority: 0,
+      fallbacks: normalizeFallbacks(defaultFallbacks, 'default')
+    });
+  }
+
+  return providers;
+}
+
+// 加载审核策略
+// MODERATION_POLICY 为全局策略，如 "1-2:allow,3-4:warn,5:block"
+// MODERATION_POLICY_FILE 可按模型配置策略：{ "default": "...", "models": { "kids-*": "1-2:allow,3-5:block" } }
+function loadModerationPolicy() {
+  const policy = {
+    default: process.env.MODERATION_POLICY || null,
+    models: {},
+    // 按审核场景（如图像生成提示词）单独配置的策略，结构与顶层相同
+    scopes: {}
+  };
+
+  if (process.env.MODERATION_POLICY_FILE) {
+    try {
+      const filePolicy = JSON.parse(fs.readFileSync(process.env.MODERATION_POLICY_FILE, 'utf8'));
+      policy.default = policy.default || filePolicy.default || null;
+      policy.models = filePolicy.models || {};
+      policy.scopes = filePolicy.scopes || {};
+    } catch (error) {
+      console.error(`[审核策略] 加载策略文件失败 (${process.env.MODERATION_POLICY_FILE})：`, error.message);
+    }
+  }
+
+  // 默认只拦截 Level 5，与审核提示词的 isViolation 判定一致
+  policy.default = policy.default || '1-4:allow,5:block';
+
+  // 图像生成的提示词默认从 Level 3 开始拦截
+  const imageScope = policy.scopes.image || {};
+  policy.scopes.image = {
+    default: process.env.IMAGE_MODERATION_POLICY || imageScope.default || '1-2:allow,3-5:block',
+    models: imageScope.models || {}
+  };
+  return policy;
+}
+
+// 创建服务商熔断状态
+function createServiceHealthState() {
+  return {
+    isHealthy: true,
+    failureCount: 0,
+    lastFailureTime: 0,
+    lastCheckTime: 0,
+    circuitBreakerTripped: false,
+    circuitBreakerResetTime: 0,
+    stateUpdatedAt: 0
+  };
+}
+
+const providers = loadProviders();
+
 // 集中管理的配置
 const config = {
   // API认证
   authKey: process.env.AUTH_KEY,
+  // 管理接口（/admin/*）的认证密钥，未设置时禁用管理接口
+  adminKey: process.env.ADMIN_KEY,
+  // /metrics 的抓取密钥，未设置时不需要认证
+  metricsKey: process.env.METRICS_KEY,
+
+  // 虚拟API密钥（多租户），未配置时仅使用AUTH_KEY
+  apiKeysFile: process.env.API_KEYS_FILE,
+  apiKeys: loadApiKeys(process.env.API_KEYS_FILE),
   
   // 第一提供商配置（审核服务）
   firstProvider: {
@@ -94,12 +321,127 @@ const config = {
     ? process.env.WHITELISTED_MODELS.split(',').map(model => model.trim().toLowerCase()).filter(Boolean)
     : [],
   
-  // 第二提供商配置（主要服务）
-  secondProvider: {
-    url: process.env.SECOND_PROVIDER_URL,
-    key: process.env.SECOND_PROVIDER_KEY
+  // 主服务商列表（按模型名路由）
+  providers,
+
+  // 音频接口
+  audio: {
+    // 上传音频文件的最大字节数，与 OpenAI 的限制相同
+    maxFileBytes: parseInt(process.env.AUDIO_MAX_FILE_BYTES || '26214400'),
+    // 语音合成输入文本的最大字符数
+    maxSpeechInputChars: parseInt(process.env.SPEECH_MAX_INPUT_CHARS || '4096')
+  },
+
+  // 文本向量：是否审核输入文本，批量建立索引时默认不审核
+  embeddings: {
+    moderation: process.env.EMBEDDINGS_MODERATION === 'true'
+  },
+
+  // 聊天补全请求的参数处理
+  chat: {
+    // 请求未指定 max_tokens 和 max_completion_tokens 时使用的 max_tokens，0 表示不设置
+    defaultMaxTokens: parseInt(process.env.DEFAULT_MAX_TOKENS || '0'),
+    // 按模型名模式配置的参数规则 { "o3*": { "temperature": { "action": "reject", "allow": [0] } } }，
+    // 未设置时使用 utils/paramRules.js 中的默认规则
+    paramRules: parseJsonEnv('PARAM_RULES', null)
   },
   
+  // 内容审核设置
+  moderation: {
+    // 内容审核总开关，可通过管理接口在运行时切换
+    enabled: process.env.MODERATION_ENABLED !== 'false',
+    // 是否审核上游模型的输出内容
+    outputEnabled: process.env.ENABLE_OUTPUT_MODERATION === 'true',
+    // 流式输出审核检查点：新增字符数或间隔毫秒数，先到者触发
+    streamCheckChars: parseInt(process.env.STREAM_MODERATION_CHARS || '500'),
+    streamCheckInterval: parseInt(process.env.STREAM_MODERATION_INTERVAL || '5000'),
+    // 每个检查点只审核新增文本，带上已审核文本末尾的字符数，避免违规内容跨越检查点
+    streamCheckOverlap: parseInt(process.env.STREAM_MODERATION_OVERLAP || '200'),
+    // 是否暂存未审核的流式数据，确保违规内容不会发送给客户端
+    streamHoldback: process.env.STREAM_MODERATION_HOLDBACK === 'true',
+    // 审核结果缓存：最大条目数（0为禁用）和有效期(毫秒)
+    cacheSize: parseInt(process.env.MODERATION_CACHE_SIZE || '1000'),
+    cacheTtl: parseInt(process.env.MODERATION_CACHE_TTL || '3600000'),
+    // 风险等级对应的审核动作策略
+    policy: loadModerationPolicy(),
+    // 本地关键词/正则规则文件，在调用审核模型之前执行
+    rulesFile: process.env.MODERATION_RULES_FILE,
+    // 审核图片内容的视觉模型，未配置时使用 FIRST_PROVIDER_MODELS 中的审核模型
+    visionModel: process.env.VISION_MODERATION_MODEL,
+    // 每个请求允许的最大图片数量和单张图片的最大字节数（0为不限制）
+    maxImagesPerRequest: parseInt(process.env.MAX_IMAGES_PER_REQUEST || '10'),
+    maxImageBytes: parseInt(process.env.MAX_IMAGE_BYTES || '5242880'),
+    // 是否直接拒绝包含图片的请求
+    rejectImageInputs: process.env.REJECT_IMAGE_INPUTS === 'true',
+    // 音频转录结果的审核方式：off 不审核，redact 违规时屏蔽文本，block 违规时返回错误
+    audioOutputMode: (process.env.AUDIO_OUTPUT_MODERATION || 'off').toLowerCase()
+  },
+  
+  // 审核日志持久化：追加写入的JSONL文件，超过大小上限时轮转
+  auditLog: {
+    enabled: process.env.AUDIT_LOG_ENABLED !== 'false',
+    dir: process.env.AUDIT_LOG_DIR || './logs',
+    maxBytes: parseInt(process.env.AUDIT_LOG_MAX_BYTES || '10485760'),
+    maxFiles: parseInt(process.env.AUDIT_LOG_MAX_FILES || '5')
+  },
+
+  // 用量统计：按租户、模型和服务商汇总到每小时和每天的统计桶，保存在本地JSON文件
+  usage: {
+    enabled: process.env.USAGE_ENABLED !== 'false',
+    dir: process.env.USAGE_DIR || './logs',
+    hourlyRetentionDays: parseInt(process.env.USAGE_HOURLY_RETENTION_DAYS || '7'),
+    dailyRetentionDays: parseInt(process.env.USAGE_DAILY_RETENTION_DAYS || '365'),
+    // 写入文件的间隔(毫秒)
+    flushInterval: parseInt(process.env.USAGE_FLUSH_INTERVAL || '5000')
+  },
+
+  // 共享状态存储：速率限制计数、熔断器状态和审核缓存
+  // memory 为进程内存储（默认）；redis 通过 Redis 协议在多个实例之间共享状态
+  stateStore: {
+    backend: (process.env.STATE_BACKEND || 'memory').toLowerCase(),
+    redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+    keyPrefix: process.env.STATE_KEY_PREFIX || 'transit-filter:',
+    // 从共享存储拉取熔断器状态的间隔(毫秒)
+    syncInterval: parseInt(process.env.STATE_SYNC_INTERVAL || '2000')
+  },
+
+  // 客户端IP：逗号分隔的CIDR列表，支持单个地址和 loopback、private、linklocal 别名
+  network: {
+    // 受信任的反向代理，只有来自这些地址的 X-Forwarded-For 才会被采用；* 表示信任所有代理，
+    // 只适用于会覆盖该请求头的平台（如 Vercel），Vercel 部署时默认为 *
+    trustedProxies: process.env.TRUSTED_PROXIES ?? (process.env.VERCEL ? '*' : ''),
+    // 允许访问的客户端IP，为空表示不限制
+    ipAllowlist: process.env.IP_ALLOWLIST || '',
+    // 禁止访问的客户端IP，优先于允许列表
+    ipDenylist: process.env.IP_DENYLIST || ''
+  },
+
+  // 速率限制算法和按路径的规则，各路径的基础限制仍由 *_RPM 设置
+  rateLimit: {
+    // fixed-window / sliding-window-log / sliding-window-counter / token-bucket
+    algorithm: (process.env.RATE_LIMIT_ALGORITHM || 'sliding-window-counter').toLowerCase(),
+    // 单个IP在某个路径上的限制占路径限制的比例，0 表示不单独限制
+    ipRatio: parseFloat(process.env.RATE_LIMIT_IP_RATIO || '0.25'),
+    // 按路径覆盖的规则 { "/v1/chat/completions": { limit, algorithm, burst, ipLimit, ipBurst } }，
+    // 键 global_ip 用于单个IP在所有路径上的限制
+    rules: parseJsonEnv('RATE_LIMIT_RULES', {})
+  },
+
+  // 每分钟令牌数(TPM)限制：密钥的限制在 API_KEYS_FILE 中配置，模型的限制按模型名模式配置
+  tokenLimits: {
+    // { "gpt-4o": 300000, "gpt-4*": 100000 }，同一模式匹配的所有模型共用一个额度
+    models: Object.fromEntries(
+      Object.entries(parseJsonEnv('MODEL_TPM', {})).map(([pattern, limit]) => [pattern.trim().toLowerCase(), parseInt(limit)])
+    )
+  },
+
+  // 就绪检查的后台探测：定时请求各服务商和审核服务的 /v1/models，结果缓存供 /readyz 使用
+  healthCheck: {
+    // 探测间隔(毫秒)，0 表示不在后台探测，只在 /readyz 首次请求时探测一次
+    probeInterval: parseInt(process.env.HEALTH_PROBE_INTERVAL || '60000'),
+    probeTimeout: parseInt(process.env.HEALTH_PROBE_TIMEOUT || '10000')
+  },
+
   // 重试和超时设置
   timeouts: {
     maxRetryTime: parseInt(process.env.MAX_RETRY_TIME || '90000'),
@@ -114,7 +456,11 @@ const config = {
     chat: parseInt(process.env.CHAT_RPM || '60'),
     images: parseInt(process.env.IMAGES_RPM || '20'),
     audio: parseInt(process.env.AUDIO_RPM || '20'),
-    models: parseInt(process.env.MODELS_RPM || '100')
+    speech: parseInt(process.env.SPEECH_RPM || '20'),
+    moderations: parseInt(process.env.MODERATIONS_RPM || '60'),
+    embeddings: parseInt(process.env.EMBEDDINGS_RPM || '60'),
+    models: parseInt(process.env.MODELS_RPM || '100'),
+    usage: parseInt(process.env.USAGE_RPM || '30')
   },
   
   // 服务商熔断配置
@@ -123,23 +469,64 @@ const config = {
     errorWindow: parseInt(process.env.PROVIDER_ERROR_WINDOW || '60000'),
   },
   
-  // 服务健康状态监控
+  // 服务健康状态监控，每个主服务商拥有独立的熔断状态
   serviceHealth: {
     firstProvider: {
       // 完全简化，不需要任何熔断相关字段
       isHealthy: true
     },
-    secondProvider: {
-      isHealthy: true,
-      failureCount: 0,
-      lastFailureTime: 0,
-      lastCheckTime: 0,
-      circuitBreakerTripped: false,
-      circuitBreakerResetTime: 0
-    }
+    ...Object.fromEntries(providers.map(provider => [provider.name, createServiceHealthState()])),
+    // 单独配置的备用服务商同样拥有独立的熔断状态
+    ...Object.fromEntries(providers
+      .flatMap(provider => provider.fallbacks)
+      .filter(fallback => !fallback.ref)
+      .map(fallback => [fallback.name, createServiceHealthState()]))
   }
 };
 
+// 重新加载虚拟API密钥文件，用于吊销或新增密钥而无需重启
+function reloadApiKeys() {
+  config.apiKeys = loadApiKeys(config.apiKeysFile);
+  console.log(`[密钥库] 已加载 ${config.apiKeys.length} 个虚拟密钥`);
+  return config.apiKeys;
+}
+
+// 检查模型名是否匹配模式列表（不区分大小写，支持 gpt-4*、*o3* 形式的通配符）
+function matchesModelPattern(modelName, patterns) {
+  if (!modelName || !patterns) return false;
+
+  const lowerModelName = modelName.toLowerCase();
+
+  return patterns.some(pattern => {
+    // 单独的 * 匹配所有模型
+    if (pattern === '*') return true;
+
+    // 精确匹配
+    if (lowerModelName === pattern) return true;
+
+    // 通配符匹配（如：gpt-4*可以匹配所有gpt-4开头的模型，*o3*可以匹配 openai/o3-mini、azure-o3）
+    if (pattern.includes('*')) {
+      const parts = pattern.split('*');
+      let position = 0;
+      for (let index = 0; index < parts.length; index++) {
+        const part = parts[index];
+        if (index === 0) {
+          if (!lowerModelName.startsWith(part)) return false;
+          position = part.length;
+        } else if (index === parts.length - 1) {
+          return part === '' || (lowerModelName.length - part.length >= position && lowerModelName.endsWith(part));
+        } else {
+          const found = lowerModelName.indexOf(part, position);
+          if (found === -1) return false;
+          position = found + part.length;
+        }
+      }
+    }
+
+    return false;
+  });
+}
+
 // 处理错误并返回格式化后的错误信息
 function handleError(error) {
   // 记录详细的错误信息用于调试
@@ -214,36 +601,48 @@ function handleError(error) {
   };
 }
 
+// 获取服务商的熔断状态，未知服务商会自动创建
+function getServiceHealth(provider) {
+  if (!config.serviceHealth[provider]) {
+    config.serviceHealth[provider] = createServiceHealthState();
+  }
+  return config.serviceHealth[provider];
+}
+
+// 检查熔断器是否已到期，到期则重置
+function resetExpiredCircuitBreaker(provider, health, now) {
+  if (health.circuitBreakerTripped && now > health.circuitBreakerResetTime) {
+    console.log(`[熔断器] ${provider} 服务熔断器已到期，重置熔断状态，时间：${new Date(now).toISOString()}`);
+    health.circuitBreakerTripped = false;
+    health.failureCount = 0;
+  }
+}
+
 // 检查熔断器状态
 function checkCircuitBreaker(provider) {
+  const now = Date.now();
+
   // 如果是审核服务提供商，只检查主服务提供商的熔断状态
   if (provider === 'firstProvider') {
-    const mainServiceHealth = config.serviceHealth['secondProvider'];
-    // 检查主服务熔断器是否已到期
-    if (mainServiceHealth.circuitBreakerTripped && Date.now() > mainServiceHealth.circuitBreakerResetTime) {
-      console.log(`[熔断器] 主服务熔断器已到期，重置熔断状态，时间：${new Date().toISOString()}`);
-      mainServiceHealth.circuitBreakerTripped = false;
-      mainServiceHealth.failureCount = 0;
-    }
-    
-    // 如果主服务熔断，审核服务也熔断
-    if (mainServiceHealth.circuitBreakerTripped) {
-      console.log(`[熔断器] 审核服务跟随主服务熔断状态，当前主服务已熔断`);
+    if (config.providers.length === 0) return true;
+
+    // 所有主服务都熔断时，审核服务也熔断，避免浪费审核请求
+    const allTripped = config.providers.every(mainProvider => {
+      const health = getServiceHealth(mainProvider.name);
+      resetExpiredCircuitBreaker(mainProvider.name, health, now);
+      return health.circuitBreakerTripped;
+    });
+
+    if (allTripped) {
+      console.log(`[熔断器] 审核服务跟随主服务熔断状态，当前所有主服务均已熔断`);
       return false;
     }
     return true;
   }
   
   // 以下处理主服务熔断状态
-  const health = config.serviceHealth[provider];
-  
-  // 检查熔断器是否已到期
-  if (health.circuitBreakerTripped && Date.now() > health.circuitBreakerResetTime) {
-    console.log(`[熔断器] ${provider} 服务熔断器已到期，重置熔断状态，时间：${new Date().toISOString()}`);
-    health.circuitBreakerTripped = false;
-    health.failureCount = 0;
-    return true;
-  }
+  const health = getServiceHealth(provider);
+  resetExpiredCircuitBreaker(provider, health, now);
   
   return !health.circuitBreakerTripped;
 }
@@ -256,7 +655,7 @@ function recordServiceFailure(provider) {
   }
   
   // 只处理主服务商的失败记录
-  const health = config.serviceHealth[provider];
+  const health = getServiceHealth(provider);
   const now = Date.now();
   
   // 添加此段：检查是否超过错误窗口时间，如果超过则重置计数
@@ -276,28 +675,136 @@ function recordServiceFailure(provider) {
     health.circuitBreakerTripped = true;
     health.circuitBreakerResetTime = now + 60000; // 熔断60秒
     health.failureCount = 0;
-    console.log(`[熔断器] 主服务已熔断，将在 ${new Date(health.circuitBreakerResetTime).toISOString()} 恢复`);
+    health.stateUpdatedAt = now;
+    metrics.circuitBreakerTrips.inc({ breaker: provider, reason: 'failures' });
+    emitCircuitBreakerChange(provider, health);
+    console.log(`[熔断器] ${provider} 主服务已熔断，将在 ${new Date(health.circuitBreakerResetTime).toISOString()} 恢复`);
   }
 }
 
+// 手动触发服务商熔断器
+function tripCircuitBreaker(provider, duration = 60000) {
+  const health = getServiceHealth(provider);
+  health.circuitBreakerTripped = true;
+  health.circuitBreakerResetTime = Date.now() + duration;
+  health.stateUpdatedAt = Date.now();
+  metrics.circuitBreakerTrips.inc({ breaker: provider, reason: 'manual' });
+  emitCircuitBreakerChange(provider, health);
+  console.warn(`[熔断器] ${provider} 服务熔断器已被手动触发，将在 ${new Date(health.circuitBreakerResetTime).toISOString()} 恢复`);
+}
+
+// 手动重置服务商熔断器和错误计数
+function resetCircuitBreaker(provider) {
+  const health = getServiceHealth(provider);
+  health.circuitBreakerTripped = false;
+  health.circuitBreakerResetTime = 0;
+  health.failureCount = 0;
+  health.lastFailureTime = 0;
+  health.stateUpdatedAt = Date.now();
+  emitCircuitBreakerChange(provider, health);
+  console.warn(`[熔断器] ${provider} 服务熔断器已被手动重置`);
+}
+
+// 通知熔断器状态变化，global 为全局熔断器，其他为服务商名称
+function emitCircuitBreakerChange(name, state) {
+  const tripped = name === 'global' ? state.isCircuitBreakerTripped : state.circuitBreakerTripped;
+  circuitBreakerEvents.emit(tripped ? 'trip' : 'reset', {
+    name,
+    tripped,
+    resetTime: state.circuitBreakerResetTime,
+    updatedAt: state.stateUpdatedAt
+  });
+}
+
+// 运行时开关（管理接口修改，使用共享状态存储时同步到所有实例）
+function describeRuntimeSettings() {
+  return {
+    enableRetry: config.timeouts.enableRetry,
+    moderationEnabled: config.moderation.enabled
+  };
+}
+
+// 应用运行时开关，只修改提供了的开关
+function applyRuntimeSettings(settings) {
+  if (!settings) return;
+  if (typeof settings.enableRetry === 'boolean') {
+    config.timeouts.enableRetry = settings.enableRetry;
+  }
+  if (typeof settings.moderationEnabled === 'boolean') {
+    config.moderation.enabled = settings.moderationEnabled;
+  }
+}
+
+// 应用其他实例同步过来的熔断器状态，不触发事件和指标
+// 只接受比本地更新的状态，返回是否发生了变化
+function applyCircuitBreakerState(name, state) {
+  const target = name === 'global' ? globalRequestCounter : getServiceHealth(name);
+  if (!state || state.updatedAt <= target.stateUpdatedAt) return false;
+
+  if (name === 'global') {
+    target.isCircuitBreakerTripped = state.tripped;
+    if (!state.tripped) target.count = 0;
+  } else {
+    target.circuitBreakerTripped = state.tripped;
+    if (!state.tripped) {
+      target.failureCount = 0;
+      target.lastFailureTime = 0;
+    }
+  }
+  target.circuitBreakerResetTime = state.resetTime;
+  target.stateUpdatedAt = state.updatedAt;
+  console.log(`[熔断器] 已同步其他实例的 ${name} 熔断器状态：${state.tripped ? `熔断至 ${new Date(state.resetTime).toISOString()}` : '已重置'}`);
+  return true;
+}
+
+// 获取全局熔断器和各服务商熔断器的状态，firstProvider 跟随主服务商的熔断状态，不单独列出
+function describeCircuitBreakers() {
+  const now = Date.now();
+  const providers = Object.entries(config.serviceHealth)
+    .filter(([name]) => name !== 'firstProvider')
+    .map(([name, health]) => ({
+      name,
+      tripped: health.circuitBreakerTripped && now <= health.circuitBreakerResetTime,
+      failureCount: health.failureCount,
+      maxErrors: config.serviceHealthConfig.maxErrors,
+      lastFailureTime: health.lastFailureTime ? new Date(health.lastFailureTime).toISOString() : null,
+      resetTime: health.circuitBreakerTripped ? new Date(health.circuitBreakerResetTime).toISOString() : null
+    }));
+
+  return {
+    global: {
+      name: 'global',
+      tripped: globalRequestCounter.isCircuitBreakerTripped && now <= globalRequestCounter.circuitBreakerResetTime,
+      requestsPerSecond: globalRequestCounter.count,
+      threshold: globalRequestCounter.threshold,
+      resetTime: globalRequestCounter.isCircuitBreakerTripped ? new Date(globalRequestCounter.circuitBreakerResetTime).toISOString() : null
+    },
+    providers
+  };
+}
+
 // 定时检查熔断器状态，自动重置过期的熔断器
 const circuitBreakerCheckInterval = setInterval(() => {
   const now = Date.now();
   
   // 只检查主服务熔断器状态
-  const mainServiceHealth = config.serviceHealth['secondProvider'];
-  if (mainServiceHealth.circuitBreakerTripped && now > mainServiceHealth.circuitBreakerResetTime) {
-    console.log(`[定时器] 主服务熔断器已到期，自动重置，当前时间：${new Date().toISOString()}`);
-    mainServiceHealth.circuitBreakerTripped = false;
-    mainServiceHealth.failureCount = 0;
-  }
-  
-  // 添加此段：检查错误计数时间窗口
-  if (!mainServiceHealth.circuitBreakerTripped && 
-      mainServiceHealth.lastFailureTime > 0 && 
-      now - mainServiceHealth.lastFailureTime > config.serviceHealthConfig.errorWindow) {
-    console.log(`[定时器] 主服务错误计数窗口(${config.serviceHealthConfig.errorWindow/1000}秒)已过期，自动重置，当前时间：${new Date().toISOString()}`);
-    mainServiceHealth.failureCount = 0;
+  for (const [provider, health] of Object.entries(config.serviceHealth)) {
+    if (provider === 'firstProvider') continue;
+
+    if (health.circuitBreakerTripped && now > health.circuitBreakerResetTime) {
+      console.log(`[定时器] ${provider} 主服务熔断器已到期，自动重置，当前时间：${new Date().toISOString()}`);
+      health.circuitBreakerTripped = false;
+      health.failureCount = 0;
+    }
+    
+    // 添加此段：检查错误计数时间窗口
+    if (!health.circuitBreakerTripped && 
+        health.lastFailureTime > 0 && 
+        now - health.lastFailureTime > config.serviceHealthConfig.errorWindow &&
+        health.failureCount > 0) {
+      console.log(`[定时器] ${provider} 主服务错误计数窗口(${config.serviceHealthConfig.errorWindow/1000}秒)已过期，自动重置，当前时间：${new Date().toISOString()}`);
+      health.failureCount = 0;
+    }
   }
 }, 10000); // 每10秒检查一次
 
@@ -373,7 +880,9 @@ const moderationPrompts = {
 你是一位资深的内容安全审核专家,拥有丰富的内容审核经验,需要严格按照平台内容安全规范进行专业审核。你需要以严谨的态度对所有内容进行安全合规把关,重点基于5个等级识别和判断违规内容。
 
 现在继续执行内容安全审核任务，不用解释或说明，直接按照JSON格式输出：
-`
+`,
+
+  VISION_USER_CONTENT: `以下是用户在对话中提交的图片，请按照同样的5级内容安全评级标准审核每一张图片的画面内容以及图片中出现的文字，以风险最高的图片作为整体的风险等级：`
 };
 
 module.exports = {
@@ -381,8 +890,18 @@ module.exports = {
   ErrorTypes,
   ErrorCodes,
   handleError,
+  reloadApiKeys,
+  matchesModelPattern,
+  getServiceHealth,
   checkCircuitBreaker,
   recordServiceFailure,
+  tripCircuitBreaker,
+  resetCircuitBreaker,
+  describeCircuitBreakers,
+  applyCircuitBreakerState,
+  describeRuntimeSettings,
+  applyRuntimeSettings,
+  circuitBreakerEvents,
   globalRequestCounter,
   moderationPrompts
 };
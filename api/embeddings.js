@@ -0,0 +1,198 @@
+const axios = require('axios');
+const { config, ErrorTypes, ErrorCodes, handleError } = require('./config.js');
+const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const authMiddleware = require('../utils/authMiddleware');
+const { PolicyActions } = require('../utils/moderationPolicy');
+const { performModeration, isModerationRejection } = require('../utils/moderation');
+const { resolveProvider, buildProviderConfig } = require('../utils/providers');
+const { usageStore } = require('../utils/usageStore');
+const metrics = require('../utils/metrics');
+
+// 转发给上游的向量参数（OpenAI Embeddings 规范）
+const EMBEDDING_PARAMS = ['input', 'model', 'encoding_format', 'dimensions', 'user'];
+
+function sendError(res, status, message, type, code) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: { message, type, code } }));
+}
+
+function isTokenArray(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(Number.isInteger);
+}
+
+/**
+ * 提取需要审核的文本：字符串、字符串数组按原文审核，令牌数组无法还原文本，不审核
+ * @param {string|Array} input - 请求中的 input
+ * @returns {Array<string>|null} 待审核的文本，令牌输入返回空数组，input 无效时返回null
+ */
+function extractInputTexts(input) {
+  if (typeof input === 'string') {
+    return input ? [input] : null;
+  }
+  if (!Array.isArray(input) || input.length === 0) return null;
+
+  if (input.every(item => typeof item === 'string')) {
+    return input;
+  }
+  if (isTokenArray(input) || input.every(isTokenArray)) {
+    return [];
+  }
+  return null;
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendError(res, 405, "不支持的请求方法", ErrorTypes.INVALID_REQUEST, "method_not_allowed");
+    return;
+  }
+
+  // 添加速率限制检查
+  if (await rateLimitMiddleware(req, res, '/v1/embeddings')) {
+    return; // 如果被限制，直接返回
+  }
+
+  // 解析密钥对应的租户，挂载到 req.tenant
+  if (await authMiddleware(req, res, req.body?.model)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
+
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, '/v1/embeddings');
+
+  if (!req.body || typeof req.body !== 'object') {
+    sendError(res, 400, "无效的请求体格式", ErrorTypes.INVALID_REQUEST, "invalid_body");
+    return;
+  }
+
+  const { model, input } = req.body;
+  if (!model || typeof model !== 'string') {
+    sendError(res, 400, "模型参数无效", ErrorTypes.INVALID_REQUEST, "invalid_model");
+    return;
+  }
+
+  const texts = extractInputTexts(input);
+  if (!texts) {
+    sendError(res, 400, "input 必须是非空字符串、字符串数组、令牌数组或令牌数组的数组", ErrorTypes.INVALID_REQUEST, "invalid_input");
+    return;
+  }
+
+  // 根据请求的模型名选择服务商
+  const provider = resolveProvider(model);
+
+  if (!provider) {
+    sendError(res, 500, "服务配置缺失", ErrorTypes.SERVICE, ErrorCodes.INTERNAL_ERROR);
+    return;
+  }
+
+  // 批量建立索引时审核会显著增加耗时，需要通过 EMBEDDINGS_MODERATION 开启
+  if (!config.moderation.enabled || !config.embeddings.moderation) {
+    res.setHeader('X-Content-Review-Skipped', 'disabled');
+  } else if (texts.length === 0) {
+    res.setHeader('X-Content-Review-Skipped', 'token_input');
+  } else {
+    try {
+      // 每个字符串作为一条消息审核，重复出现的文本命中逐条消息的审核缓存
+      const moderationResult = await performModeration(
+        texts.map(text => ({ role: 'user', content: text })),
+        config.firstProvider.url,
+        {
+          headers: {
+            'Authorization': `Bearer ${config.firstProvider.key}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+        },
+        {
+          model,
+          tenant: req.tenant,
+          clientIp: req.clientIp,
+          usage: req.usageRecord?.moderation
+        }
+      );
+      res.setHeader('X-Content-Review-ID', moderationResult.logId);
+      res.setHeader('X-Risk-Level', moderationResult.riskLevel);
+      res.setHeader('X-Content-Review-Cache', moderationResult.cacheStatus);
+      if (moderationResult.ruleId) {
+        res.setHeader('X-Content-Review-Rule', moderationResult.ruleId);
+      }
+      if (moderationResult.action === PolicyActions.WARN) {
+        res.setHeader('X-Content-Review-Warning', `riskLevel=${moderationResult.riskLevel}`);
+      }
+    } catch (moderationError) {
+      if (isModerationRejection(moderationError)) {
+        res.statusCode = 403;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(moderationError));
+        return;
+      }
+
+      if (moderationError.error?.circuit_breaker) {
+        console.error(`[熔断器警报] 内容审核服务熔断器已触发，拒绝处理向量请求`);
+        res.statusCode = 503;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(moderationError));
+        return;
+      }
+
+      console.error('Embeddings input moderation error:', moderationError.message || moderationError.error?.message);
+      const errorResponse = handleError(moderationError);
+      res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+        ? errorResponse.error.code
+        : 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(errorResponse));
+      return;
+    }
+  }
+
+  const upstreamBody = {};
+  for (const param of EMBEDDING_PARAMS) {
+    if (req.body[param] !== undefined) {
+      upstreamBody[param] = req.body[param];
+    }
+  }
+
+  if (req.usageRecord) {
+    req.usageRecord.provider = provider.name;
+  }
+  const endTimer = metrics.upstreamDuration.startTimer({ route: '/v1/embeddings', provider: provider.name });
+  try {
+    const response = await axios.post(
+      `${provider.url}/v1/embeddings`,
+      upstreamBody,
+      buildProviderConfig(provider, { maxBodyLength: Infinity, maxContentLength: Infinity })
+    );
+    endTimer({ outcome: 'success' });
+
+    // 向量请求只有输入令牌
+    const usage = response.data?.usage;
+    req.tokenUsage = {
+      promptTokens: usage?.prompt_tokens ?? usage?.total_tokens ?? 0,
+      completionTokens: 0
+    };
+
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(response.data));
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    console.error('Embeddings error:', error.message);
+    const errorResponse = handleError(error);
+    res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+      ? errorResponse.error.code
+      : 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(errorResponse));
+  }
+};
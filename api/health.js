@@ -0,0 +1,65 @@
+const crypto = require('crypto');
+const url = require('url');
+const { config } = require('./config.js');
+const { healthMonitor, ReadinessStatus } = require('../utils/healthCheck');
+
+// 发送JSON响应，健康检查结果不应被缓存
+function sendJson(res, statusCode, data) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.setHeader('Cache-Control', 'no-store');
+  res.end(JSON.stringify(data));
+}
+
+// GET /healthz，存活检查：进程可以响应请求即为健康，不检查上游
+function handleLiveness(req, res) {
+  sendJson(res, 200, {
+    status: 'ok',
+    uptime: Math.floor(process.uptime()),
+    timestamp: new Date().toISOString()
+  });
+}
+
+// 是否携带管理密钥，使用常量时间比较
+function isAdminRequest(req) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  if (!config.adminKey || !token) return false;
+  const actual = Buffer.from(token);
+  const expected = Buffer.from(config.adminKey);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// GET /readyz，就绪检查：not_ready 返回503，ready 和 degraded 返回200
+// 检查详情包含服务商名称、探测结果和配置问题，只返回给携带管理密钥的请求
+async function handleReadiness(req, res) {
+  await healthMonitor.ensureProbed();
+  const readiness = healthMonitor.getReadiness();
+  const statusCode = readiness.status === ReadinessStatus.NOT_READY ? 503 : 200;
+  if (isAdminRequest(req)) {
+    sendJson(res, statusCode, readiness);
+  } else {
+    sendJson(res, statusCode, { status: readiness.status, reasons: readiness.reasons });
+  }
+}
+
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.statusCode = 405;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: {
+        message: "Method not allowed",
+        type: "invalid_request_error",
+        code: 405
+      }
+    }));
+    return;
+  }
+
+  const path = url.parse(req.url).pathname;
+  if (path === '/readyz') {
+    await handleReadiness(req, res);
+  } else {
+    handleLiveness(req, res);
+  }
+};
@@ -1,6 +1,15 @@
 const axios = require('axios');
 const { config, ErrorTypes, ErrorCodes, handleError } = require('./config.js');
 const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const authMiddleware = require('../utils/authMiddleware');
+const { PolicyActions } = require('../utils/moderationPolicy');
+const { performModeration, isModerationRejection } = require('../utils/moderation');
+const { resolveProvider, buildProviderConfig, mapModel } = require('../utils/providers');
+const { usageStore } = require('../utils/usageStore');
+const metrics = require('../utils/metrics');
+
+// 转发给上游的图像生成参数（OpenAI Images 规范）
+const IMAGE_PARAMS = ['prompt', 'model', 'n', 'size', 'quality', 'style', 'response_format', 'user'];
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -31,22 +40,14 @@ module.exports = async (req, res) => {
     return; // 如果被限制，直接返回
   }
 
-  const authKey = req.headers.authorization?.replace('Bearer ', '');
-  const validAuthKey = config.authKey;
-
-  if (!authKey || authKey !== validAuthKey) {
-    res.statusCode = 401;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "无效的认证密钥",
-        type: ErrorTypes.AUTHENTICATION,
-        code: ErrorCodes.INVALID_AUTH_KEY
-      }
-    }));
-    return;
+  // 解析密钥对应的租户，挂载到 req.tenant
+  if (await authMiddleware(req, res, req.body?.model)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
   }
 
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, '/v1/images/generations');
+
   if (!req.body || typeof req.body !== 'object') {
     res.statusCode = 400;
     res.setHeader('Content-Type', 'application/json');
@@ -100,10 +101,10 @@ module.exports = async (req, res) => {
     return;
   }
 
-  const secondProviderUrl = config.secondProvider.url;
-  const secondProviderKey = config.secondProvider.key;
+  // 根据请求的模型名选择服务商
+  const provider = resolveProvider(req.body.model);
 
-  if (!secondProviderUrl || !secondProviderKey) {
+  if (!provider) {
     res.statusCode = 500;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
@@ -116,21 +117,95 @@ module.exports = async (req, res) => {
     return;
   }
 
-  try {
-    const response = await axios.post(
-      `${secondProviderUrl}/v1/images/generations`,
-      { prompt, n: n || 1, size: size || '512x512' },
-      {
-        headers: {
-          'Authorization': `Bearer ${secondProviderKey}`,
-          'Content-Type': 'application/json'
+  // 审核提示词，使用图像生成场景的审核策略
+  if (config.moderation.enabled) {
+    try {
+      const moderationResult = await performModeration(
+        [{ role: 'user', content: prompt }],
+        config.firstProvider.url,
+        {
+          headers: {
+            'Authorization': `Bearer ${config.firstProvider.key}`,
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+          },
+          timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+        },
+        {
+          model: req.body.model,
+          tenant: req.tenant,
+          clientIp: req.clientIp,
+          scope: 'image',
+          usage: req.usageRecord?.moderation
         }
+      );
+      res.setHeader('X-Content-Review-ID', moderationResult.logId);
+      res.setHeader('X-Risk-Level', moderationResult.riskLevel);
+      res.setHeader('X-Content-Review-Cache', moderationResult.cacheStatus);
+      if (moderationResult.ruleId) {
+        res.setHeader('X-Content-Review-Rule', moderationResult.ruleId);
+      }
+      if (moderationResult.action === PolicyActions.WARN) {
+        res.setHeader('X-Content-Review-Warning', `riskLevel=${moderationResult.riskLevel}`);
       }
+    } catch (moderationError) {
+      if (isModerationRejection(moderationError)) {
+        res.statusCode = 403;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(moderationError));
+        return;
+      }
+
+      if (moderationError.error?.circuit_breaker) {
+        console.error(`[熔断器警报] 内容审核服务熔断器已触发，拒绝处理图像生成请求`);
+        res.statusCode = 503;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify(moderationError));
+        return;
+      }
+
+      console.error('Image prompt moderation error:', moderationError.message || moderationError.error?.message);
+      const errorResponse = handleError(moderationError);
+      res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+        ? errorResponse.error.code
+        : 500;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(errorResponse));
+      return;
+    }
+  } else {
+    res.setHeader('X-Content-Review-Skipped', 'disabled');
+  }
+
+  const upstreamBody = {};
+  for (const param of IMAGE_PARAMS) {
+    if (req.body[param] !== undefined) {
+      upstreamBody[param] = req.body[param];
+    }
+  }
+  upstreamBody.n = n || 1;
+  upstreamBody.size = size || '512x512';
+  // 按服务商的模型映射转换模型名
+  if (upstreamBody.model) {
+    upstreamBody.model = mapModel(provider.modelMap, upstreamBody.model);
+  }
+
+  if (req.usageRecord) {
+    req.usageRecord.provider = provider.name;
+  }
+  const endTimer = metrics.upstreamDuration.startTimer({ route: '/v1/images/generations', provider: provider.name });
+  try {
+    const response = await axios.post(
+      `${provider.url}/v1/images/generations`,
+      upstreamBody,
+      buildProviderConfig(provider)
     );
+    endTimer({ outcome: 'success' });
 
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify(response.data));
   } catch (error) {
+    endTimer({ outcome: 'error' });
     console.error('Image generation error:', error);
     const errorResponse = handleError(error);
     res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600 
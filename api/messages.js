@@ -0,0 +1,47 @@
+const completions = require('./completions');
+const { toOpenAIRequest, translateResponse } = require('../utils/anthropic');
+const { estimatePromptTokens } = require('../utils/tokenCounter');
+
+// Anthropic Messages API：请求转换为 OpenAI 聊天补全格式后交给聊天补全处理函数，
+// 审核、速率限制、令牌限制、故障转移和用量统计与 /v1/chat/completions 相同，响应再转换回 Anthropic 格式
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key, anthropic-version, anthropic-beta');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    res.statusCode = 405;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      type: 'error',
+      error: {
+        type: 'invalid_request_error',
+        message: "不支持的请求方法"
+      }
+    }));
+    return;
+  }
+
+  // Anthropic SDK 通过 x-api-key 传递密钥
+  if (!req.headers.authorization && req.headers['x-api-key']) {
+    req.headers.authorization = `Bearer ${req.headers['x-api-key']}`;
+  }
+
+  const { body, error } = toOpenAIRequest(req.body);
+  if (error) {
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(error));
+    return;
+  }
+
+  req.body = body;
+  translateResponse(res, { model: body.model, promptTokens: estimatePromptTokens(body) });
+  await completions(req, res);
+};
@@ -0,0 +1,57 @@
+const crypto = require('crypto');
+const { config, ErrorTypes, ErrorCodes, describeCircuitBreakers } = require('./config.js');
+const metrics = require('../utils/metrics');
+
+// 校验指标抓取密钥，未设置 METRICS_KEY 时不校验，校验失败时返回true
+function verifyMetricsKey(req, res) {
+  if (!config.metricsKey) return false;
+
+  const token = Buffer.from(req.headers.authorization?.replace('Bearer ', '') || '');
+  const expected = Buffer.from(config.metricsKey);
+  if (token.length !== expected.length || !crypto.timingSafeEqual(token, expected)) {
+    res.statusCode = 401;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: {
+        message: "无效的指标抓取密钥",
+        type: ErrorTypes.AUTHENTICATION,
+        code: ErrorCodes.INVALID_AUTH_KEY
+      }
+    }));
+    return true;
+  }
+
+  return false;
+}
+
+// 输出前刷新熔断器状态
+function updateCircuitBreakerGauge() {
+  const { global, providers } = describeCircuitBreakers();
+  for (const breaker of [global, ...providers]) {
+    metrics.circuitBreakerOpen.set({ breaker: breaker.name }, breaker.tripped ? 1 : 0);
+  }
+}
+
+// GET /metrics，Prometheus 文本格式
+module.exports = async (req, res) => {
+  if (req.method !== 'GET') {
+    res.statusCode = 405;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: {
+        message: "Method not allowed",
+        type: ErrorTypes.INVALID_REQUEST,
+        code: 405
+      }
+    }));
+    return;
+  }
+
+  if (verifyMetricsKey(req, res)) return;
+
+  updateCircuitBreakerGauge();
+
+  res.statusCode = 200;
+  res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.end(metrics.render());
+};
@@ -1,6 +1,13 @@
 const axios = require('axios');
-const { config, handleError } = require('./config.js');
+const { config, handleError, matchesModelPattern } = require('./config.js');
 const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const authMiddleware = require('../utils/authMiddleware');
+const { buildProviderConfig } = require('../utils/providers');
+
+// 密钥的模型白名单为空表示允许所有模型
+function isModelAllowed(tenant, modelId) {
+  return !tenant?.models?.length || matchesModelPattern(modelId, tenant.models);
+}
 
 module.exports = async (req, res) => {
   res.setHeader('Access-Control-Allow-Origin', '*');
@@ -31,10 +38,12 @@ module.exports = async (req, res) => {
     return; // 如果被限制，直接返回
   }
 
-  const secondProviderUrl = config.secondProvider.url;
-  const secondProviderKey = config.secondProvider.key;
+  // 解析密钥对应的租户，挂载到 req.tenant；未认证的请求不请求上游
+  if (await authMiddleware(req, res)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
 
-  if (!secondProviderUrl || !secondProviderKey) {
+  if (config.providers.length === 0) {
     res.statusCode = 500;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify({
@@ -42,29 +51,50 @@ module.exports = async (req, res) => {
         message: "Missing required environment variables",
         type: "configuration_error",
         code: "provider_not_configured",
-        details: "Missing: SECOND_PROVIDER_URL, SECOND_PROVIDER_KEY"
+        details: "Missing: PROVIDERS or SECOND_PROVIDER_URL, SECOND_PROVIDER_KEY"
       }
     }));
     return;
   }
 
-  try {
-    const response = await axios.get(`${secondProviderUrl}/v1/models`, {
-      headers: {
-        'Authorization': `Bearer ${secondProviderKey}`,
-        'Content-Type': 'application/json'
-      },
-      timeout: 30000
-    });
+  // 并行获取所有服务商的模型列表并合并
+  const results = await Promise.allSettled(config.providers.map(provider =>
+    axios.get(`${provider.url}/v1/models`, buildProviderConfig(provider, { timeout: 30000 }))
+  ));
 
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify(response.data));
-  } catch (error) {
-    const errorResponse = handleError(error);
+  const models = [];
+  const seenIds = new Set();
+  let firstError = null;
+
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`[模型列表] 获取服务商 ${config.providers[index].name} 的模型列表失败：`, result.reason.message);
+      firstError = firstError || result.reason;
+      return;
+    }
+
+    for (const model of result.value.data?.data || []) {
+      if (model && model.id && !seenIds.has(model.id) && isModelAllowed(req.tenant, model.id)) {
+        seenIds.add(model.id);
+        models.push(model);
+      }
+    }
+  });
+
+  // 所有服务商都失败时返回错误
+  if (firstError && results.every(result => result.status === 'rejected')) {
+    const errorResponse = handleError(firstError);
     res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600 
       ? errorResponse.error.code 
       : 500;
     res.setHeader('Content-Type', 'application/json');
     res.end(JSON.stringify(errorResponse));
+    return;
   }
+
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    object: 'list',
+    data: models
+  }));
 };
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const { config, ErrorTypes, ErrorCodes, handleError } = require('./config.js');
+const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const authMiddleware = require('../utils/authMiddleware');
+const { performModeration, isModerationRejection, extractImageParts, validateImageInputs } = require('../utils/moderation');
+const { usageStore } = require('../utils/usageStore');
+
+// 单个请求最多包含的输入数量，每个输入单独审核
+const MAX_INPUTS = 32;
+
+// OpenAI 审核接口的类别，审核模型只给出整体风险等级，不区分类别，
+// 这些类别不做判断，始终为 false / 0，结论汇总到 POLICY_CATEGORY
+const CATEGORIES = [
+  'sexual', 'sexual/minors',
+  'harassment', 'harassment/threatening',
+  'hate', 'hate/threatening',
+  'illicit', 'illicit/violent',
+  'self-harm', 'self-harm/intent', 'self-harm/instructions',
+  'violence', 'violence/graphic'
+];
+
+// 汇总类别：flagged 时为 true，分数由风险等级换算
+const POLICY_CATEGORY = 'policy-violation';
+
+function sendError(res, status, message, type, code) {
+  res.statusCode = status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({ error: { message, type, code } }));
+}
+
+/**
+ * 将 input 转换为待审核的消息列表，每项对应响应中的一个结果
+ * 字符串数组中的每个字符串单独审核，多模态内容数组（text / image_url）作为一个整体审核
+ * @param {string|Array} input - 请求中的 input
+ * @returns {Array<Array<Object>>|null} 每项为一组消息，input 无效时返回null
+ */
+function normalizeInputs(input) {
+  if (typeof input === 'string') {
+    return [[{ role: 'user', content: input }]];
+  }
+  if (!Array.isArray(input) || input.length === 0) return null;
+
+  if (input.every(item => typeof item === 'string')) {
+    return input.map(item => [{ role: 'user', content: item }]);
+  }
+
+  const isContentParts = input.every(item =>
+    (item?.type === 'text' && typeof item.text === 'string') || item?.type === 'image_url');
+  return isContentParts ? [[{ role: 'user', content: input }]] : null;
+}
+
+// 将风险等级（1-5）换算为0-1的分数
+function riskScore(riskLevel) {
+  const level = parseInt(riskLevel);
+  return level >= 1 && level <= 5 ? (level - 1) / 4 : 0;
+}
+
+// 生成 OpenAI 格式的单个审核结果，附带风险等级、审核动作和审核日志ID
+function buildResult(flagged, riskLevel, action, logId) {
+  const categories = {};
+  const categoryScores = {};
+  for (const category of CATEGORIES) {
+    categories[category] = false;
+    categoryScores[category] = 0;
+  }
+  categories[POLICY_CATEGORY] = flagged;
+  categoryScores[POLICY_CATEGORY] = riskScore(riskLevel);
+
+  return {
+    flagged,
+    categories,
+    category_scores: categoryScores,
+    riskLevel,
+    action,
+    logId
+  };
+}
+
+// 审核一个输入，策略动作为 block 或 review 时视为 flagged，不向客户端返回403
+async function moderateInput(req, messages) {
+  const textMessages = messages.map(message => ({
+    role: message.role,
+    content: typeof message.content === 'string'
+      ? message.content
+      : message.content.filter(item => item.type === 'text').map(item => item.text).join('\n')
+  }));
+
+  try {
+    const result = await performModeration(
+      textMessages,
+      config.firstProvider.url,
+      {
+        headers: {
+          'Authorization': `Bearer ${config.firstProvider.key}`,
+          'Content-Type': 'application/json',
+          'Accept': 'application/json'
+        },
+        timeout: Math.floor(config.timeouts.maxRetryTime * 0.5)
+      },
+      {
+        tenant: req.tenant,
+        clientIp: req.clientIp,
+        images: extractImageParts(messages),
+        usage: req.usageRecord?.moderation
+      }
+    );
+    return buildResult(false, result.riskLevel, result.action, result.logId);
+  } catch (moderationError) {
+    if (isModerationRejection(moderationError)) {
+      const details = moderationError.error.details;
+      return buildResult(true, details.riskLevel, details.action, details.logId);
+    }
+    throw moderationError;
+  }
+}
+
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'POST') {
+    sendError(res, 405, "不支持的请求方法", ErrorTypes.INVALID_REQUEST, "method_not_allowed");
+    return;
+  }
+
+  // 添加速率限制检查
+  if (await rateLimitMiddleware(req, res, '/v1/moderations')) {
+    return; // 如果被限制，直接返回
+  }
+
+  // 解析密钥对应的租户，挂载到 req.tenant；请求中的 model 不是上游模型，不检查密钥的模型白名单
+  if (await authMiddleware(req, res)) {
+    return; // 如果认证失败或超过密钥配额，直接返回
+  }
+
+  // 响应结束时记录租户的用量
+  usageStore.track(req, res, '/v1/moderations');
+
+  const inputs = normalizeInputs(req.body?.input);
+  if (!inputs) {
+    sendError(res, 400, "input 必须是字符串、字符串数组或由 text / image_url 组成的内容数组", ErrorTypes.INVALID_REQUEST, "invalid_input");
+    return;
+  }
+
+  if (inputs.length > MAX_INPUTS) {
+    sendError(res, 400, `每个请求最多包含${MAX_INPUTS}个输入，当前为${inputs.length}个`, ErrorTypes.INVALID_REQUEST, "too_many_inputs");
+    return;
+  }
+
+  const imageError = validateImageInputs(inputs.flatMap(messages => extractImageParts(messages)));
+  if (imageError) {
+    res.statusCode = 400;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(imageError));
+    return;
+  }
+
+  if (!config.moderation.enabled) {
+    sendError(res, 503, "内容审核已关闭", ErrorTypes.SERVICE, ErrorCodes.SERVICE_UNAVAILABLE);
+    return;
+  }
+
+  try {
+    // 逐个审核，避免批量请求同时占用审核模型
+    const results = [];
+    for (const messages of inputs) {
+      results.push(await moderateInput(req, messages));
+    }
+
+    const flaggedCount = results.filter(result => result.flagged).length;
+    if (flaggedCount > 0) {
+      console.warn(`[审核接口] ${flaggedCount}/${results.length} 个输入未通过审核`);
+    }
+
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      id: `modr-${crypto.randomBytes(12).toString('hex')}`,
+      model: typeof req.body.model === 'string' ? req.body.model : 'transit-filter-moderation',
+      results
+    }));
+  } catch (moderationError) {
+    if (moderationError.error?.circuit_breaker) {
+      console.error(`[熔断器警报] 内容审核服务熔断器已触发，拒绝处理审核请求`);
+      res.statusCode = 503;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify(moderationError));
+      return;
+    }
+
+    console.error('Moderation endpoint error:', moderationError.message || moderationError.error?.message);
+    const errorResponse = handleError(moderationError);
+    res.statusCode = errorResponse.error.code >= 400 && errorResponse.error.code < 600
+      ? errorResponse.error.code
+      : 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(errorResponse));
+  }
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const url = require('url');
+const { config, ErrorTypes, ErrorCodes } = require('./config.js');
+const rateLimitMiddleware = require('../utils/rateLimitMiddleware');
+const keyStore = require('../utils/keyStore');
+const { usageStore, Granularity } = require('../utils/usageStore');
+
+// 发送JSON响应
+function sendJson(res, statusCode, data) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(data));
+}
+
+// 发送错误响应
+function sendError(res, statusCode, message, type, code) {
+  sendJson(res, statusCode, { error: { message, type, code } });
+}
+
+// 解析时间参数，支持毫秒时间戳和ISO时间字符串，无效时返回NaN
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  return /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+}
+
+// 是否为管理密钥，使用常量时间比较
+function isAdminToken(token) {
+  if (!config.adminKey || !token) return false;
+  const actual = Buffer.from(token);
+  const expected = Buffer.from(config.adminKey);
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// GET /v1/usage?from=&to=&granularity=hour|day&model=&endpoint=&tenant=&format=csv
+// 使用管理密钥可以查看所有租户的用量并按 tenant 过滤，其他密钥只能查看自己的用量
+module.exports = async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    res.statusCode = 200;
+    res.end();
+    return;
+  }
+
+  if (req.method !== 'GET') {
+    sendError(res, 405, "不支持的请求方法", ErrorTypes.INVALID_REQUEST, "method_not_allowed");
+    return;
+  }
+
+  // 添加速率限制检查
+  if (await rateLimitMiddleware(req, res, '/v1/usage')) {
+    return; // 如果被限制，直接返回
+  }
+
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const isAdmin = isAdminToken(token);
+  let tenant = null;
+  if (!isAdmin) {
+    // 查询用量不消耗密钥的请求配额
+    const result = keyStore.authenticate(token);
+    if (result.error) {
+      sendError(res, result.error.status, result.error.message, ErrorTypes.AUTHENTICATION, result.error.code);
+      return;
+    }
+    tenant = result.tenant;
+  }
+
+  if (!usageStore.enabled) {
+    sendError(res, 404, "用量统计未启用，请设置 USAGE_ENABLED=true", ErrorTypes.INVALID_REQUEST, ErrorCodes.NOT_FOUND);
+    return;
+  }
+
+  const query = url.parse(req.url, true).query;
+  const filters = {
+    granularity: query.granularity || Granularity.DAY,
+    from: parseTime(query.from),
+    to: parseTime(query.to),
+    model: query.model,
+    endpoint: query.endpoint,
+    // 非管理密钥只能查看自己的用量，忽略 tenant 参数
+    tenant: isAdmin ? query.tenant : undefined,
+    tenantId: isAdmin ? undefined : tenant.id
+  };
+
+  if (!Object.values(Granularity).includes(filters.granularity)) {
+    sendError(res, 400, "查询参数 granularity 只能是 hour 或 day", ErrorTypes.INVALID_REQUEST, 'invalid_query');
+    return;
+  }
+
+  const invalid = ['from', 'to'].find(key => Number.isNaN(filters[key]));
+  if (invalid) {
+    sendError(res, 400, `查询参数 ${invalid} 无效`, ErrorTypes.INVALID_REQUEST, 'invalid_query');
+    return;
+  }
+
+  try {
+    const { data, totals } = await usageStore.query(filters);
+
+    if (query.format === 'csv' || (!query.format && req.headers.accept?.includes('text/csv'))) {
+      res.statusCode = 200;
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="usage-${filters.granularity}.csv"`);
+      res.end(usageStore.toCsv(data));
+      return;
+    }
+
+    sendJson(res, 200, { object: 'list', granularity: filters.granularity, data, totals });
+  } catch (error) {
+    console.error('[用量统计] 查询用量失败:', error);
+    sendError(res, 500, "服务器内部错误", ErrorTypes.SERVICE, ErrorCodes.INTERNAL_ERROR);
+  }
+};
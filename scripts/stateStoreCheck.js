@@ -0,0 +1,193 @@
+// 共享状态存储的一致性检查
+// 对进程内存储和 Redis 存储执行同一组检查：四种速率限制算法的放行/拒绝/剩余额度，以及熔断器状态同步。
+// Redis 地址取 REDIS_URL（默认 redis://127.0.0.1:6379），连接不上时跳过 Redis 的检查。
+// 用法：npm test
+
+const assert = require('assert');
+const crypto = require('crypto');
+const { MemoryStore, RedisStore, syncCircuitBreakers } = require('../utils/stateStore');
+const { RedisClient } = require('../utils/redisClient');
+const { RateLimitAlgorithms } = require('../utils/rateLimitAlgorithms');
+const { getServiceHealth, tripCircuitBreaker } = require('../api/config');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://127.0.0.1:6379';
+const KEY_PREFIX = 'transit-filter-check:';
+
+// 每种算法：限额2次/秒，在同一时刻连续请求三次，第三次被拒绝；later 之后可以再次放行
+const ALGORITHM_CASES = [
+  { algorithm: RateLimitAlgorithms.FIXED_WINDOW, retryAfter: 1000, later: { offset: 1000, remaining: 1 } },
+  { algorithm: RateLimitAlgorithms.SLIDING_WINDOW_LOG, retryAfter: 1000, later: { offset: 1000, remaining: 1 } },
+  // 第二个窗口过半时上一个窗口的2次按一半计入
+  { algorithm: RateLimitAlgorithms.SLIDING_WINDOW_COUNTER, retryAfter: 1500, later: { offset: 1500, remaining: 0 } },
+  // burst 为3，每500毫秒补充一个令牌
+  { algorithm: RateLimitAlgorithms.TOKEN_BUCKET, burst: 3, retryAfter: 500, later: { offset: 500, remaining: 0 } }
+];
+
+let failures = 0;
+
+/**
+ * 执行一项检查并输出结果
+ * @param {string} name - 检查项名称
+ * @param {Function} fn - 检查函数，失败时抛出异常
+ */
+async function check(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+  } catch (error) {
+    failures++;
+    console.log(`  ✗ ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+  }
+}
+
+// 只比较结果中的部分字段
+function pick(result, fields) {
+  return Object.fromEntries(fields.map(field => [field, result[field]]));
+}
+
+/**
+ * 速率限制算法的检查
+ * @param {MemoryStore|RedisStore} store - 被检查的存储
+ * @param {string} runId - 本次运行的标识，避免与其他运行的键冲突
+ */
+async function checkRateLimits(store, runId) {
+  // 对齐到整秒，滑动窗口计数的窗口边界才是确定的
+  const now = Math.ceil(Date.now() / 1000) * 1000;
+
+  for (const item of ALGORITHM_CASES) {
+    const limiter = {
+      key: `check:${runId}:${item.algorithm}`,
+      algorithm: item.algorithm,
+      limit: 2,
+      windowMs: 1000,
+      burst: item.burst || 2
+    };
+    const limit = item.burst || 2;
+
+    await check(`${item.algorithm}：额度内放行，剩余额度递减`, async () => {
+      for (let i = 1; i <= limit; i++) {
+        const { allowed, results } = await store.rateLimit([limiter], { now, commit: true });
+        assert.strictEqual(allowed, true, `第${i}次请求应放行`);
+        assert.deepStrictEqual(pick(results[0], ['allowed', 'remaining', 'retryAfter']), { allowed: true, remaining: limit - i, retryAfter: 0 });
+      }
+    });
+
+    await check(`${item.algorithm}：超出额度后拒绝`, async () => {
+      const { allowed, results } = await store.rateLimit([limiter], { now, commit: true });
+      assert.strictEqual(allowed, false);
+      assert.deepStrictEqual(pick(results[0], ['allowed', 'current', 'remaining', 'retryAfter']), {
+        allowed: false, current: limit, remaining: 0, retryAfter: item.retryAfter
+      });
+    });
+
+    await check(`${item.algorithm}：被拒绝的请求和查询不消耗额度`, async () => {
+      const { allowed, results } = await store.rateLimit([limiter], { now, commit: false });
+      assert.strictEqual(allowed, false);
+      assert.deepStrictEqual(pick(results[0], ['current', 'remaining']), { current: limit, remaining: 0 });
+    });
+
+    await check(`${item.algorithm}：等待 ${item.later.offset}ms 后再次放行`, async () => {
+      const { allowed, results } = await store.rateLimit([limiter], { now: now + item.later.offset, commit: true });
+      assert.strictEqual(allowed, true);
+      assert.strictEqual(results[0].remaining, item.later.remaining);
+    });
+  }
+
+  await check('多个限制器：任一拒绝时其他限制器不计入', async () => {
+    const full = { key: `check:${runId}:full`, algorithm: RateLimitAlgorithms.FIXED_WINDOW, limit: 1, windowMs: 1000, burst: 1 };
+    const other = { key: `check:${runId}:other`, algorithm: RateLimitAlgorithms.FIXED_WINDOW, limit: 5, windowMs: 1000, burst: 5 };
+    await store.rateLimit([full], { now, commit: true });
+
+    const rejected = await store.rateLimit([other, full], { now, commit: true });
+    assert.strictEqual(rejected.allowed, false);
+    assert.deepStrictEqual(rejected.results.map(result => result.allowed), [true, false]);
+
+    const { results } = await store.rateLimit([other], { now, commit: false });
+    assert.strictEqual(results[0].remaining, 5);
+  });
+}
+
+/**
+ * 熔断器状态同步的检查：本地熔断写入存储，其他实例写入的较新状态被拉取，较旧的状态被忽略
+ * @param {MemoryStore|RedisStore} store - 被检查的存储
+ * @param {string} runId - 本次运行的标识
+ */
+async function checkCircuitBreakerSync(store, runId) {
+  const name = `check-${runId}`;
+  const health = getServiceHealth(name);
+  const pull = syncCircuitBreakers(store, 60000);
+
+  await check('熔断器：本地熔断后写入共享存储', async () => {
+    tripCircuitBreaker(name, 60000);
+    // 写入是异步的，等待写入完成
+    let state = null;
+    for (let i = 0; i < 50 && !state; i++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      state = await store.get(`breaker:${name}`);
+    }
+    assert.ok(state, '共享存储中没有熔断器状态');
+    assert.deepStrictEqual(state, {
+      name, tripped: true, resetTime: health.circuitBreakerResetTime, updatedAt: health.stateUpdatedAt
+    });
+  });
+
+  await check('熔断器：拉取其他实例较新的重置状态', async () => {
+    await store.set(`breaker:${name}`, { name, tripped: false, resetTime: 0, updatedAt: health.stateUpdatedAt + 1 }, 60000);
+    await pull();
+    assert.strictEqual(health.circuitBreakerTripped, false);
+  });
+
+  await check('熔断器：忽略较旧的状态', async () => {
+    await store.set(`breaker:${name}`, { name, tripped: true, resetTime: Date.now() + 60000, updatedAt: health.stateUpdatedAt - 1 }, 60000);
+    await pull();
+    assert.strictEqual(health.circuitBreakerTripped, false);
+  });
+
+  await store.del(`breaker:${name}`);
+}
+
+/**
+ * 对一个存储执行全部检查，结束后删除检查用的键
+ * @param {string} label - 存储名称
+ * @param {MemoryStore|RedisStore} store - 被检查的存储
+ */
+async function checkStore(label, store) {
+  const runId = crypto.randomBytes(4).toString('hex');
+  console.log(`\n[${label}]`);
+  try {
+    await checkRateLimits(store, runId);
+    await checkCircuitBreakerSync(store, runId);
+  } finally {
+    const keys = await store.keys(`check:${runId}:`);
+    await store.del(...keys);
+  }
+}
+
+async function main() {
+  await checkStore('进程内存储', new MemoryStore());
+
+  const client = new RedisClient(REDIS_URL, { connectTimeout: 1000, commandTimeout: 2000 });
+  let reachable = false;
+  try {
+    await client.command('PING');
+    reachable = true;
+  } catch (error) {
+    console.log(`\n[Redis 存储] 无法连接 ${REDIS_URL.replace(/\/\/[^@]*@/, '//***@')}（${error.message}），跳过`);
+  }
+
+  if (reachable) {
+    try {
+      await checkStore('Redis 存储', new RedisStore(client, KEY_PREFIX));
+    } finally {
+      client.quit();
+    }
+  }
+
+  console.log(failures ? `\n${failures} 项检查失败` : '\n全部检查通过');
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error('检查执行失败：', error);
+  process.exit(1);
+});
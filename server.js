@@ -1,45 +1,112 @@
 const http = require('http');
 const url = require('url');
 const completions = require('./api/completions');
+const messages = require('./api/messages');
 const images = require('./api/images');
 const audio = require('./api/audio');
 const models = require('./api/models');
-const rateLimitMiddleware = require('./utils/rateLimitMiddleware');
+const admin = require('./api/admin');
+const metricsHandler = require('./api/metrics');
+const health = require('./api/health');
+const usage = require('./api/usage');
+const moderations = require('./api/moderations');
+const embeddings = require('./api/embeddings');
+const metrics = require('./utils/metrics');
+const { healthMonitor } = require('./utils/healthCheck');
+const { usageStore } = require('./utils/usageStore');
+const { getClientIp, checkIpAccess } = require('./utils/clientIp');
+const { isMultipart } = require('./utils/multipart');
 const { ErrorTypes } = require('./api/config');
 
 const { globalRequestCounter } = require('./api/config');
 
+// 音频接口由同一个处理函数按路径分发
+const audioRoutes = ['/v1/audio/transcriptions', '/v1/audio/translations', '/v1/audio/speech'];
+
+// 已知的路由，其他路径在指标中统一记为 other，避免标签数量无限增长
+const knownRoutes = ['/v1/chat/completions', '/v1/messages', '/v1/images/generations', ...audioRoutes, '/v1/moderations', '/v1/embeddings', '/v1/models', '/v1/usage', '/metrics', '/healthz', '/readyz'];
+
+// 获取请求在指标中的路由标签
+function getRouteLabel(requestUrl) {
+  const path = requestUrl.split('?')[0];
+  if (knownRoutes.includes(path)) return path;
+  if (path.startsWith('/admin/')) return '/admin';
+  return 'other';
+}
+
 // 创建请求处理函数
 async function processRequest(req, res) {
-  // 检查全局熔断器状态
-  if (globalRequestCounter.isTripped()) {
-    res.statusCode = 429;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "服务器检测到异常请求模式，已临时限制请求。请稍后再试。",
-        type: "rate_limit_error",
-        code: "global_circuit_breaker_tripped"
-      }
-    }));
-    return;
+  // 请求结束时记录请求数和耗时
+  const route = getRouteLabel(req.url);
+  const endTimer = metrics.httpRequestDuration.startTimer({ route });
+  res.on('finish', () => {
+    endTimer();
+    metrics.httpRequests.inc({ route, status: res.statusCode });
+  });
+
+  // 按允许/拒绝列表检查客户端IP，健康检查不受限制，确保编排系统可以探测
+  const clientIp = getClientIp(req);
+  if (!['/healthz', '/readyz'].includes(route)) {
+    const accessError = checkIpAccess(clientIp);
+    if (accessError) {
+      console.warn(`[客户端IP] 拒绝来自 ${clientIp} 的请求: ${req.method} ${route}`);
+      metrics.rateLimitRejections.inc({ limiter: 'ip_access', route });
+      res.statusCode = 403;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        error: {
+          message: accessError.message,
+          type: ErrorTypes.PERMISSION,
+          code: accessError.code
+        }
+      }));
+      return;
+    }
   }
-  
-  // 增加全局请求计数
-  const isGlobalLimited = globalRequestCounter.increment();
-  if (isGlobalLimited) {
-    res.statusCode = 429;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({
-      error: {
-        message: "服务器检测到异常请求模式，已临时限制请求。请稍后再试。",
-        type: "rate_limit_error",
-        code: "global_circuit_breaker_tripped"
-      }
-    }));
+
+  // 管理、指标和健康检查接口不受全局熔断器限制，确保熔断期间仍可以查看状态和重置熔断器
+  const bypassGlobalBreaker = req.url.startsWith('/admin/') || ['/metrics', '/healthz', '/readyz'].includes(route);
+
+  if (!bypassGlobalBreaker) {
+    // 检查全局熔断器状态
+    if (globalRequestCounter.isTripped()) {
+      metrics.rateLimitRejections.inc({ limiter: 'global_breaker', route });
+      res.statusCode = 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        error: {
+          message: "服务器检测到异常请求模式，已临时限制请求。请稍后再试。",
+          type: "rate_limit_error",
+          code: "global_circuit_breaker_tripped"
+        }
+      }));
+      return;
+    }
+    
+    // 增加全局请求计数
+    const isGlobalLimited = globalRequestCounter.increment();
+    if (isGlobalLimited) {
+      metrics.rateLimitRejections.inc({ limiter: 'global_breaker', route });
+      res.statusCode = 429;
+      res.setHeader('Content-Type', 'application/json');
+      res.end(JSON.stringify({
+        error: {
+          message: "服务器检测到异常请求模式，已临时限制请求。请稍后再试。",
+          type: "rate_limit_error",
+          code: "global_circuit_breaker_tripped"
+        }
+      }));
+      return;
+    }
+  }
+
+  // multipart 请求体（音频文件上传）由处理函数流式解析，不在内存中缓存
+  if (isMultipart(req)) {
+    req.body = {};
+    await routeRequest(req, res);
     return;
   }
-  
+
   // 解析请求体
   let body = '';
   req.on('data', chunk => {
@@ -67,51 +134,66 @@ async function processRequest(req, res) {
       req.body = {};
     }
 
-    // 路由请求到相应的处理函数
-    const parsedUrl = url.parse(req.url, true);
-    const path = parsedUrl.pathname;
-
-    try {
-      // 使用新的速率限制中间件
-      let isLimited = false;
-      
-      if (path === '/v1/chat/completions') {
-        isLimited = await rateLimitMiddleware(req, res, path);
-        if (!isLimited) await completions(req, res);
-      } else if (path === '/v1/images/generations') {
-        isLimited = await rateLimitMiddleware(req, res, path);
-        if (!isLimited) await images(req, res);
-      } else if (path === '/v1/audio/transcriptions') {
-        isLimited = await rateLimitMiddleware(req, res, path);
-        if (!isLimited) await audio(req, res);
-      } else if (path === '/v1/models') {
-        isLimited = await rateLimitMiddleware(req, res, path);
-        if (!isLimited) await models(req, res);
-      } else {
-        // 处理404
-        res.statusCode = 404;
-        res.setHeader('Content-Type', 'application/json');
-        res.end(JSON.stringify({
-          error: {
-            message: "路径不存在",
-            type: "invalid_request_error",
-            code: 404
-          }
-        }));
-      }
-    } catch (error) {
-      console.error('Server error:', error);
-      res.statusCode = 500;
+    await routeRequest(req, res);
+  });
+}
+
+// 路由请求到相应的处理函数
+async function routeRequest(req, res) {
+  const parsedUrl = url.parse(req.url, true);
+  const path = parsedUrl.pathname;
+
+  try {
+    // 速率限制由各处理函数检查（与 Vercel 部署相同），这里不再重复计数
+    if (path === '/v1/chat/completions') {
+      await completions(req, res);
+    } else if (path === '/v1/messages') {
+      // 由聊天补全处理函数按 /v1/chat/completions 的限制检查，错误以 Anthropic 格式返回
+      await messages(req, res);
+    } else if (path === '/v1/images/generations') {
+      await images(req, res);
+    } else if (audioRoutes.includes(path)) {
+      await audio(req, res);
+    } else if (path === '/v1/moderations') {
+      await moderations(req, res);
+    } else if (path === '/v1/embeddings') {
+      await embeddings(req, res);
+    } else if (path === '/v1/models') {
+      await models(req, res);
+    } else if (path === '/v1/usage') {
+      await usage(req, res);
+    } else if (path === '/healthz' || path === '/readyz') {
+      // 健康检查由编排系统频繁调用，不计入速率限制
+      await health(req, res);
+    } else if (path === '/metrics') {
+      // 指标接口供 Prometheus 定时抓取，不计入速率限制
+      await metricsHandler(req, res);
+    } else if (path.startsWith('/admin/')) {
+      await admin(req, res);
+    } else {
+      // 处理404
+      res.statusCode = 404;
       res.setHeader('Content-Type', 'application/json');
       res.end(JSON.stringify({
         error: {
-          message: "服务器内部错误",
-          type: "service_error",
-          code: 500
+          message: "路径不存在",
+          type: "invalid_request_error",
+          code: 404
         }
       }));
     }
-  });
+  } catch (error) {
+    console.error('Server error:', error);
+    res.statusCode = 500;
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify({
+      error: {
+        message: "服务器内部错误",
+        type: "service_error",
+        code: 500
+      }
+    }));
+  }
 }
 
 // 创建HTTP服务器
@@ -123,15 +205,30 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`服务器已启动，监听所有网络接口，端口 ${PORT}`);
   console.log(`API路径:`);
   console.log(`- 聊天补全: http://localhost:${PORT}/v1/chat/completions (RPM: ${process.env.CHAT_RPM || '60'})`);
+  console.log(`- Anthropic Messages: http://localhost:${PORT}/v1/messages (与聊天补全共用RPM限制)`);
   console.log(`- 图像生成: http://localhost:${PORT}/v1/images/generations (RPM: ${process.env.IMAGES_RPM || '20'})`);
   console.log(`- 音频转录: http://localhost:${PORT}/v1/audio/transcriptions (RPM: ${process.env.AUDIO_RPM || '20'})`);
+  console.log(`- 音频翻译: http://localhost:${PORT}/v1/audio/translations (RPM: ${process.env.AUDIO_RPM || '20'})`);
+  console.log(`- 语音合成: http://localhost:${PORT}/v1/audio/speech (RPM: ${process.env.SPEECH_RPM || '20'})`);
+  console.log(`- 内容审核: http://localhost:${PORT}/v1/moderations (RPM: ${process.env.MODERATIONS_RPM || '60'})`);
+  console.log(`- 文本向量: http://localhost:${PORT}/v1/embeddings (RPM: ${process.env.EMBEDDINGS_RPM || '60'}${process.env.EMBEDDINGS_MODERATION === 'true' ? '' : '，不审核输入'})`);
   console.log(`- 模型列表: http://localhost:${PORT}/v1/models (RPM: ${process.env.MODELS_RPM || '100'})`);
+  console.log(`- 用量统计: http://localhost:${PORT}/v1/usage (RPM: ${process.env.USAGE_RPM || '30'}${process.env.USAGE_ENABLED === 'false' ? '，已禁用' : ''})`);
+  console.log(`- 管理接口: http://localhost:${PORT}/admin/* (RPM: ${process.env.ADMIN_RPM || '60'}${process.env.ADMIN_KEY ? '' : '，未设置 ADMIN_KEY，已禁用'})`);
+  console.log(`- 健康检查: http://localhost:${PORT}/healthz, http://localhost:${PORT}/readyz (探测间隔: ${process.env.HEALTH_PROBE_INTERVAL || '60000'}ms)`);
+  console.log(`- 监控指标: http://localhost:${PORT}/metrics${process.env.METRICS_KEY ? ' (需要 METRICS_KEY)' : ''}`);
+
+  // 启动后台探测，/readyz 使用缓存的探测结果
+  healthMonitor.start();
 });
 
 // 处理进程终止信号
 process.on('SIGTERM', () => {
   console.log('收到SIGTERM信号，关闭服务器');
-  server.close(() => {
+  healthMonitor.stop();
+  server.close(async () => {
+    // 写入尚未保存的用量统计
+    await usageStore.flush();
     console.log('服务器已关闭');
     process.exit(0);
   });
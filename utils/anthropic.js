@@ -0,0 +1,533 @@
+const crypto = require('crypto');
+const { ErrorTypes, ErrorCodes } = require('../api/config');
+
+// OpenAI 的结束原因对应的 Anthropic stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  function_call: 'tool_use',
+  content_filter: 'refusal'
+};
+
+// HTTP状态码对应的 Anthropic 错误类型
+const ERROR_TYPES_BY_STATUS = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+};
+
+// 网关的错误类型对应的 Anthropic 错误类型，用于流式响应中没有状态码的错误
+const ERROR_TYPES_BY_TYPE = {
+  [ErrorTypes.INVALID_REQUEST]: 'invalid_request_error',
+  [ErrorTypes.AUTHENTICATION]: 'authentication_error',
+  [ErrorTypes.PERMISSION]: 'permission_error',
+  [ErrorTypes.RATE_LIMIT]: 'rate_limit_error'
+};
+
+// 转换请求时的参数错误
+function requestError(message) {
+  return {
+    type: 'error',
+    error: { type: 'invalid_request_error', message }
+  };
+}
+
+/**
+ * 将 OpenAI 格式的错误响应转换为 Anthropic 格式，保留 code、details 等附加字段
+ * @param {Object} data - { error: { message, type, code, ... } }
+ * @param {number} [status] - HTTP状态码，流式响应中的错误没有状态码
+ * @returns {Object} { type: 'error', error: { type, message, ... } }
+ */
+function toAnthropicError(data, status) {
+  const error = data?.error || {};
+  // 流式响应中的审核拒绝与非流式的403保持一致
+  const isRejection = error.code === ErrorCodes.CONTENT_VIOLATION || error.code === ErrorCodes.CONTENT_UNDER_REVIEW;
+  const type = ERROR_TYPES_BY_STATUS[status] ||
+    (isRejection ? 'permission_error' : ERROR_TYPES_BY_TYPE[error.type]) || 'api_error';
+  return {
+    type: 'error',
+    error: {
+      ...error,
+      type,
+      message: error.message || '服务提供商错误'
+    }
+  };
+}
+
+// 取出内容块中的文本，tool_result 的 content 可以是字符串或内容块数组
+function joinText(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(block => block?.type === 'text').map(block => block.text).join('\n');
+}
+
+// 将图片块转换为 image_url，base64 图片转换为 data URI
+function toImagePart(block) {
+  const source = block.source || {};
+  if (source.type === 'base64') {
+    return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+  }
+  if (source.type === 'url') {
+    return { type: 'image_url', image_url: { url: source.url } };
+  }
+  return null;
+}
+
+/**
+ * 转换一条 Anthropic 消息，tool_result 块转换为单独的 tool 消息并放在前面，
+ * 与上一条 assistant 消息的 tool_calls 相邻
+ * @param {Object} message - { role, content }
+ * @returns {Object} { messages } 或 { error }
+ */
+function convertMessage(message) {
+  if (!['user', 'assistant'].includes(message?.role)) {
+    return { error: requestError(`消息的 role 必须是 user 或 assistant`) };
+  }
+  if (typeof message.content === 'string') {
+    return { messages: [{ role: message.role, content: message.content }] };
+  }
+  if (!Array.isArray(message.content)) {
+    return { error: requestError('消息的 content 必须是字符串或内容块数组') };
+  }
+
+  const toolMessages = [];
+  const parts = [];
+  const toolCalls = [];
+
+  for (const block of message.content) {
+    switch (block?.type) {
+      case 'text':
+        parts.push({ type: 'text', text: block.text });
+        break;
+      case 'image': {
+        const part = toImagePart(block);
+        if (!part) return { error: requestError(`不支持的图片来源: ${block.source?.type}`) };
+        parts.push(part);
+        break;
+      }
+      case 'tool_use':
+        toolCalls.push({
+          id: block.id,
+          type: 'function',
+          function: { name: block.name, arguments: JSON.stringify(block.input ?? {}) }
+        });
+        break;
+      case 'tool_result':
+        toolMessages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: block.is_error ? `[ERROR] ${joinText(block.content)}` : joinText(block.content)
+        });
+        break;
+      case 'thinking':
+      case 'redacted_thinking':
+        // 思考过程只对 Anthropic 模型有意义，不转发
+        break;
+      default:
+        return { error: requestError(`不支持的内容块类型: ${block?.type}`) };
+    }
+  }
+
+  const messages = [...toolMessages];
+  const textOnly = parts.every(part => part.type === 'text');
+  const content = textOnly ? parts.map(part => part.text).join('\n') : parts;
+
+  if (message.role === 'assistant') {
+    if (parts.length > 0 || toolCalls.length > 0) {
+      const assistantMessage = { role: 'assistant', content: parts.length > 0 ? content : null };
+      if (toolCalls.length > 0) assistantMessage.tool_calls = toolCalls;
+      messages.push(assistantMessage);
+    }
+  } else if (parts.length > 0) {
+    messages.push({ role: 'user', content });
+  }
+
+  return { messages };
+}
+
+// 转换 tool_choice：auto / any / tool / none
+function convertToolChoice(toolChoice) {
+  switch (toolChoice?.type) {
+    case 'auto': return 'auto';
+    case 'any': return 'required';
+    case 'none': return 'none';
+    case 'tool': return { type: 'function', function: { name: toolChoice.name } };
+    default: return undefined;
+  }
+}
+
+/**
+ * 将 Anthropic Messages 请求转换为 OpenAI 聊天补全请求
+ * system 转换为第一条 system 消息，stop_sequences 转换为 stop，工具定义的 input_schema 转换为 parameters；
+ * top_k、thinking 等 OpenAI 规范中没有的参数不转发
+ * @param {Object} body - Anthropic 请求体
+ * @returns {Object} { body } 或 { error }，error 为 Anthropic 格式的错误
+ */
+function toOpenAIRequest(body) {
+  if (!body || typeof body !== 'object') {
+    return { error: requestError('无效的请求体格式') };
+  }
+  if (!body.model || typeof body.model !== 'string') {
+    return { error: requestError('模型参数无效') };
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return { error: requestError('messages 必须是非空数组') };
+  }
+
+  const messages = [];
+  const system = joinText(body.system);
+  if (system) {
+    messages.push({ role: 'system', content: system });
+  }
+
+  for (const message of body.messages) {
+    const { messages: converted, error } = convertMessage(message);
+    if (error) return { error };
+    messages.push(...converted);
+  }
+
+  const request = {
+    model: body.model,
+    messages,
+    stream: body.stream === true
+  };
+
+  if (body.max_tokens !== undefined) request.max_tokens = body.max_tokens;
+  if (body.temperature !== undefined) request.temperature = body.temperature;
+  if (body.top_p !== undefined) request.top_p = body.top_p;
+  if (Array.isArray(body.stop_sequences) && body.stop_sequences.length > 0) {
+    request.stop = body.stop_sequences;
+  }
+  if (body.metadata?.user_id) request.user = body.metadata.user_id;
+  // 流式响应的最后一个数据块带上令牌用量，用于 message_delta 的 usage
+  if (request.stream) request.stream_options = { include_usage: true };
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    const serverTool = body.tools.find(tool => !tool.input_schema);
+    if (serverTool) {
+      return { error: requestError(`不支持的工具类型: ${serverTool.type || serverTool.name}`) };
+    }
+    request.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema
+      }
+    }));
+  }
+
+  if (body.tool_choice) {
+    const toolChoice = convertToolChoice(body.tool_choice);
+    if (toolChoice !== undefined) request.tool_choice = toolChoice;
+    if (body.tool_choice.disable_parallel_tool_use === true && request.tools) {
+      request.parallel_tool_calls = false;
+    }
+  }
+
+  return { body: request };
+}
+
+// 生成 Anthropic 格式的消息ID
+function toMessageId(id) {
+  if (typeof id === 'string' && id.startsWith('msg_')) return id;
+  return `msg_${id ? String(id).replace(/^chatcmpl-/, '') : crypto.randomBytes(12).toString('hex')}`;
+}
+
+// 解析工具调用参数，模型生成的参数不是合法JSON时原样保留
+function parseToolInput(args) {
+  if (!args) return {};
+  try {
+    return JSON.parse(args);
+  } catch (error) {
+    return { _raw: args };
+  }
+}
+
+/**
+ * 将 OpenAI 聊天补全响应转换为 Anthropic Messages 响应，只转换第一个 choice
+ * @param {Object} data - OpenAI 响应体
+ * @param {string} model - 客户端请求的模型名
+ * @returns {Object}
+ */
+function toAnthropicMessage(data, model) {
+  const choice = data.choices?.[0] || {};
+  const message = choice.message || {};
+  const content = [];
+
+  const text = typeof message.content === 'string' ? message.content : joinText(message.content);
+  if (text) {
+    content.push({ type: 'text', text });
+  }
+  for (const toolCall of message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: toolCall.id,
+      name: toolCall.function?.name,
+      input: parseToolInput(toolCall.function?.arguments)
+    });
+  }
+
+  return {
+    id: toMessageId(data.id),
+    type: 'message',
+    role: 'assistant',
+    model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason] || 'end_turn',
+    stop_sequence: null,
+    usage: {
+      input_tokens: data.usage?.prompt_tokens || 0,
+      output_tokens: data.usage?.completion_tokens || 0
+    }
+  };
+}
+
+/**
+ * 流式响应转换器
+ * 解析 OpenAI 的 chat.completion.chunk 事件，转换为 Anthropic 的
+ * message_start / content_block_start / content_block_delta / content_block_stop / message_delta / message_stop 事件
+ */
+class AnthropicStreamTranslator {
+  /**
+   * @param {Object} options
+   * @param {string} options.model - 客户端请求的模型名
+   * @param {number} options.promptTokens - 估算的提示词令牌数，用于 message_start，上游返回 usage 后在 message_delta 中修正
+   */
+  constructor(options) {
+    this.model = options.model;
+    this.promptTokens = options.promptTokens || 0;
+
+    this.buffer = '';            // 尚未组成完整事件的原始数据
+    this.started = false;        // 是否已发送 message_start
+    this.finished = false;       // 是否已发送 message_stop 或 error
+    this.blockIndex = -1;        // 当前内容块的序号
+    this.blockType = null;       // 当前内容块的类型 text / tool_use，null 表示没有打开的内容块
+    this.toolBlocks = new Map(); // OpenAI 工具调用序号 -> 内容块序号
+    this.stopReason = null;
+    this.usage = null;
+  }
+
+  /**
+   * 接收 OpenAI 格式的SSE数据
+   * @param {Buffer|string} chunk - 写入响应的数据
+   * @returns {string} 转换后的 Anthropic 事件
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const events = this.buffer.split(/\r?\n\r?\n/);
+    this.buffer = events.pop();
+
+    return events.map(event => this.handleEvent(event)).join('');
+  }
+
+  /**
+   * 响应结束，上游没有发送 [DONE] 时补齐结束事件
+   * @returns {string}
+   */
+  finish() {
+    const output = this.buffer.trim() ? this.handleEvent(this.buffer) : '';
+    this.buffer = '';
+    return output + this.finishMessage();
+  }
+
+  handleEvent(event) {
+    if (this.finished) return '';
+
+    const payload = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trim())
+      .join('\n');
+    if (!payload) return '';
+
+    if (payload === '[DONE]') {
+      return this.finishMessage();
+    }
+
+    let data;
+    try {
+      data = JSON.parse(payload);
+    } catch (error) {
+      return '';
+    }
+
+    if (data.error) {
+      this.finished = true;
+      return this.event('error', toAnthropicError(data));
+    }
+
+    let output = this.start(data.id);
+    if (data.usage) {
+      this.usage = data.usage;
+    }
+
+    const choice = data.choices?.[0];
+    if (!choice) return output;
+    const delta = choice.delta || {};
+
+    if (typeof delta.content === 'string' && delta.content !== '') {
+      if (this.blockType !== 'text') {
+        output += this.openBlock({ type: 'text', text: '' });
+        this.blockType = 'text';
+      }
+      output += this.event('content_block_delta', {
+        type: 'content_block_delta',
+        index: this.blockIndex,
+        delta: { type: 'text_delta', text: delta.content }
+      });
+    }
+
+    for (const toolCall of delta.tool_calls || []) {
+      const toolIndex = toolCall.index ?? 0;
+      if (!this.toolBlocks.has(toolIndex)) {
+        output += this.openBlock({ type: 'tool_use', id: toolCall.id, name: toolCall.function?.name, input: {} });
+        this.blockType = 'tool_use';
+        this.toolBlocks.set(toolIndex, this.blockIndex);
+      }
+      if (toolCall.function?.arguments) {
+        output += this.event('content_block_delta', {
+          type: 'content_block_delta',
+          index: this.toolBlocks.get(toolIndex),
+          delta: { type: 'input_json_delta', partial_json: toolCall.function.arguments }
+        });
+      }
+    }
+
+    if (choice.finish_reason) {
+      this.stopReason = STOP_REASONS[choice.finish_reason] || 'end_turn';
+      output += this.closeBlock();
+    }
+
+    return output;
+  }
+
+  // 第一个数据块到达时发送 message_start
+  start(id) {
+    if (this.started) return '';
+    this.started = true;
+    return this.event('message_start', {
+      type: 'message_start',
+      message: {
+        id: toMessageId(id),
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: this.promptTokens, output_tokens: 0 }
+      }
+    });
+  }
+
+  openBlock(contentBlock) {
+    const output = this.closeBlock();
+    this.blockIndex++;
+    return output + this.event('content_block_start', {
+      type: 'content_block_start',
+      index: this.blockIndex,
+      content_block: contentBlock
+    });
+  }
+
+  closeBlock() {
+    if (this.blockType === null) return '';
+    this.blockType = null;
+    return this.event('content_block_stop', { type: 'content_block_stop', index: this.blockIndex });
+  }
+
+  // 发送 message_delta 和 message_stop，令牌用量在结束原因之后的数据块中返回，所以在 [DONE] 时发送
+  finishMessage() {
+    if (this.finished) return '';
+    const output = this.start() + this.closeBlock();
+    this.finished = true;
+
+    const usage = { output_tokens: this.usage?.completion_tokens || 0 };
+    if (this.usage?.prompt_tokens !== undefined) {
+      usage.input_tokens = this.usage.prompt_tokens;
+    }
+
+    return output +
+      this.event('message_delta', {
+        type: 'message_delta',
+        delta: { stop_reason: this.stopReason || 'end_turn', stop_sequence: null },
+        usage
+      }) +
+      this.event('message_stop', { type: 'message_stop' });
+  }
+
+  event(name, data) {
+    return `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`;
+  }
+}
+
+/**
+ * 转换写入响应的数据：聊天补全处理函数照常写入 OpenAI 格式的响应，
+ * JSON 响应在 end 时整体转换，SSE 响应逐个事件转换
+ * @param {Object} res - 响应对象
+ * @param {Object} options - { model, promptTokens }
+ */
+function translateResponse(res, options) {
+  const write = res.write.bind(res);
+  const end = res.end.bind(res);
+  const isEventStream = () => String(res.getHeader('Content-Type') || '').includes('text/event-stream');
+  let streamTranslator = null;
+  let body = '';
+
+  const getStreamTranslator = () => {
+    streamTranslator = streamTranslator || new AnthropicStreamTranslator(options);
+    return streamTranslator;
+  };
+
+  res.write = (chunk, encoding, callback) => {
+    if (isEventStream()) {
+      const output = getStreamTranslator().push(chunk);
+      return output ? write(output, callback) : true;
+    }
+    body += chunk.toString();
+    return true;
+  };
+
+  res.end = (chunk, encoding, callback) => {
+    if (typeof chunk === 'function') {
+      callback = chunk;
+      chunk = undefined;
+    }
+
+    if (isEventStream()) {
+      const translator = getStreamTranslator();
+      const output = (chunk ? translator.push(chunk) : '') + translator.finish();
+      return output ? end(output, callback) : end(callback);
+    }
+
+    if (chunk) body += chunk.toString();
+    if (!body) return end(callback);
+
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (error) {
+      return end(body, callback);
+    }
+
+    if (data.error) {
+      data = toAnthropicError(data, res.statusCode);
+    } else if (Array.isArray(data.choices)) {
+      data = toAnthropicMessage(data, options.model);
+    }
+    return end(JSON.stringify(data), callback);
+  };
+}
+
+module.exports = {
+  toOpenAIRequest,
+  toAnthropicMessage,
+  toAnthropicError,
+  translateResponse,
+  AnthropicStreamTranslator
+};
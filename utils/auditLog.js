@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../api/config');
+
+/**
+ * 审核日志持久化存储
+ * 以追加写入的 JSONL 文件保存审核记录，文件超过大小上限时轮转：
+ * moderation.jsonl -> moderation.1.jsonl -> ... -> moderation.{maxFiles-1}.jsonl
+ */
+class AuditLog {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - 是否启用
+   * @param {string} options.dir - 日志目录
+   * @param {number} options.maxBytes - 单个文件的最大字节数
+   * @param {number} options.maxFiles - 保留的文件数量（包括当前文件）
+   */
+  constructor(options) {
+    this.enabled = options.enabled;
+    this.dir = options.dir;
+    this.maxBytes = options.maxBytes;
+    this.maxFiles = Math.max(1, options.maxFiles);
+    this.currentSize = null;
+    // 串行化写入，保证记录顺序并避免轮转时的竞争
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 获取第 index 个日志文件的路径，0 为当前写入的文件
+   * @param {number} index - 文件序号
+   * @returns {string} 文件路径
+   */
+  getFilePath(index = 0) {
+    return path.join(this.dir, index === 0 ? 'moderation.jsonl' : `moderation.${index}.jsonl`);
+  }
+
+  /**
+   * 追加一条审核记录，写入失败只记录错误，不影响请求处理
+   * @param {Object} record - 审核记录
+   * @returns {Promise<void>}
+   */
+  append(record) {
+    if (!this.enabled) return Promise.resolve();
+
+    const line = JSON.stringify(record) + '\n';
+    this.queue = this.queue
+      .then(() => this.write(line))
+      .catch(error => {
+        console.error(`[审核日志] 写入失败 (${this.dir})：`, error.message);
+      });
+    return this.queue;
+  }
+
+  /**
+   * 写入一行记录，超过大小上限时先轮转
+   * @param {string} line - JSONL 行
+   */
+  async write(line) {
+    const bytes = Buffer.byteLength(line);
+
+    if (this.currentSize === null) {
+      await fs.promises.mkdir(this.dir, { recursive: true });
+      try {
+        this.currentSize = (await fs.promises.stat(this.getFilePath())).size;
+      } catch (error) {
+        this.currentSize = 0;
+      }
+    }
+
+    if (this.maxBytes > 0 && this.currentSize > 0 && this.currentSize + bytes > this.maxBytes) {
+      await this.rotate();
+    }
+
+    await fs.promises.appendFile(this.getFilePath(), line);
+    this.currentSize += bytes;
+  }
+
+  /**
+   * 轮转日志文件，超出保留数量的最旧文件被覆盖
+   */
+  async rotate() {
+    for (let index = this.maxFiles - 1; index >= 1; index--) {
+      try {
+        await fs.promises.rename(this.getFilePath(index - 1), this.getFilePath(index));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+
+    // 只保留一个文件时直接清空当前文件
+    if (this.maxFiles === 1) {
+      await fs.promises.rm(this.getFilePath(), { force: true });
+    }
+
+    this.currentSize = 0;
+    console.log(`[审核日志] 日志文件已轮转`);
+  }
+
+  /**
+   * 从新到旧遍历所有审核记录
+   * @param {Function} [prefilter] - 解析JSON前对原始行的快速过滤
+   * @returns {AsyncGenerator<Object>}
+   */
+  async *readRecords(prefilter) {
+    // 等待尚未完成的写入，确保刚返回给客户端的审核ID可以查到
+    await this.queue;
+
+    for (let index = 0; index < this.maxFiles; index++) {
+      let content;
+      try {
+        content = await fs.promises.readFile(this.getFilePath(index), 'utf8');
+      } catch (error) {
+        if (error.code === 'ENOENT') continue;
+        throw error;
+      }
+
+      const lines = content.split('\n');
+      for (let i = lines.length - 1; i >= 0; i--) {
+        const line = lines[i];
+        if (!line || (prefilter && !prefilter(line))) continue;
+        try {
+          yield JSON.parse(line);
+        } catch (error) {
+          // 忽略进程异常退出时写了一半的行
+        }
+      }
+    }
+  }
+
+  /**
+   * 根据审核ID查找记录
+   * @param {string} id - 审核ID（mod_...）
+   * @returns {Promise<Object|null>} 审核记录，未找到返回null
+   */
+  async findById(id) {
+    for await (const record of this.readRecords(line => line.includes(id))) {
+      if (record.id === id) return record;
+    }
+    return null;
+  }
+
+  /**
+   * 按条件查询审核记录，结果按时间从新到旧排列
+   * @param {Object} [filters]
+   * @param {number} [filters.from] - 开始时间戳(毫秒)
+   * @param {number} [filters.to] - 结束时间戳(毫秒)
+   * @param {number} [filters.riskLevel] - 风险等级
+   * @param {number} [filters.minRiskLevel] - 最低风险等级
+   * @param {string} [filters.model] - 请求的模型名或审核模型名
+   * @param {string} [filters.tenant] - 租户ID或名称
+   * @param {string} [filters.ip] - 客户端IP
+   * @param {string} [filters.stage] - 审核阶段
+   * @param {boolean} [filters.violation] - 只返回违规（拦截或等待复核）的记录
+   * @param {number} [filters.limit] - 最大返回条数
+   * @returns {Promise<Object>} { records, hasMore }
+   */
+  async query(filters = {}) {
+    const limit = filters.limit || 50;
+    const records = [];
+
+    for await (const record of this.readRecords()) {
+      const time = Date.parse(record.timestamp);
+      if (filters.to && time > filters.to) continue;
+      // 记录按时间倒序读取，早于开始时间后即可停止
+      if (filters.from && time < filters.from) break;
+      if (filters.riskLevel && record.result?.riskLevel !== filters.riskLevel) continue;
+      if (filters.minRiskLevel && (record.result?.riskLevel || 0) < filters.minRiskLevel) continue;
+      if (filters.model && record.requestModel !== filters.model && record.model !== filters.model) continue;
+      if (filters.tenant && record.tenant?.id !== filters.tenant && record.tenant?.name !== filters.tenant) continue;
+      if (filters.ip && record.clientIp !== filters.ip) continue;
+      if (filters.stage && record.stage !== filters.stage) continue;
+      if (filters.violation && !record.result?.isViolation) continue;
+
+      if (records.length === limit) {
+        return { records, hasMore: true };
+      }
+      records.push(record);
+    }
+
+    return { records, hasMore: false };
+  }
+}
+
+// 创建单例实例
+const auditLog = new AuditLog(config.auditLog);
+
+module.exports = auditLog;
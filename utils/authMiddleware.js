@@ -0,0 +1,61 @@
+const keyStore = require('./keyStore');
+const { ErrorTypes, ErrorCodes } = require('../api/config');
+
+// 将 keyStore 返回的错误写入响应
+function sendAuthError(res, error) {
+  const errorType = error.status === 429
+    ? ErrorTypes.RATE_LIMIT
+    : (error.status === 403 ? ErrorTypes.PERMISSION : ErrorTypes.AUTHENTICATION);
+
+  res.statusCode = error.status;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify({
+    error: {
+      message: error.message,
+      type: errorType,
+      code: error.code || ErrorCodes.INVALID_AUTH_KEY
+    }
+  }));
+}
+
+/**
+ * 认证中间件
+ * 将Bearer令牌解析为租户对象并挂载到 req.tenant
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {string} [model] - 请求的模型名，用于检查密钥的模型白名单
+ * @returns {Promise<boolean>} 如果请求被拒绝返回true，否则返回false
+ */
+async function authMiddleware(req, res, model) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const { tenant, error } = await keyStore.resolve(token, model);
+
+  if (error) {
+    sendAuthError(res, error);
+    return true;
+  }
+
+  req.tenant = tenant;
+  return false;
+}
+
+/**
+ * 仅校验Bearer令牌，不检查模型白名单、不消耗密钥配额
+ * 用于读取请求体之前（例如 multipart 上传写入临时文件之前）拒绝无效密钥
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @returns {boolean} 如果请求被拒绝返回true，否则返回false
+ */
+function authenticateOnly(req, res) {
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const { error } = keyStore.authenticate(token);
+
+  if (error) {
+    sendAuthError(res, error);
+    return true;
+  }
+  return false;
+}
+
+module.exports = authMiddleware;
+module.exports.authenticateOnly = authenticateOnly;
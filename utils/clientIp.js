@@ -0,0 +1,215 @@
+const net = require('net');
+const { config, ErrorCodes } = require('../api/config');
+
+// 地址段别名，可以在 TRUSTED_PROXIES、IP_ALLOWLIST 和 IP_DENYLIST 中使用
+const CIDR_ALIASES = {
+  loopback: ['127.0.0.0/8', '::1/128'],
+  private: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', 'fc00::/7'],
+  linklocal: ['169.254.0.0/16', 'fe80::/10']
+};
+
+/**
+ * 去掉地址中的方括号、端口和IPv6区域ID，如 "[::1]:8080"、"1.2.3.4:80"、"fe80::1%eth0"
+ * @param {string} value - 地址
+ * @returns {string}
+ */
+function stripAddress(value) {
+  let address = String(value).trim();
+  const bracketed = /^\[([^\]]+)\](?::\d+)?$/.exec(address);
+  if (bracketed) {
+    address = bracketed[1];
+  } else if (/^[\d.]+:\d+$/.test(address)) {
+    address = address.substring(0, address.indexOf(':'));
+  }
+  const zoneIndex = address.indexOf('%');
+  return zoneIndex === -1 ? address : address.substring(0, zoneIndex);
+}
+
+/**
+ * 将IP地址解析为字节，IPv4映射的IPv6地址（::ffff:1.2.3.4）按IPv4处理
+ * @param {string} value - IP地址
+ * @returns {Buffer|null} IPv4为4字节，IPv6为16字节，无效地址返回null
+ */
+function parseIp(value) {
+  if (!value) return null;
+  const address = stripAddress(value);
+  const family = net.isIP(address);
+
+  if (family === 4) {
+    return Buffer.from(address.split('.').map(Number));
+  }
+  if (family !== 6) return null;
+
+  // 末尾内嵌的IPv4地址转换为两个16位分组
+  let text = address.toLowerCase();
+  const embedded = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (embedded) {
+    const [a, b, c, d] = embedded[1].split('.').map(Number);
+    text = text.substring(0, embedded.index) + `${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+
+  const [head, tail] = text.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+
+  const bytes = Buffer.alloc(16);
+  groups.forEach((group, index) => bytes.writeUInt16BE(parseInt(group, 16), index * 2));
+
+  const isMapped = bytes.subarray(0, 10).every(byte => byte === 0) && bytes.readUInt16BE(10) === 0xffff;
+  return isMapped ? Buffer.from(bytes.subarray(12)) : bytes;
+}
+
+/**
+ * 将字节格式化为规范的IP地址，IPv6按 RFC 5952 压缩最长的连续零分组
+ * @param {Buffer} bytes - parseIp 返回的字节
+ * @returns {string}
+ */
+function formatIp(bytes) {
+  if (bytes.length === 4) return [...bytes].join('.');
+
+  const groups = [];
+  for (let i = 0; i < 16; i += 2) groups.push(bytes.readUInt16BE(i));
+
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && groups[i + length] === 0) length++;
+    if (length > bestLength) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  const hex = groups.map(group => group.toString(16));
+  if (bestStart === -1) return hex.join(':');
+  return `${hex.slice(0, bestStart).join(':')}::${hex.slice(bestStart + bestLength).join(':')}`;
+}
+
+/**
+ * 规范化IP地址：去掉端口和方括号，IPv4映射的IPv6地址转换为IPv4，IPv6转换为小写压缩形式
+ * @param {string} value - IP地址
+ * @returns {string|null} 无效地址返回null
+ */
+function normalizeIp(value) {
+  const bytes = parseIp(value);
+  return bytes ? formatIp(bytes) : null;
+}
+
+/**
+ * 解析逗号分隔的CIDR列表，支持单个地址、别名和 *，无效的条目输出警告后忽略
+ * @param {string} value - 如 "10.0.0.0/8, ::1, private"
+ * @param {string} name - 环境变量名，用于警告信息
+ * @returns {Object} { any, ranges: [{ bytes, prefix }] }，any 为true时匹配所有地址
+ */
+function parseCidrList(value, name) {
+  const list = { any: false, ranges: [] };
+  const entries = (value || '').split(',').map(item => item.trim()).filter(Boolean)
+    .flatMap(item => CIDR_ALIASES[item.toLowerCase()] || [item]);
+
+  for (const entry of entries) {
+    if (entry === '*') {
+      list.any = true;
+      continue;
+    }
+
+    const [address, prefixText] = entry.split('/');
+    const bytes = parseIp(address);
+    const maxPrefix = bytes ? bytes.length * 8 : 0;
+    let prefix = prefixText === undefined ? maxPrefix : (/^\d+$/.test(prefixText) ? parseInt(prefixText) : NaN);
+    // IPv4映射的地址段（如 ::ffff:10.0.0.0/104）按IPv4地址段处理
+    if (bytes && bytes.length === 4 && prefixText !== undefined && net.isIP(stripAddress(address)) === 6) {
+      prefix -= 96;
+    }
+
+    if (!bytes || !(prefix >= 0 && prefix <= maxPrefix)) {
+      console.warn(`[客户端IP] ${name} 中的地址段 "${entry}" 无效，已忽略`);
+      continue;
+    }
+    list.ranges.push({ bytes, prefix });
+  }
+
+  return list;
+}
+
+/**
+ * 检查IP地址是否属于CIDR列表
+ * @param {string} ip - IP地址
+ * @param {Object} list - parseCidrList 返回的列表
+ * @returns {boolean}
+ */
+function matchesCidrList(ip, list) {
+  if (list.any) return true;
+  const bytes = parseIp(ip);
+  if (!bytes) return false;
+
+  return list.ranges.some(range => {
+    if (range.bytes.length !== bytes.length) return false;
+    const fullBytes = Math.floor(range.prefix / 8);
+    if (!bytes.subarray(0, fullBytes).equals(range.bytes.subarray(0, fullBytes))) return false;
+    const remainingBits = range.prefix % 8;
+    if (remainingBits === 0) return true;
+    const mask = (0xff << (8 - remainingBits)) & 0xff;
+    return (bytes[fullBytes] & mask) === (range.bytes[fullBytes] & mask);
+  });
+}
+
+const trustedProxies = parseCidrList(config.network.trustedProxies, 'TRUSTED_PROXIES');
+const ipAllowlist = parseCidrList(config.network.ipAllowlist, 'IP_ALLOWLIST');
+const ipDenylist = parseCidrList(config.network.ipDenylist, 'IP_DENYLIST');
+
+/**
+ * 获取请求的客户端IP，结果缓存在 req.clientIp
+ * 只有直接连接的地址属于受信任的代理时才读取 X-Forwarded-For：从右向左跳过受信任的代理，
+ * 第一个不受信任的地址即为客户端地址，避免客户端伪造该请求头获得新的速率限制计数
+ * @param {Object} req - 请求对象
+ * @returns {string} 规范化的IP地址
+ */
+function getClientIp(req) {
+  if (req.clientIp) return req.clientIp;
+
+  const remoteAddress = normalizeIp(req.socket?.remoteAddress || req.connection?.remoteAddress) || '0.0.0.0';
+  let clientIp = remoteAddress;
+
+  if (matchesCidrList(remoteAddress, trustedProxies)) {
+    const header = req.headers['x-forwarded-for'];
+    const hops = (Array.isArray(header) ? header.join(',') : header || '').split(',').map(item => item.trim()).filter(Boolean);
+
+    for (let i = hops.length - 1; i >= 0; i--) {
+      const hop = normalizeIp(hops[i]);
+      // 无效地址左侧的内容无法确认来源，使用上一个受信任代理记录的地址
+      if (!hop) break;
+      clientIp = hop;
+      if (!matchesCidrList(hop, trustedProxies)) break;
+    }
+  }
+
+  req.clientIp = clientIp;
+  return clientIp;
+}
+
+/**
+ * 按 IP_DENYLIST 和 IP_ALLOWLIST 检查客户端IP是否允许访问，拒绝列表优先
+ * @param {string} ip - 客户端IP
+ * @returns {Object|null} 不允许访问时返回 { message, code }，否则返回null
+ */
+function checkIpAccess(ip) {
+  if (matchesCidrList(ip, ipDenylist)) {
+    return { message: `IP地址 ${ip} 已被禁止访问`, code: ErrorCodes.IP_NOT_ALLOWED };
+  }
+  if ((ipAllowlist.any || ipAllowlist.ranges.length > 0) && !matchesCidrList(ip, ipAllowlist)) {
+    return { message: `IP地址 ${ip} 不在允许访问的范围内`, code: ErrorCodes.IP_NOT_ALLOWED };
+  }
+  return null;
+}
+
+module.exports = {
+  getClientIp,
+  checkIpAccess,
+  normalizeIp,
+  parseCidrList,
+  matchesCidrList
+};
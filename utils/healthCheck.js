@@ -0,0 +1,278 @@
+const axios = require('axios');
+const { config, describeCircuitBreakers } = require('../api/config');
+const { buildProviderConfig } = require('./providers');
+
+// 就绪状态
+const ReadinessStatus = {
+  READY: 'ready',           // 所有检查通过
+  DEGRADED: 'degraded',     // 可以处理请求，但部分服务商不可用或存在配置警告
+  NOT_READY: 'not_ready'    // 无法处理请求
+};
+
+/**
+ * 健康检查
+ * 后台定时探测各服务商和审核服务，缓存最近一次的探测结果；
+ * /readyz 读取缓存的结果，除尚未探测过的情况外不会因为健康检查请求而调用上游
+ */
+class HealthMonitor {
+  /**
+   * @param {Object} options
+   * @param {number} options.probeInterval - 探测间隔(毫秒)，0 表示不在后台探测
+   * @param {number} options.probeTimeout - 单次探测的超时时间(毫秒)
+   */
+  constructor(options) {
+    this.probeInterval = options.probeInterval;
+    this.probeTimeout = options.probeTimeout;
+    this.providerProbes = {};     // 服务商名称 -> 最近一次探测结果
+    this.moderationProbe = null;  // 审核服务最近一次探测结果
+    this.lastProbeTime = 0;
+    this.probing = null;          // 正在进行的探测，避免并发重复探测
+    this.timer = null;
+  }
+
+  /**
+   * 获取需要探测的服务商：主服务商和单独配置的备用服务商
+   * @returns {Array<Object>} 服务商配置列表
+   */
+  getProbeTargets() {
+    const targets = new Map();
+    for (const provider of config.providers) {
+      targets.set(provider.name, provider);
+    }
+    for (const fallback of config.providers.flatMap(provider => provider.fallbacks)) {
+      if (!fallback.ref && !targets.has(fallback.name)) {
+        targets.set(fallback.name, fallback);
+      }
+    }
+    return [...targets.values()];
+  }
+
+  /**
+   * 请求 /v1/models 探测服务是否可用
+   * @param {string} url - 服务地址
+   * @param {Object} requestConfig - axios配置
+   * @returns {Promise<Object>} { up, checkedAt, latencyMs, statusCode, error, modelIds }
+   */
+  async probe(url, requestConfig) {
+    const startTime = Date.now();
+    try {
+      const response = await axios.get(`${url}/v1/models`, { ...requestConfig, timeout: this.probeTimeout });
+      return {
+        up: true,
+        checkedAt: new Date().toISOString(),
+        latencyMs: Date.now() - startTime,
+        statusCode: response.status,
+        error: null,
+        modelIds: (response.data?.data || []).map(model => model?.id).filter(Boolean)
+      };
+    } catch (error) {
+      return {
+        up: false,
+        checkedAt: new Date().toISOString(),
+        latencyMs: Date.now() - startTime,
+        statusCode: error.response?.status || null,
+        error: error.response?.data?.error?.message || error.message,
+        modelIds: []
+      };
+    }
+  }
+
+  /**
+   * 探测所有服务商和审核服务，同一时间只进行一次探测
+   * @returns {Promise<void>}
+   */
+  probeAll() {
+    if (this.probing) return this.probing;
+
+    this.probing = (async () => {
+      const targets = this.getProbeTargets();
+      const probes = targets.map(provider => this.probe(provider.url, buildProviderConfig(provider)));
+
+      if (config.firstProvider.url) {
+        probes.push(this.probe(config.firstProvider.url, {
+          headers: {
+            'Authorization': `Bearer ${config.firstProvider.key}`,
+            'Accept': 'application/json'
+          }
+        }));
+      }
+
+      const results = await Promise.all(probes);
+      const providerProbes = {};
+      targets.forEach((provider, index) => {
+        const { modelIds, ...result } = results[index];
+        providerProbes[provider.name] = result;
+        if (!result.up) {
+          console.warn(`[健康检查] 服务商 ${provider.name} 探测失败：${result.error}`);
+        }
+      });
+      this.providerProbes = providerProbes;
+
+      if (config.firstProvider.url) {
+        this.moderationProbe = results[results.length - 1];
+        if (!this.moderationProbe.up) {
+          console.warn(`[健康检查] 审核服务探测失败：${this.moderationProbe.error}`);
+        }
+      }
+
+      this.lastProbeTime = Date.now();
+    })().finally(() => {
+      this.probing = null;
+    });
+
+    return this.probing;
+  }
+
+  /**
+   * 启动后台探测
+   */
+  start() {
+    if (this.timer || this.probeInterval <= 0) return;
+
+    this.probeAll();
+    this.timer = setInterval(() => this.probeAll(), this.probeInterval);
+    // 后台探测不阻止进程退出
+    this.timer.unref();
+  }
+
+  /**
+   * 停止后台探测
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * 确保存在探测结果：从未探测过时（如未启动后台探测的无服务器部署）等待一次探测，
+   * 结果过期时在后台刷新，当前请求仍使用缓存的结果
+   * @returns {Promise<void>}
+   */
+  async ensureProbed() {
+    if (this.lastProbeTime === 0) {
+      await this.probeAll();
+      return;
+    }
+
+    if (!this.timer && this.probeInterval > 0 && Date.now() - this.lastProbeTime > this.probeInterval) {
+      this.probeAll();
+    }
+  }
+
+  /**
+   * 检查配置是否完整
+   * @returns {Object} { errors, warnings }
+   */
+  checkConfig() {
+    const errors = [];
+    const warnings = [];
+
+    if (!config.authKey && config.apiKeys.length === 0) {
+      errors.push('未设置 AUTH_KEY 或 API_KEYS_FILE，所有请求都会认证失败');
+    }
+
+    if (config.providers.length === 0) {
+      errors.push('未配置主服务商，请设置 PROVIDERS、PROVIDERS_FILE 或 SECOND_PROVIDER_URL');
+    }
+    for (const provider of config.providers) {
+      for (const fallback of provider.fallbacks) {
+        if (fallback.ref && !config.providers.some(item => item.name === fallback.ref)) {
+          warnings.push(`服务商 ${provider.name} 的备用服务商 ${fallback.ref} 未配置`);
+        }
+      }
+    }
+
+    if (config.moderation.enabled) {
+      if (!config.firstProvider.url) errors.push('未设置 FIRST_PROVIDER_URL');
+      if (!config.firstProvider.key) errors.push('未设置 FIRST_PROVIDER_KEY');
+      if (config.firstProvider.models.length === 0) errors.push('未设置 FIRST_PROVIDER_MODELS');
+    } else {
+      warnings.push('内容审核已关闭');
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * 汇总就绪状态
+   * 配置错误、全局熔断、审核服务不可用或没有可用的服务商时为 not_ready，
+   * 部分服务商不可用、审核模型不在模型列表中或存在配置警告时为 degraded
+   * @returns {Object} 就绪状态详情
+   */
+  getReadiness() {
+    const configCheck = this.checkConfig();
+    const breakers = describeCircuitBreakers();
+    const breakerByName = Object.fromEntries(breakers.providers.map(breaker => [breaker.name, breaker]));
+
+    const providers = this.getProbeTargets().map(provider => {
+      const probe = this.providerProbes[provider.name] || null;
+      const circuitBreakerOpen = breakerByName[provider.name]?.tripped || false;
+      return {
+        name: provider.name,
+        // 尚未探测时只根据熔断器判断
+        available: !circuitBreakerOpen && probe?.up !== false,
+        circuitBreakerOpen,
+        probe
+      };
+    });
+
+    let moderation = null;
+    if (config.moderation.enabled && config.firstProvider.url) {
+      const probe = this.moderationProbe;
+      const { modelIds, ...probeResult } = probe || {};
+      const moderationModels = [...new Set([...config.firstProvider.models, config.moderation.visionModel].filter(Boolean))];
+      moderation = {
+        available: probe?.up !== false,
+        probe: probe ? probeResult : null,
+        // 模型列表为空时服务商可能不支持列出模型，不判断审核模型是否存在
+        models: moderationModels.map(model => ({
+          name: model,
+          listed: probe?.up && modelIds.length > 0 ? modelIds.includes(model) : null
+        }))
+      };
+    }
+
+    const reasons = [...configCheck.errors];
+    if (breakers.global.tripped) {
+      reasons.push('全局熔断器已打开');
+    }
+    if (providers.length > 0 && !providers.some(provider => provider.available)) {
+      reasons.push('没有可用的服务商');
+    }
+    if (moderation && !moderation.available) {
+      reasons.push('审核服务不可用');
+    }
+
+    const degraded = configCheck.warnings.length > 0
+      || providers.some(provider => !provider.available)
+      || (moderation && moderation.models.some(model => model.listed === false));
+
+    let status = ReadinessStatus.READY;
+    if (reasons.length > 0) {
+      status = ReadinessStatus.NOT_READY;
+    } else if (degraded) {
+      status = ReadinessStatus.DEGRADED;
+    }
+
+    return {
+      status,
+      reasons,
+      timestamp: new Date().toISOString(),
+      lastProbeTime: this.lastProbeTime ? new Date(this.lastProbeTime).toISOString() : null,
+      checks: {
+        config: configCheck,
+        circuitBreakers: breakers,
+        providers,
+        moderation
+      }
+    };
+  }
+}
+
+// 创建单例实例
+const healthMonitor = new HealthMonitor(config.healthCheck);
+
+module.exports = {
+  healthMonitor,
+  ReadinessStatus
+};
@@ -0,0 +1,191 @@
+const fs = require('fs');
+const { config, reloadApiKeys, matchesModelPattern, ErrorCodes } = require('../api/config');
+const metrics = require('./metrics');
+const { stateStore } = require('./stateStore');
+
+/**
+ * 虚拟API密钥存储
+ * 将请求中的Bearer令牌解析为租户对象，并跟踪每个密钥的请求配额
+ * 配额计数保存在共享状态存储中，多个实例共用同一组计数器
+ */
+class KeyStore {
+  constructor() {
+    this.store = stateStore;
+    this.lastReloadCheck = 0;
+    this.fileMtime = this.getFileMtime();
+  }
+
+  /**
+   * 获取密钥文件的修改时间
+   * @returns {number} 修改时间戳，文件不存在时返回0
+   */
+  getFileMtime() {
+    if (!config.apiKeysFile) return 0;
+    try {
+      return fs.statSync(config.apiKeysFile).mtimeMs;
+    } catch (error) {
+      return 0;
+    }
+  }
+
+  /**
+   * 密钥文件变化时自动重新加载（最多每5秒检查一次）
+   */
+  reloadIfChanged() {
+    const now = Date.now();
+    if (!config.apiKeysFile || now - this.lastReloadCheck < 5000) return;
+    this.lastReloadCheck = now;
+
+    const mtime = this.getFileMtime();
+    if (mtime !== this.fileMtime) {
+      this.fileMtime = mtime;
+      reloadApiKeys();
+    }
+  }
+
+  /**
+   * 根据令牌查找密钥配置
+   * @param {string} token - 请求中的Bearer令牌
+   * @returns {Object|null} 密钥配置，未找到返回null
+   */
+  findKey(token) {
+    if (!token) return null;
+
+    this.reloadIfChanged();
+
+    const entry = config.apiKeys.find(item => item.key === token);
+    if (entry) return entry;
+
+    // 兼容旧版单一AUTH_KEY，视为不受限的默认租户
+    if (config.authKey && token === config.authKey) {
+      return {
+        key: config.authKey,
+        keyId: 'default',
+        name: 'default',
+        enabled: true,
+        models: [],
+        rpm: 0,
+        tpm: 0,
+        dailyLimit: 0,
+        expiresAt: null,
+        policy: null,
+        scopePolicies: {}
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * 验证令牌是否为有效的密钥，不检查模型白名单也不消耗配额
+   * @param {string} token - 请求中的Bearer令牌
+   * @returns {Object} { tenant, entry } 或 { error: { status, message, code } }
+   */
+  authenticate(token) {
+    const entry = this.findKey(token);
+
+    if (!entry) {
+      return { error: { status: 401, message: "无效的认证密钥", code: ErrorCodes.INVALID_AUTH_KEY } };
+    }
+
+    if (!entry.enabled) {
+      return { error: { status: 401, message: "该密钥已被禁用", code: ErrorCodes.KEY_DISABLED } };
+    }
+
+    if (entry.expiresAt && Date.now() > entry.expiresAt) {
+      return { error: { status: 401, message: "该密钥已过期", code: ErrorCodes.KEY_EXPIRED } };
+    }
+
+    return {
+      entry,
+      tenant: {
+        id: entry.keyId,
+        name: entry.name,
+        models: entry.models,
+        rpm: entry.rpm,
+        tpm: entry.tpm,
+        dailyLimit: entry.dailyLimit,
+        expiresAt: entry.expiresAt,
+        policy: entry.policy,
+        scopePolicies: entry.scopePolicies
+      }
+    };
+  }
+
+  /**
+   * 将令牌解析为租户对象
+   * @param {string} token - 请求中的Bearer令牌
+   * @param {string} [model] - 请求的模型名，用于检查模型白名单
+   * @returns {Promise<Object>} { tenant } 或 { error: { status, message, code } }
+   */
+  async resolve(token, model) {
+    const { entry, tenant, error } = this.authenticate(token);
+    if (error) {
+      return { error };
+    }
+
+    // 模型白名单为空表示允许所有模型
+    if (model && entry.models.length > 0 && !matchesModelPattern(model, entry.models)) {
+      return { error: { status: 403, message: `该密钥无权使用模型 "${model}"`, code: ErrorCodes.MODEL_NOT_ALLOWED } };
+    }
+
+    const quotaError = await this.consumeQuota(entry);
+    if (quotaError) {
+      return { error: quotaError };
+    }
+
+    return { tenant };
+  }
+
+  /**
+   * 检查并消耗密钥的每分钟和每日请求配额
+   * 先计入再比较，超出配额时退还，并发请求不会同时通过检查
+   * @param {Object} entry - 密钥配置
+   * @returns {Promise<Object|null>} 超出配额时返回错误信息，否则返回null
+   */
+  async consumeQuota(entry) {
+    if (!(entry.rpm > 0) && !(entry.dailyLimit > 0)) return null;
+
+    const now = Date.now();
+    const keyId = entry.keyId;
+    const today = new Date(now).toISOString().substring(0, 10);
+    const minuteKey = `keyquota:rpm:${keyId}:${Math.floor(now / 60000)}`;
+    const dailyKey = `keyquota:daily:${keyId}:${today}`;
+
+    try {
+      if (entry.rpm > 0) {
+        const { value } = await this.store.incr(minuteKey, 60000);
+        if (value > entry.rpm) {
+          await this.store.incr(minuteKey, 60000, -1);
+          console.warn(`[密钥库] 密钥 ${entry.name} 超过每分钟请求限制 ${entry.rpm}`);
+          metrics.rateLimitRejections.inc({ limiter: 'key_rpm' });
+          return { status: 429, message: `该密钥超过每分钟${entry.rpm}个请求的限制`, code: ErrorCodes.KEY_QUOTA_EXCEEDED };
+        }
+      }
+
+      if (entry.dailyLimit > 0) {
+        // 按UTC日期分键，多保留一天以覆盖各实例之间的时钟偏差
+        const { value } = await this.store.incr(dailyKey, 2 * 86400000);
+        if (value > entry.dailyLimit) {
+          await this.store.incr(dailyKey, 2 * 86400000, -1);
+          if (entry.rpm > 0) {
+            await this.store.incr(minuteKey, 60000, -1);
+          }
+          console.warn(`[密钥库] 密钥 ${entry.name} 超过每日请求限制 ${entry.dailyLimit}`);
+          metrics.rateLimitRejections.inc({ limiter: 'key_daily' });
+          return { status: 429, message: `该密钥超过每日${entry.dailyLimit}个请求的限制`, code: ErrorCodes.KEY_QUOTA_EXCEEDED };
+        }
+      }
+    } catch (error) {
+      // 与请求数限制一致，共享存储不可用时放行请求
+      console.error(`[密钥库] 更新密钥 ${entry.name} 的请求配额失败，本次请求不做限制：`, error.message);
+    }
+
+    return null;
+  }
+}
+
+// 创建单例实例
+const keyStore = new KeyStore();
+
+module.exports = keyStore;
@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../api/config');
+
+// 本地规则动作
+const RuleActions = {
+  BLOCK: 'block',   // 直接拦截，不再调用审核模型
+  ALLOW: 'allow',   // 直接放行，不再调用审核模型
+  DEFER: 'defer'    // 只记录命中，交给审核模型判断
+};
+
+/**
+ * Aho-Corasick 多模式匹配自动机
+ * 一次扫描文本即可匹配所有关键词，关键词数量达到数万时仍保持线性时间
+ */
+class KeywordMatcher {
+  constructor() {
+    // 每个节点: { next: Map<字符, 节点索引>, fail: 节点索引, outputs: [{ term, ruleId }] }
+    this.nodes = [{ next: new Map(), fail: 0, outputs: [] }];
+    this.size = 0;
+    this.built = false;
+  }
+
+  /**
+   * 添加关键词
+   * @param {string} term - 关键词（已转换为小写）
+   * @param {string} ruleId - 所属规则ID
+   */
+  add(term, ruleId) {
+    if (!term) return;
+
+    let node = 0;
+    for (const char of term) {
+      let next = this.nodes[node].next.get(char);
+      if (next === undefined) {
+        next = this.nodes.length;
+        this.nodes.push({ next: new Map(), fail: 0, outputs: [] });
+        this.nodes[node].next.set(char, next);
+      }
+      node = next;
+    }
+    this.nodes[node].outputs.push({ term, ruleId });
+    this.size++;
+    this.built = false;
+  }
+
+  /**
+   * 构建失败指针（广度优先）
+   */
+  build() {
+    const queue = [];
+    for (const child of this.nodes[0].next.values()) {
+      this.nodes[child].fail = 0;
+      queue.push(child);
+    }
+
+    // 用游标代替 shift()，避免节点数很多时出现平方级开销
+    for (let head = 0; head < queue.length; head++) {
+      const current = queue[head];
+      for (const [char, child] of this.nodes[current].next) {
+        let fail = this.nodes[current].fail;
+        while (fail !== 0 && !this.nodes[fail].next.has(char)) {
+          fail = this.nodes[fail].fail;
+        }
+        const target = this.nodes[fail].next.get(char);
+        this.nodes[child].fail = target !== undefined && target !== child ? target : 0;
+        this.nodes[child].outputs = this.nodes[child].outputs.concat(this.nodes[this.nodes[child].fail].outputs);
+        queue.push(child);
+      }
+    }
+
+    this.built = true;
+  }
+
+  /**
+   * 在文本中查找所有命中的关键词
+   * @param {string} text - 待匹配的文本（已转换为小写）
+   * @returns {Array<Object>} 命中列表 [{ term, ruleId }]
+   */
+  search(text) {
+    if (this.size === 0) return [];
+    if (!this.built) this.build();
+
+    const matches = [];
+    let node = 0;
+
+    for (const char of text) {
+      while (node !== 0 && !this.nodes[node].next.has(char)) {
+        node = this.nodes[node].fail;
+      }
+      node = this.nodes[node].next.get(char) ?? 0;
+      if (this.nodes[node].outputs.length > 0) {
+        matches.push(...this.nodes[node].outputs);
+      }
+    }
+
+    return matches;
+  }
+}
+
+/**
+ * 本地关键词/正则规则引擎
+ * 在调用审核模型之前执行，可以直接拦截、直接放行或交给审核模型判断
+ */
+class KeywordFilter {
+  constructor() {
+    this.rules = [];
+    this.matcher = new KeywordMatcher();
+    this.loaded = false;
+  }
+
+  /**
+   * 从规则文件加载规则
+   * 文件格式: { "rules": [{ "id": "weapons", "action": "block", "riskLevel": 5, "terms": ["..."], "termsFile": "./weapons.txt", "patterns": ["正则"] }] }
+   * termsFile 每行一个关键词，# 开头为注释，相对路径相对于规则文件所在目录
+   * @param {string} [filePath] - 规则文件路径
+   */
+  load(filePath = config.moderation.rulesFile) {
+    this.rules = [];
+    this.matcher = new KeywordMatcher();
+    this.loaded = true;
+
+    if (!filePath) return;
+
+    try {
+      const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      const baseDir = path.dirname(path.resolve(filePath));
+
+      for (const entry of raw.rules || []) {
+        const action = String(entry.action || RuleActions.DEFER).toLowerCase();
+        if (!entry.id || !Object.values(RuleActions).includes(action)) {
+          console.warn(`[本地规则] 规则缺少ID或动作无效，已忽略：${JSON.stringify(entry).substring(0, 100)}`);
+          continue;
+        }
+
+        const terms = Array.isArray(entry.terms) ? [...entry.terms] : [];
+        if (entry.termsFile) {
+          const termsPath = path.resolve(baseDir, entry.termsFile);
+          terms.push(...fs.readFileSync(termsPath, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#')));
+        }
+
+        for (const term of terms) {
+          this.matcher.add(String(term).toLowerCase(), entry.id);
+        }
+
+        this.rules.push({
+          id: entry.id,
+          action,
+          riskLevel: parseInt(entry.riskLevel || (action === RuleActions.BLOCK ? '5' : '1')),
+          patterns: (entry.patterns || []).map(pattern => new RegExp(pattern, entry.caseSensitive ? 'u' : 'iu'))
+        });
+      }
+
+      this.matcher.build();
+      console.log(`[本地规则] 已加载 ${this.rules.length} 条规则，${this.matcher.size} 个关键词`);
+    } catch (error) {
+      console.error(`[本地规则] 加载规则文件失败 (${filePath})：`, error.message);
+    }
+  }
+
+  /**
+   * 对消息执行本地规则
+   * 任意消息命中拦截规则时拦截整个请求；放行规则只对命中的那条消息生效，
+   * 所有消息都命中放行规则时才整体放行，其余情况交给审核模型判断未放行的消息
+   * @param {Array<Object>} messages - 经过 preprocessMessages 处理的消息
+   * @returns {Object} { action, rule, matched, hits, allowed }，rule 为决定动作的规则，hits 为所有命中的规则，
+   *   allowed 与 messages 一一对应，表示该消息是否命中放行规则
+   */
+  evaluate(messages) {
+    if (!this.loaded) this.load();
+    if (this.rules.length === 0) {
+      return { action: RuleActions.DEFER, rule: null, matched: null, hits: [], allowed: messages.map(() => false) };
+    }
+
+    const messageHits = messages.map(msg =>
+      this.matchRules(typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)));
+
+    // 同一条规则只记录第一次命中
+    const hitRules = [];
+    for (const ruleHits of messageHits) {
+      for (const hit of ruleHits) {
+        if (!hitRules.some(rule => rule.id === hit.id)) hitRules.push(hit);
+      }
+    }
+
+    const allowed = messageHits.map(ruleHits =>
+      !ruleHits.some(rule => rule.action === RuleActions.BLOCK) && ruleHits.some(rule => rule.action === RuleActions.ALLOW));
+
+    const decisive = hitRules.find(rule => rule.action === RuleActions.BLOCK)
+      || (messages.length > 0 && allowed.every(Boolean) ? hitRules.find(rule => rule.action === RuleActions.ALLOW) : null);
+
+    return {
+      action: decisive ? decisive.action : RuleActions.DEFER,
+      rule: decisive || null,
+      matched: decisive ? decisive.matched : null,
+      hits: hitRules,
+      allowed
+    };
+  }
+
+  /**
+   * 对单条消息的文本执行所有规则
+   * @param {string} text - 消息文本
+   * @returns {Array<Object>} 命中的规则 { id, action, riskLevel, matched }，按规则顺序排列
+   */
+  matchRules(text) {
+    const lowerText = text.toLowerCase();
+
+    // 同一条规则只记录第一次命中
+    const hits = new Map();
+    for (const match of this.matcher.search(lowerText)) {
+      if (!hits.has(match.ruleId)) hits.set(match.ruleId, match.term);
+    }
+    for (const rule of this.rules) {
+      if (hits.has(rule.id)) continue;
+      for (const pattern of rule.patterns) {
+        const match = pattern.exec(text);
+        if (match) {
+          hits.set(rule.id, match[0]);
+          break;
+        }
+      }
+    }
+
+    return this.rules
+      .filter(rule => hits.has(rule.id))
+      .map(rule => ({ id: rule.id, action: rule.action, riskLevel: rule.riskLevel, matched: hits.get(rule.id) }));
+  }
+}
+
+// 创建单例实例
+const keywordFilter = new KeywordFilter();
+
+module.exports = {
+  keywordFilter,
+  KeywordMatcher,
+  RuleActions
+};
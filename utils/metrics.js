@@ -0,0 +1,262 @@
+/**
+ * Prometheus 指标
+ * 进程内的计数器、仪表和直方图，由 /metrics 以 Prometheus 文本格式输出，不依赖外部服务
+ */
+
+// 默认的耗时直方图分桶(秒)
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+// 转义标签值中的反斜杠、双引号和换行
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+// 格式化标签，如 {route="/v1/models",status="200"}
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * 指标基类，按标签组合保存数值
+ */
+class Metric {
+  /**
+   * @param {string} name - 指标名
+   * @param {string} help - 指标说明
+   * @param {Array<string>} [labelNames] - 标签名列表
+   */
+  constructor(name, help, labelNames = []) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * 获取标签组合对应的序列，不存在时创建
+   * @param {Object} labels - 标签值
+   * @param {Function} create - 创建初始值的函数
+   * @returns {Object} 序列 { labels, value }
+   */
+  getSeries(labels, create) {
+    const normalized = {};
+    for (const labelName of this.labelNames) {
+      normalized[labelName] = labels[labelName] ?? '';
+    }
+
+    const key = this.labelNames.map(labelName => normalized[labelName]).join('\u0001');
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels: normalized, value: create() };
+      this.series.set(key, series);
+    }
+    return series;
+  }
+
+  /**
+   * 输出 HELP 和 TYPE 行
+   * @param {string} type - 指标类型
+   * @returns {Array<string>}
+   */
+  header(type) {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${type}`];
+  }
+}
+
+/**
+ * 只增不减的计数器
+ */
+class Counter extends Metric {
+  /**
+   * @param {Object} [labels] - 标签值
+   * @param {number} [value] - 增加的数值
+   */
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value += value;
+  }
+
+  render() {
+    const lines = this.header('counter');
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 可增可减的仪表，collect 函数可以在输出时实时读取状态
+ */
+class Gauge extends Metric {
+  /**
+   * @param {string} name - 指标名
+   * @param {string} help - 指标说明
+   * @param {Array<string>} [labelNames] - 标签名列表
+   * @param {Function} [collect] - 输出前调用，返回 [{ labels, value }] 替换当前所有序列
+   */
+  constructor(name, help, labelNames = [], collect = null) {
+    super(name, help, labelNames);
+    this.collect = collect;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.getSeries(labels, () => 0).value -= value;
+  }
+
+  set(labels = {}, value) {
+    this.getSeries(labels, () => 0).value = value;
+  }
+
+  render() {
+    if (this.collect) {
+      this.series.clear();
+      for (const item of this.collect()) {
+        this.set(item.labels || {}, item.value);
+      }
+    }
+
+    const lines = this.header('gauge');
+    for (const series of this.series.values()) {
+      lines.push(`${this.name}${formatLabels(series.labels)} ${series.value}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 直方图，记录耗时等数值的分布
+ */
+class Histogram extends Metric {
+  /**
+   * @param {string} name - 指标名
+   * @param {string} help - 指标说明
+   * @param {Array<string>} [labelNames] - 标签名列表
+   * @param {Array<number>} [buckets] - 分桶上限，从小到大
+   */
+  constructor(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    super(name, help, labelNames);
+    this.buckets = buckets;
+  }
+
+  /**
+   * 记录一个观测值
+   * @param {Object} labels - 标签值
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bucket, index) => {
+      if (value <= bucket) series.value.counts[index]++;
+    });
+    series.value.sum += value;
+    series.value.count++;
+  }
+
+  /**
+   * 开始计时，返回的函数在结束时调用并记录耗时(秒)，重复调用只记录第一次
+   * @param {Object} [labels] - 标签值
+   * @returns {Function} (extraLabels) => void
+   */
+  startTimer(labels = {}) {
+    const start = process.hrtime.bigint();
+    let ended = false;
+    return (extraLabels = {}) => {
+      if (ended) return;
+      ended = true;
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+    };
+  }
+
+  render() {
+    const lines = this.header('histogram');
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bucket, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: bucket })} ${series.value.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.value.count}`);
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.value.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.value.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * 指标注册表
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+    this.startTime = Date.now();
+
+    this.httpRequests = this.register(new Counter(
+      'transit_filter_http_requests_total', '按路由和状态码统计的请求数', ['route', 'status']));
+    this.httpRequestDuration = this.register(new Histogram(
+      'transit_filter_http_request_duration_seconds', '请求处理耗时(秒)，流式请求为整个流的持续时间', ['route']));
+
+    this.moderationDuration = this.register(new Histogram(
+      'transit_filter_moderation_duration_seconds', '审核模型调用耗时(秒)', ['stage', 'model', 'outcome']));
+    this.moderationVerdicts = this.register(new Counter(
+      'transit_filter_moderation_verdicts_total', '按风险等级、动作和请求模型统计的审核结论', ['stage', 'risk_level', 'action', 'model']));
+    this.moderationExtractions = this.register(new Counter(
+      'transit_filter_moderation_extractions_total', '因内容过长而截取部分内容审核的次数', ['stage']));
+    this.moderationCache = this.register(new Counter(
+      'transit_filter_moderation_cache_total', '审核缓存命中情况(hit/partial/miss)', ['stage', 'status']));
+
+    this.upstreamDuration = this.register(new Histogram(
+      'transit_filter_upstream_duration_seconds', '请求上游服务商的耗时(秒)，流式请求为收到响应头的时间', ['route', 'provider', 'outcome']));
+    this.upstreamRetries = this.register(new Counter(
+      'transit_filter_upstream_retries_total', '请求上游服务商的重试次数', ['route']));
+
+    this.circuitBreakerTrips = this.register(new Counter(
+      'transit_filter_circuit_breaker_trips_total', '熔断器触发次数', ['breaker', 'reason']));
+    this.circuitBreakerOpen = this.register(new Gauge(
+      'transit_filter_circuit_breaker_open', '熔断器当前是否打开(1为打开)', ['breaker']));
+
+    this.rateLimitRejections = this.register(new Counter(
+      'transit_filter_rate_limit_rejections_total', '按限制类型统计的限流拒绝次数', ['limiter', 'route']));
+
+    this.streamsInFlight = this.register(new Gauge(
+      'transit_filter_sse_streams_in_flight', '正在进行的SSE流式响应数'));
+
+    this.register(new Gauge('transit_filter_process_resident_memory_bytes', '进程常驻内存(字节)', [],
+      () => [{ value: process.memoryUsage().rss }]));
+    this.register(new Gauge('transit_filter_process_start_time_seconds', '进程启动时间(Unix秒)', [],
+      () => [{ value: Math.floor(this.startTime / 1000) }]));
+  }
+
+  /**
+   * 注册指标
+   * @param {Metric} metric - 指标
+   * @returns {Metric} 传入的指标
+   */
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * 以 Prometheus 文本格式输出所有指标
+   * @returns {string}
+   */
+  render() {
+    return this.metrics.map(metric => metric.render().join('\n')).join('\n') + '\n';
+  }
+}
+
+// 创建单例实例
+const metrics = new MetricsRegistry();
+
+module.exports = metrics;
@@ -0,0 +1,969 @@
+const axios = require('axios');
+const { config, ErrorTypes, ErrorCodes, checkCircuitBreaker, recordServiceFailure, moderationPrompts, matchesModelPattern } = require('../api/config');
+const moderationCache = require('./moderationCache');
+const { PolicyActions, resolvePolicy, decideAction } = require('./moderationPolicy');
+const { keywordFilter, RuleActions } = require('./keywordFilter');
+const auditLog = require('./auditLog');
+const metrics = require('./metrics');
+
+// 内容审核流水线：本地规则、审核缓存、审核策略、文本审核和图片审核
+// 聊天补全和图像生成等接口共用同一套审核逻辑
+
+// 用于负载均衡的模型索引计数器
+let moderationModelIndex = 0;
+
+// 负载均衡选择模型的函数
+function selectModerationModel(strategy = 'round-robin') {
+  const models = config.firstProvider.models;
+
+  // 如果没有配置模型，返回错误
+  if (!models || models.length === 0) {
+    const error = new Error("未配置审核模型，请设置 FIRST_PROVIDER_MODELS 环境变量");
+    error.nonRetryable = true; // 标记为不可重试错误
+    throw error;
+  }
+
+  // 如果只有一个模型，直接返回
+  if (models.length === 1) {
+    return models[0];
+  }
+
+  // 根据策略选择模型
+  let selectedModel;
+  
+  switch (strategy) {
+    case 'random':
+      // 随机选择一个模型
+      const randomIndex = Math.floor(Math.random() * models.length);
+      selectedModel = models[randomIndex];
+      break;
+
+    case 'round-robin':
+    default:
+      // 轮询选择模型
+      selectedModel = models[moderationModelIndex];
+      moderationModelIndex = (moderationModelIndex + 1) % models.length;
+      break;
+  }
+  
+  // 验证选定的模型是否为空
+  if (!selectedModel || selectedModel.trim() === '') {
+    const error = new Error("选择的审核模型无效");
+    error.nonRetryable = true;
+    throw error;
+  }
+  
+  return selectedModel;
+}
+
+// 审核结论指标的 model 标签：使用匹配的服务商模型模式，未匹配任何模式的模型记为 other，
+// 避免客户端传入任意模型名时无限增加指标序列
+function getModelLabel(model) {
+  if (!model) return 'unknown';
+  for (const provider of config.providers) {
+    const pattern = provider.models.find(item => matchesModelPattern(model, [item]));
+    if (pattern) return pattern;
+  }
+  return 'other';
+}
+
+// 审核日志工具函数
+// meta.stage 区分审核阶段：input 为用户请求内容，output 为模型生成内容
+// meta.action 为按审核策略得出的动作（allow/warn/block/review）
+// meta.ruleHits 为命中的本地规则
+// meta.requestModel / meta.tenant / meta.clientIp / meta.latencyMs / meta.extraction 写入持久化的审核日志，供管理接口查询
+// meta.content 为被审核的内容，未提供时使用审核请求中的用户消息
+function logModerationResult(model, request, response, result, isViolation, meta = {}) {
+  const { stage = 'input', action = null, ruleHits = [], requestModel = null, tenant = null, clientIp = null, latencyMs = null, extraction = null } = meta;
+  const content = meta.content ?? null;
+  const timestamp = new Date().toISOString();
+  const logId = `mod_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+
+  // 提取用户消息内容用于日志记录
+  const userMessages = request.messages
+    .filter(msg => msg.role === 'user')
+    .map(msg => typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content))
+    .join('\n---\n');
+
+  // 构建详细的日志对象
+  const logData = {
+    id: logId,
+    timestamp,
+    stage,
+    model,
+    clientIp,
+    request: {
+      temperature: request.temperature,
+      max_tokens: request.max_tokens,
+      // 只记录用户消息，避免系统提示过长
+      userMessages: userMessages.length > 500 ? userMessages.substring(0, 500) + '...' : userMessages,
+      // 记录所有原始消息，包括角色信息
+      originalMessages: request.messages.map(msg => ({
+        role: msg.role,
+        content: typeof msg.content === 'string' && msg.content.length > 100
+          ? msg.content.substring(0, 100) + '...'
+          : msg.content
+      }))
+    },
+    response: {
+      raw: response ? response.data : null,
+      parsed: result
+    },
+    result: {
+      isViolation,
+      riskLevel: result?.riskLevel || 0,
+      action
+    },
+    // 命中的本地规则及其规则ID
+    rules: ruleHits.length > 0 ? ruleHits : undefined
+  };
+
+  // 使用不同的日志级别区分违规和非违规内容
+  if (action === PolicyActions.REVIEW) {
+    console.warn(`[CONTENT-REVIEW][${logId}][${stage}] 内容等待人工复核，风险等级: ${result?.riskLevel || 'unknown'}`);
+    console.warn(JSON.stringify(logData, null, 2));
+  } else if (isViolation) {
+    console.warn(`[CONTENT-VIOLATION][${logId}][${stage}] 内容违规，风险等级: ${result?.riskLevel || 'unknown'}`);
+    console.warn(JSON.stringify(logData, null, 2));
+  } else {
+    console.log(`[CONTENT-PASS][${logId}][${stage}] 内容审核通过，风险等级: ${result?.riskLevel || 'unknown'}`);
+    console.log(JSON.stringify(logData, null, 2));
+  }
+
+  metrics.moderationVerdicts.inc({
+    stage,
+    risk_level: result?.riskLevel || 0,
+    action: action || (isViolation ? PolicyActions.BLOCK : PolicyActions.ALLOW),
+    model: getModelLabel(requestModel)
+  });
+
+  auditLog.append({
+    id: logId,
+    timestamp,
+    stage,
+    model,
+    requestModel,
+    tenant: tenant ? { id: tenant.id, name: tenant.name } : null,
+    clientIp,
+    latencyMs,
+    result: logData.result,
+    response: result,
+    content: content !== null && content.length > 500 ? content.substring(0, 500) + '...' : (content ?? logData.request.userMessages),
+    extraction,
+    rules: logData.rules
+  });
+
+  return logId;
+}
+
+// 从原始消息中提取图片内容（URL或base64 data URI），preprocessMessages 只保留文本
+function extractImageParts(messages) {
+  const images = [];
+  if (!Array.isArray(messages)) return images;
+
+  for (const message of messages) {
+    if (!Array.isArray(message?.content)) continue;
+    for (const item of message.content) {
+      if (item?.type !== 'image_url') continue;
+      const url = typeof item.image_url === 'string' ? item.image_url : item.image_url?.url;
+      if (url) {
+        images.push({ role: message.role, url });
+      }
+    }
+  }
+
+  return images;
+}
+
+// 计算 base64 data URI 解码后的字节数，远程URL返回null
+function getDataUriBytes(url) {
+  const match = /^data:[^,]*;base64,/i.exec(url);
+  if (!match) return null;
+
+  const base64 = url.substring(match[0].length).replace(/\s/g, '');
+  const padding = base64.endsWith('==') ? 2 : (base64.endsWith('=') ? 1 : 0);
+  return Math.floor(base64.length * 3 / 4) - padding;
+}
+
+// 生成图片的日志摘要，避免把完整的 data URI 写入日志
+function describeImage(url) {
+  const bytes = getDataUriBytes(url);
+  if (bytes !== null) {
+    return `${url.substring(0, url.indexOf(',') + 1)}... (${bytes} bytes)`;
+  }
+  return url.length > 200 ? url.substring(0, 200) + '...' : url;
+}
+
+// 检查图片输入是否符合限制，不符合时返回错误对象，否则返回null
+// 远程URL的大小无法在本地确定，只检查 data URI 的大小
+function validateImageInputs(images) {
+  if (images.length === 0) return null;
+
+  const { rejectImageInputs, maxImagesPerRequest, maxImageBytes } = config.moderation;
+
+  if (rejectImageInputs) {
+    return {
+      error: {
+        message: "当前服务不接受图片输入",
+        type: ErrorTypes.INVALID_REQUEST,
+        code: ErrorCodes.IMAGE_INPUT_NOT_ALLOWED
+      }
+    };
+  }
+
+  if (maxImagesPerRequest > 0 && images.length > maxImagesPerRequest) {
+    return {
+      error: {
+        message: `每个请求最多包含${maxImagesPerRequest}张图片，当前为${images.length}张`,
+        type: ErrorTypes.INVALID_REQUEST,
+        code: ErrorCodes.TOO_MANY_IMAGES
+      }
+    };
+  }
+
+  if (maxImageBytes > 0) {
+    const index = images.findIndex(image => (getDataUriBytes(image.url) || 0) > maxImageBytes);
+    if (index !== -1) {
+      return {
+        error: {
+          message: `第${index + 1}张图片超过${maxImageBytes}字节的大小限制`,
+          type: ErrorTypes.INVALID_REQUEST,
+          code: ErrorCodes.IMAGE_TOO_LARGE
+        }
+      };
+    }
+  }
+
+  return null;
+}
+
+// 构造内容违规错误，action 为 review 时表示内容等待人工复核
+function buildViolationError(stage, riskLevel, logId, isPartialCheck, action = PolicyActions.BLOCK) {
+  const isReview = action === PolicyActions.REVIEW;
+  let message = stage === 'output'
+    ? `模型生成的内容未通过审核，已拦截 (ID: ${logId})`
+    : `内容审核未通过，请修改后重试 (ID: ${logId})`;
+  if (isReview) {
+    message = `内容需要人工复核，暂时无法处理 (ID: ${logId})`;
+  }
+
+  return {
+    error: {
+      message,
+      type: ErrorTypes.INVALID_REQUEST,
+      code: isReview ? ErrorCodes.CONTENT_UNDER_REVIEW : ErrorCodes.CONTENT_VIOLATION,
+      details: {
+        stage,
+        riskLevel,
+        logId,
+        isPartialCheck,
+        action
+      }
+    }
+  };
+}
+
+// 判断是否为审核拒绝（违规拦截或等待复核）的错误
+function isModerationRejection(error) {
+  return error?.error?.code === ErrorCodes.CONTENT_VIOLATION ||
+    error?.error?.code === ErrorCodes.CONTENT_UNDER_REVIEW;
+}
+
+// 按审核策略处理审核结论：block/review 抛出错误，allow/warn 返回通过结果
+function enforceModerationPolicy(verdict, action, stage, cacheStatus) {
+  if (action === PolicyActions.BLOCK || action === PolicyActions.REVIEW) {
+    throw buildViolationError(stage, verdict.riskLevel, verdict.logId, verdict.isPartialCheck, action);
+  }
+
+  return {
+    passed: true,
+    logId: verdict.logId,
+    riskLevel: verdict.riskLevel,
+    isPartialCheck: verdict.isPartialCheck,
+    cacheStatus,
+    action
+  };
+}
+
+// 所有服务商都已熔断时拒绝审核
+function assertModerationAvailable() {
+  if (!checkCircuitBreaker('firstProvider')) {
+    console.error(`[熔断器警报] 主服务熔断器已触发，拒绝处理请求`);
+    throw {
+      error: {
+        message: "服务暂时不可用，请稍后再试",
+        type: ErrorTypes.SERVICE,
+        code: ErrorCodes.SERVICE_UNAVAILABLE,
+        circuit_breaker: true
+      }
+    };
+  }
+}
+
+// 审核动作的严重程度，用于合并文本和图片的审核结果
+const actionSeverity = {
+  [PolicyActions.ALLOW]: 0,
+  [PolicyActions.WARN]: 1,
+  [PolicyActions.REVIEW]: 2,
+  [PolicyActions.BLOCK]: 3
+};
+
+// 将一次审核模型调用计入请求的用量统计，options.usage 为 req.usageRecord.moderation
+function recordModerationUsage(usage, checkResponse) {
+  if (!usage) return;
+  usage.calls++;
+  usage.tokens += checkResponse.data?.usage?.total_tokens || 0;
+}
+
+// 处理审核服务
+// options.stage: 'input' 审核用户请求内容（默认），'output' 审核模型生成的内容
+// options.model / options.tenant / options.scope: 用于解析适用的审核策略
+// options.clientIp: 客户端IP，写入审核日志
+// options.images: extractImageParts 提取的图片，交给视觉审核模型审核后与文本审核结果合并
+// options.usage: 累计审核模型的调用次数和令牌数 { calls, tokens }，命中缓存时不计入
+// 返回结果中的 cacheStatus 为 hit（完全命中缓存）、partial（只审核了新增消息）或 miss
+async function performModeration(messages, firstProviderUrl, firstProviderConfig, options = {}) {
+  const textResult = await performTextModeration(messages, firstProviderUrl, firstProviderConfig, options);
+
+  const images = options.images || [];
+  if (images.length === 0) {
+    return textResult;
+  }
+
+  const imageResult = await performImageModeration(images, firstProviderUrl, firstProviderConfig, options);
+
+  return {
+    ...textResult,
+    riskLevel: Math.max(textResult.riskLevel || 0, imageResult.riskLevel || 0),
+    action: actionSeverity[imageResult.action] > actionSeverity[textResult.action] ? imageResult.action : textResult.action,
+    imageLogId: imageResult.logId,
+    imageCount: images.length,
+    imageCacheStatus: imageResult.cacheStatus
+  };
+}
+
+// 使用视觉审核模型审核图片，已审核过的图片直接使用缓存的审核结论
+async function performImageModeration(images, firstProviderUrl, firstProviderConfig, options = {}) {
+  const stage = options.stage || 'input';
+  const policy = resolvePolicy({ model: options.model, tenant: options.tenant, scope: options.scope });
+
+  const imageKeys = images.map(image => moderationCache.hashImage(image.url));
+  const cachedImages = await Promise.all(imageKeys.map(key => moderationCache.get(key)));
+  const uncachedImages = images.filter((image, index) => !cachedImages[index]);
+  const cachedVerdicts = cachedImages.filter(Boolean);
+  const cachedRiskLevel = Math.max(0, ...cachedVerdicts.map(item => item.riskLevel || 0));
+  const cachedViolation = cachedVerdicts.some(item => item.isViolation === true);
+
+  if (uncachedImages.length === 0) {
+    console.log(`[审核缓存] ${images.length} 张图片均已审核，跳过图片审核`);
+    metrics.moderationCache.inc({ stage: `${stage}:image`, status: 'hit' });
+    const verdict = {
+      logId: cachedVerdicts[cachedVerdicts.length - 1].logId,
+      riskLevel: cachedRiskLevel,
+      isViolation: cachedViolation,
+      isPartialCheck: false
+    };
+    return enforceModerationPolicy(verdict, decideAction(verdict, policy), stage, 'hit');
+  }
+
+  assertModerationAvailable();
+
+  const selectedModel = config.moderation.visionModel || selectModerationModel('round-robin');
+  console.log(`[图片审核] 使用视觉审核模型 ${selectedModel} 审核 ${uncachedImages.length}/${images.length} 张图片`);
+
+  const moderationRequest = {
+    messages: [
+      {
+        role: "system",
+        content: moderationPrompts.DEFAULT_SYSTEM_CONTENT
+      },
+      {
+        role: "user",
+        content: [
+          { type: 'text', text: moderationPrompts.VISION_USER_CONTENT },
+          ...uncachedImages.map(image => ({ type: 'image_url', image_url: { url: image.url } }))
+        ]
+      },
+      {
+        role: "user",
+        content: moderationPrompts.FINAL_SYSTEM_CONTENT
+      }
+    ],
+    model: selectedModel,
+    temperature: 0,
+    max_tokens: 100,
+    response_format: {
+      type: "json_object"
+    }
+  };
+
+  metrics.moderationCache.inc({ stage: `${stage}:image`, status: uncachedImages.length < images.length ? 'partial' : 'miss' });
+
+  let checkResponse;
+  let moderationResult;
+  const startTime = Date.now();
+  const endTimer = metrics.moderationDuration.startTimer({ stage: `${stage}:image`, model: selectedModel });
+  try {
+    checkResponse = await axios.post(
+      firstProviderUrl + '/v1/chat/completions',
+      moderationRequest,
+      firstProviderConfig
+    );
+    recordModerationUsage(options.usage, checkResponse);
+    moderationResult = JSON.parse(checkResponse.data.choices[0].message.content);
+    endTimer({ outcome: 'success' });
+  } catch (error) {
+    endTimer({ outcome: 'error' });
+    console.error(`[图片审核] 请求失败，记录到熔断器统计`);
+    recordServiceFailure('firstProvider');
+    throw error;
+  }
+
+  const isViolation = moderationResult.isViolation === true || cachedViolation;
+  const riskLevel = Math.max(moderationResult.riskLevel || 0, cachedRiskLevel);
+  const action = decideAction({ riskLevel, isViolation }, policy);
+
+  // 日志中只记录图片摘要，不记录完整的 data URI
+  const logId = logModerationResult(
+    selectedModel,
+    {
+      ...moderationRequest,
+      messages: [{ role: 'user', content: uncachedImages.map(image => `[${image.role}] ${describeImage(image.url)}`).join('\n') }]
+    },
+    checkResponse,
+    moderationResult,
+    action === PolicyActions.BLOCK || action === PolicyActions.REVIEW,
+    {
+      stage: `${stage}:image`,
+      action,
+      requestModel: options.model,
+      tenant: options.tenant,
+      clientIp: options.clientIp,
+      latencyMs: Date.now() - startTime
+    }
+  );
+
+  // 多张图片共用一个审核结论，只有单张图片或未违规时才能按图片缓存
+  if (uncachedImages.length === 1 || moderationResult.isViolation !== true) {
+    uncachedImages.forEach(image => {
+      moderationCache.set(moderationCache.hashImage(image.url), {
+        logId,
+        riskLevel: moderationResult.riskLevel || 0,
+        isViolation: moderationResult.isViolation === true
+      });
+    });
+  }
+
+  const verdict = { logId, riskLevel, isViolation, isPartialCheck: false };
+  return enforceModerationPolicy(verdict, action, stage, uncachedImages.length < images.length ? 'partial' : 'miss');
+}
+
+// 审核文本内容：本地规则 -> 对话缓存 -> 消息缓存 -> 审核模型
+async function performTextModeration(messages, firstProviderUrl, firstProviderConfig, options = {}) {
+  const stage = options.stage || 'input';
+  const policy = resolvePolicy({ model: options.model, tenant: options.tenant, scope: options.scope });
+
+  // 先执行本地关键词/正则规则，命中拦截规则或所有消息都命中放行规则时不再调用审核模型
+  const ruleResult = keywordFilter.evaluate(messages);
+  if (ruleResult.action !== RuleActions.DEFER) {
+    const isBlocked = ruleResult.action === RuleActions.BLOCK;
+    const logId = logModerationResult(
+      'local-rules',
+      { messages },
+      null,
+      { riskLevel: ruleResult.rule.riskLevel, ruleId: ruleResult.rule.id, matched: ruleResult.matched },
+      isBlocked,
+      {
+        stage,
+        action: isBlocked ? PolicyActions.BLOCK : PolicyActions.ALLOW,
+        ruleHits: ruleResult.hits,
+        requestModel: options.model,
+        tenant: options.tenant,
+        clientIp: options.clientIp,
+        latencyMs: 0,
+        content: messages.map(msg => `[${msg.role.toUpperCase()}]: ${typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)}`).join('\n\n')
+      }
+    );
+
+    if (isBlocked) {
+      const violationError = buildViolationError(stage, ruleResult.rule.riskLevel, logId, false);
+      violationError.error.details.ruleId = ruleResult.rule.id;
+      throw violationError;
+    }
+
+    return {
+      passed: true,
+      logId,
+      riskLevel: ruleResult.rule.riskLevel,
+      isPartialCheck: false,
+      cacheStatus: 'miss',
+      action: PolicyActions.ALLOW,
+      ruleId: ruleResult.rule.id
+    };
+  }
+
+  if (ruleResult.hits.length > 0) {
+    console.log(`[本地规则] 命中规则 ${ruleResult.hits.map(hit => hit.id).join(', ')}，交给审核模型判断`);
+  }
+
+  // 放行规则只放行命中的消息，其余消息仍由审核模型判断
+  const allowedCount = ruleResult.allowed.filter(Boolean).length;
+  if (allowedCount > 0) {
+    console.log(`[本地规则] ${allowedCount}/${messages.length} 条消息命中放行规则，不再送审`);
+    messages = messages.filter((msg, index) => !ruleResult.allowed[index]);
+  }
+
+  // 使用checkCircuitBreaker函数检查熔断器状态，而不是直接访问config
+  assertModerationAvailable();
+
+  // 移除直接访问firstProvider熔断状态的日志，改为检查主服务熔断状态
+  for (const provider of config.providers) {
+    const mainServiceHealth = config.serviceHealth[provider.name];
+    console.log(`[审核服务] 主服务 ${provider.name} 熔断器状态: circuitBreakerTripped=${mainServiceHealth.circuitBreakerTripped}, failureCount=${mainServiceHealth.failureCount}/${config.serviceHealthConfig.maxErrors}`);
+  }
+
+  // 完整对话命中缓存时直接返回缓存的审核结论
+  const conversationKey = moderationCache.hashMessages(messages, stage);
+  const cachedConversation = await moderationCache.get(conversationKey);
+  // 部分审核的结论不能作为命中使用
+  if (cachedConversation && !cachedConversation.isPartialCheck) {
+    console.log(`[审核缓存] 完整对话命中缓存 (ID: ${cachedConversation.logId})`);
+    metrics.moderationCache.inc({ stage, status: 'hit' });
+    return enforceModerationPolicy(cachedConversation, decideAction(cachedConversation, policy), stage, 'hit');
+  }
+
+  // 逐条检查消息缓存，多轮对话中只审核之前未审核通过的新消息
+  const messageKeys = messages.map(msg => moderationCache.hashMessage(msg, stage));
+  const cachedMessages = await Promise.all(messageKeys.map(key => moderationCache.get(key)));
+  const uncachedMessages = messages.filter((msg, index) => !cachedMessages[index]);
+  const cachedRiskLevel = Math.max(0, ...cachedMessages.filter(Boolean).map(item => item.riskLevel || 0));
+
+  if (messages.length > 0 && uncachedMessages.length === 0) {
+    console.log(`[审核缓存] 所有消息均已审核通过，跳过审核`);
+    metrics.moderationCache.inc({ stage, status: 'hit' });
+    const lastCached = cachedMessages[cachedMessages.length - 1];
+    const verdict = { logId: lastCached.logId, riskLevel: cachedRiskLevel, isViolation: false, isPartialCheck: false };
+    moderationCache.set(conversationKey, verdict);
+    return enforceModerationPolicy(verdict, decideAction(verdict, policy), stage, 'hit');
+  }
+
+  const cacheStatus = uncachedMessages.length < messages.length ? 'partial' : 'miss';
+  metrics.moderationCache.inc({ stage, status: cacheStatus });
+  if (cacheStatus === 'partial') {
+    console.log(`[审核缓存] ${messages.length - uncachedMessages.length}/${messages.length} 条消息命中缓存，只审核新增的 ${uncachedMessages.length} 条消息`);
+  }
+
+  try {
+    // 选择一个审核模型
+    const selectedModel = selectModerationModel('round-robin');
+    console.log(`Using moderation model: ${selectedModel}`);
+
+    // 提取客户端的所有消息内容，无论角色是什么
+    const clientMessagesContent = uncachedMessages.map(msg => {
+      return {
+        role: msg.role,
+        content: typeof msg.content === 'string' ? msg.content : JSON.stringify(msg.content)
+      };
+    });
+
+    // 应用随机截取策略处理超长文本
+    const extractResult = extractRandomSegments(clientMessagesContent);
+
+    // 如果进行了截取，记录相关信息
+    if (extractResult.isExtracted) {
+      console.log(`内容审核: 原始长度 ${extractResult.originalLength} 字符，截取后 ${extractResult.extractedLength} 字符`);
+      metrics.moderationExtractions.inc({ stage });
+    }
+
+    // 构建一个包含所有内容的单一消息，确保所有内容都被审核
+    const allMessagesText = extractResult.messages.map(msg =>
+      `[${msg.role.toUpperCase()}]: ${msg.content}`
+    ).join('\n\n');
+
+    // 构造审核消息
+    const moderationMessages = [
+      { 
+        role: "system", 
+        content: moderationPrompts.DEFAULT_SYSTEM_CONTENT
+      }, 
+      {
+        role: "user",
+        content: stage === 'output'
+          ? `以下是AI助手生成的${extractResult.isExtracted ? '部分截取的' : '完整'}回复内容，请仔细审核每一部分：\n\n${allMessagesText}`
+          : `以下是需要审核的${extractResult.isExtracted ? '部分截取的' : '完整'}对话内容，请仔细审核每一部分：\n\n${allMessagesText}`
+      },
+      { role: "user", 
+        content: moderationPrompts.FINAL_SYSTEM_CONTENT 
+      }
+    ];
+
+    const moderationRequest = {
+      messages: moderationMessages,
+      model: selectedModel, // 使用选定的模型
+      temperature: 0,
+      max_tokens: 100,
+      response_format: {
+        type: "json_object"
+      }
+    };
+
+    console.log('审核请求：', {
+      model: moderationRequest.model,
+      temperature: moderationRequest.temperature,
+      max_tokens: moderationRequest.max_tokens,
+      response_format: moderationRequest.response_format,
+      // 添加原始客户端消息的摘要
+      originalClientMessages: uncachedMessages.map(msg => ({
+        role: msg.role,
+        contentPreview: typeof msg.content === 'string' && msg.content.length > 50
+          ? msg.content.substring(0, 50) + '...'
+          : (typeof msg.content === 'string' ? msg.content : 'non-string content')
+      })),
+      // 添加截取信息
+      extractionInfo: extractResult.isExtracted ? {
+        originalLength: extractResult.originalLength,
+        extractedLength: extractResult.extractedLength,
+        reductionPercent: Math.round((1 - extractResult.extractedLength / extractResult.originalLength) * 100)
+      } : null
+    });
+
+    const endTimer = metrics.moderationDuration.startTimer({ stage, model: selectedModel });
+    try {
+      const startTime = Date.now();
+      const checkResponse = await axios.post(
+        firstProviderUrl + '/v1/chat/completions',
+        moderationRequest,
+        firstProviderConfig
+      );
+      const latencyMs = Date.now() - startTime;
+      recordModerationUsage(options.usage, checkResponse);
+
+      // 解析审核结果
+      const moderationResult = JSON.parse(checkResponse.data.choices[0].message.content);
+      endTimer({ outcome: 'success' });
+
+      const isViolation = moderationResult.isViolation === true;
+      const riskLevel = Math.max(moderationResult.riskLevel || 0, cachedRiskLevel);
+
+      // 按审核策略决定动作
+      const action = decideAction({ riskLevel, isViolation }, policy);
+
+      // 记录详细的审核日志
+      const logId = logModerationResult(
+        selectedModel,
+        moderationRequest,
+        checkResponse,
+        moderationResult,
+        action === PolicyActions.BLOCK || action === PolicyActions.REVIEW,
+        {
+          stage,
+          action,
+          ruleHits: ruleResult.hits,
+          requestModel: options.model,
+          tenant: options.tenant,
+          clientIp: options.clientIp,
+          latencyMs,
+          content: allMessagesText,
+          extraction: extractResult.isExtracted ? {
+            originalLength: extractResult.originalLength,
+            extractedLength: extractResult.extractedLength
+          } : null
+        }
+      );
+
+      // 缓存审核结论（而不是动作），不同密钥和模型的策略不同
+      const verdict = {
+        logId,
+        riskLevel,
+        isViolation,
+        isPartialCheck: extractResult.isExtracted
+      };
+      // 超长文本只审核了随机截取的片段，不能缓存为整体通过，下次请求重新截取审核
+      if (extractResult.isExtracted) {
+        console.log(`[审核缓存] 内容经过截取，不缓存审核结论`);
+      } else {
+        moderationCache.set(conversationKey, verdict);
+      }
+      // 审核模型只给出整批消息的风险等级，只有一条新消息时才能把结论记为该消息的风险等级，
+      // 否则无害的消息会继承同批消息的风险等级
+      if (!isViolation && !extractResult.isExtracted && uncachedMessages.length === 1) {
+        const index = cachedMessages.findIndex(item => !item);
+        moderationCache.set(messageKeys[index], {
+          logId,
+          riskLevel: moderationResult.riskLevel || 0
+        });
+      }
+
+      // 如果内容违规或需要复核，抛出错误
+      return enforceModerationPolicy(verdict, action, stage, cacheStatus);
+    } catch (error) {
+      // enforceModerationPolicy 抛出的违规或复核错误是正常的审核结论，计时已经结束，不计入熔断器统计
+      if (isModerationRejection(error)) {
+        throw error;
+      }
+
+      endTimer({ outcome: 'error' });
+      console.error(`[审核服务] 请求失败，记录到熔断器统计`);
+      recordServiceFailure('firstProvider');
+
+      // 其他API错误
+      throw error;
+    }
+  } catch (error) {
+    // 如果是模型配置错误，返回更友好的错误信息
+    if (error.message && error.message.includes("未配置审核模型")) {
+      throw {
+        error: {
+          message: "服务配置错误：未配置审核模型",
+          type: ErrorTypes.SERVICE,
+          code: ErrorCodes.INTERNAL_ERROR,
+          details: "请管理员设置 FIRST_PROVIDER_MODELS 环境变量"
+        }
+      };
+    }
+    throw error;
+  }
+}
+
+// 计算消息总长度的函数
+function calculateTotalLength(messages) {
+  return messages.reduce((total, msg) => {
+    const content = typeof msg.content === 'string'
+      ? msg.content
+      : JSON.stringify(msg.content);
+    return total + content.length;
+  }, 0);
+}
+
+// 随机截取文本的函数
+function extractRandomSegments(messages, maxLength = 30000) {
+  const totalLength = calculateTotalLength(messages);
+
+  // 如果总长度小于最大长度，直接返回原始消息
+  if (totalLength <= maxLength) {
+    return {
+      messages: messages,
+      isExtracted: false,
+      originalLength: totalLength,
+      extractedLength: totalLength
+    };
+  }
+
+  console.log(`消息总长度(${totalLength})超过最大限制(${maxLength})，将进行随机截取`);
+
+  // 分离用户消息和非用户消息
+  const userMessages = messages.filter(msg => msg.role === 'user');
+  const nonUserMessages = messages.filter(msg => msg.role !== 'user');
+
+  // 为非用户消息预留最多50%的空间
+  const nonUserMaxLength = Math.floor(maxLength * 0.5);
+
+  // 创建消息的副本，以便我们可以修改它
+  const extractedMessages = [];
+  let currentLength = 0;
+
+  // 首先处理非用户消息（系统消息、助手消息等）
+  for (const msg of nonUserMessages) {
+    const content = typeof msg.content === 'string'
+      ? msg.content
+      : JSON.stringify(msg.content);
+
+    // 如果添加这条消息后仍在限制内，直接添加
+    if (currentLength + content.length <= nonUserMaxLength) {
+      extractedMessages.push({
+        role: msg.role,
+        content: content
+      });
+      currentLength += content.length;
+    } else {
+      // 如果这条消息太长，截取部分内容
+      const availableLength = nonUserMaxLength - currentLength;
+      if (availableLength > 200) { // 确保至少有足够空间添加有意义的内容
+        const truncatedContent = content.substring(0, Math.floor(availableLength * 0.8)) +
+          "\n...[系统内容过长，已截取]...";
+
+        extractedMessages.push({
+          role: msg.role,
+          content: truncatedContent
+        });
+        currentLength += truncatedContent.length;
+      }
+      // 一旦达到非用户消息的限制，就停止添加
+      break;
+    }
+  }
+
+  // 计算剩余可用于用户消息的长度
+  const remainingLength = maxLength - currentLength;
+
+  // 如果没有用户消息，直接返回
+  if (userMessages.length === 0) {
+    return {
+      messages: extractedMessages,
+      isExtracted: true,
+      originalLength: totalLength,
+      extractedLength: currentLength
+    };
+  }
+
+  // 如果只有一条用户消息，处理这种特殊情况
+  if (userMessages.length === 1) {
+    const msg = userMessages[0];
+    const content = typeof msg.content === 'string'
+      ? msg.content
+      : JSON.stringify(msg.content);
+
+    if (content.length <= remainingLength) {
+      // 如果消息长度在限制内，直接添加
+      extractedMessages.push(msg);
+    } else {
+      // 随机截取策略：取开头、中间和结尾的部分
+      const segmentLength = Math.floor(remainingLength / 3);
+
+      // 确保段落长度不超过剩余长度的三分之一
+      const safeSegmentLength = Math.min(segmentLength, Math.floor(remainingLength / 3.5));
+
+      // 取开头部分
+      const startSegment = content.substring(0, safeSegmentLength);
+
+      // 取中间随机部分
+      const middleStart = Math.floor(Math.random() * (content.length - safeSegmentLength));
+      const middleSegment = content.substring(middleStart, middleStart + safeSegmentLength);
+
+      // 取结尾部分
+      const endSegment = content.substring(content.length - safeSegmentLength);
+
+      const extractedContent = `${startSegment}\n...[内容过长，已截取]...\n${middleSegment}\n...[内容过长，已截取]...\n${endSegment}`;
+
+      // 最后检查确保不超过剩余长度
+      const finalContent = extractedContent.length > remainingLength
+        ? extractedContent.substring(0, remainingLength - 30) + "...[已截断]"
+        : extractedContent;
+
+      extractedMessages.push({
+        role: 'user',
+        content: finalContent
+      });
+    }
+  } else {
+    // 多条用户消息，随机选择一些消息
+    // 首先计算每条消息的长度
+    const messageLengths = userMessages.map(msg => {
+      const content = typeof msg.content === 'string'
+        ? msg.content
+        : JSON.stringify(msg.content);
+      return {
+        message: msg,
+        length: content.length
+      };
+    });
+
+    // 按照消息长度排序（优先选择较短的消息）
+    messageLengths.sort((a, b) => a.length - b.length);
+
+    // 按照可用长度添加消息
+    let usedLength = 0;
+
+    // 首先尝试添加完整的短消息
+    for (let i = 0; i < messageLengths.length; i++) {
+      const item = messageLengths[i];
+
+      // 如果消息可以完整添加
+      if (usedLength + item.length <= remainingLength) {
+        extractedMessages.push(item.message);
+        usedLength += item.length;
+        // 标记为已处理
+        messageLengths[i] = null;
+      }
+
+      // 如果已经达到限制，停止添加
+      if (usedLength >= remainingLength) break;
+    }
+
+    // 如果还有剩余空间，尝试截取一些较长消息的片段
+    if (usedLength < remainingLength) {
+      // 过滤掉已处理的消息
+      const remainingMessages = messageLengths.filter(item => item !== null);
+
+      // 随机打乱顺序，以获取更多样的内容
+      remainingMessages.sort(() => Math.random() - 0.5);
+
+      for (const item of remainingMessages) {
+        const availableLength = remainingLength - usedLength;
+
+        // 确保有足够空间添加有意义的内容
+        if (availableLength < 200) break;
+
+        const content = typeof item.message.content === 'string'
+          ? item.message.content
+          : JSON.stringify(item.message.content);
+
+        // 计算可以截取的内容长度
+        const truncateLength = Math.min(availableLength - 50, Math.floor(content.length / 2));
+
+        if (truncateLength > 100) {
+          // 截取开头部分
+          const extractedContent = content.substring(0, truncateLength) +
+            "\n...[内容过长，已截取]...";
+
+          extractedMessages.push({
+            role: 'user',
+            content: extractedContent
+          });
+
+          usedLength += extractedContent.length;
+
+          // 如果已经达到限制，停止添加
+          if (usedLength >= remainingLength) break;
+        }
+      }
+    }
+  }
+
+  // 计算最终提取的内容长度
+  const extractedLength = calculateTotalLength(extractedMessages);
+
+  // 最后的安全检查：如果提取的内容仍然超过最大长度，强制截断
+  if (extractedLength > maxLength) {
+    console.warn(`警告：提取后的内容(${extractedLength})仍超过最大长度(${maxLength})，将强制截断`);
+
+    // 从提取的消息中移除最后一条用户消息
+    for (let i = extractedMessages.length - 1; i >= 0; i--) {
+      if (extractedMessages[i].role === 'user') {
+        extractedMessages.splice(i, 1);
+        break;
+      }
+    }
+
+    // 重新计算长度
+    const newExtractedLength = calculateTotalLength(extractedMessages);
+
+    // 如果仍然超过限制，添加一条警告消息
+    if (newExtractedLength > maxLength) {
+      return {
+        messages: [
+          { role: 'system', content: '内容过长，无法处理。请减少输入内容后重试。' }
+        ],
+        isExtracted: true,
+        originalLength: totalLength,
+        extractedLength: 0
+      };
+    }
+  }
+
+  return {
+    messages: extractedMessages,
+    isExtracted: true,
+    originalLength: totalLength,
+    extractedLength: extractedLength
+  };
+}
+
+module.exports = {
+  performModeration,
+  buildViolationError,
+  isModerationRejection,
+  logModerationResult,
+  extractImageParts,
+  validateImageInputs
+};
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { config } = require('../api/config');
+const { stateStore } = require('./stateStore');
+
+/**
+ * 审核结果缓存
+ * 以规范化后的对话内容哈希为键，缓存审核结论（LRU + TTL），
+ * 避免多轮对话中重复审核已经审核过的历史消息
+ * 使用共享状态存储时，本地缓存未命中的条目会从共享存储读取，其他实例的审核结论可以直接复用
+ */
+class ModerationCache {
+  /**
+   * @param {number} maxSize - 最大缓存条目数，0表示禁用缓存
+   * @param {number} ttl - 缓存有效期(毫秒)
+   */
+  constructor(maxSize, ttl) {
+    this.maxSize = maxSize;
+    this.ttl = ttl;
+    this.entries = new Map(); // Map 保持插入顺序，用于实现LRU
+  }
+
+  /**
+   * 缓存是否启用
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.maxSize > 0 && this.ttl > 0;
+  }
+
+  /**
+   * 计算单条消息的哈希
+   * @param {Object} message - 经过 preprocessMessages 处理的消息
+   * @param {string} stage - 审核阶段，不同阶段的缓存互不影响
+   * @returns {string} 缓存键
+   */
+  hashMessage(message, stage = 'input') {
+    const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+    return `${stage}:msg:${this.hash(`${message.role}\n${content}`)}`;
+  }
+
+  /**
+   * 计算整段对话的哈希
+   * @param {Array<Object>} messages - 经过 preprocessMessages 处理的消息列表
+   * @param {string} stage - 审核阶段
+   * @returns {string} 缓存键
+   */
+  hashMessages(messages, stage = 'input') {
+    const normalized = messages.map(message => ({
+      role: message.role,
+      content: typeof message.content === 'string' ? message.content : JSON.stringify(message.content)
+    }));
+    return `${stage}:conv:${this.hash(JSON.stringify(normalized))}`;
+  }
+
+  /**
+   * 计算图片的哈希，同一张图片（URL或data URI）在不同对话中共用审核结论
+   * @param {string} url - 图片URL或base64 data URI
+   * @returns {string} 缓存键
+   */
+  hashImage(url) {
+    return `img:${this.hash(url)}`;
+  }
+
+  /**
+   * 计算SHA-256哈希
+   * @param {string} text - 原始文本
+   * @returns {string} 十六进制哈希
+   */
+  hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  /**
+   * 读取缓存，过期条目会被删除
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 缓存的审核结论
+   */
+  async get(key) {
+    if (!this.isEnabled()) return null;
+
+    const entry = this.entries.get(key);
+    if (!entry) return this.getShared(key);
+
+    if (Date.now() > entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // 重新插入以更新LRU顺序
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * 从共享存储读取缓存并写入本地缓存，读取失败视为未命中
+   * @param {string} key - 缓存键
+   * @returns {Promise<Object|null>} 缓存的审核结论
+   */
+  async getShared(key) {
+    if (!stateStore.shared) return null;
+
+    try {
+      const entry = await stateStore.get(`modcache:${key}`);
+      if (!entry || Date.now() > entry.expiresAt) return null;
+      this.setLocal(key, entry);
+      return entry.value;
+    } catch (error) {
+      console.error('[审核缓存] 读取共享缓存失败：', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * 写入缓存，超过容量时淘汰最久未使用的条目
+   * 使用共享状态存储时同时在后台写入共享存储
+   * @param {string} key - 缓存键
+   * @param {Object} value - 审核结论
+   */
+  set(key, value) {
+    if (!this.isEnabled()) return;
+
+    const entry = { value, expiresAt: Date.now() + this.ttl };
+    this.setLocal(key, entry);
+
+    if (stateStore.shared) {
+      stateStore.set(`modcache:${key}`, entry, this.ttl).catch(error => {
+        console.error('[审核缓存] 写入共享缓存失败：', error.message);
+      });
+    }
+  }
+
+  /**
+   * 写入本地缓存
+   * @param {string} key - 缓存键
+   * @param {Object} entry - { value, expiresAt }
+   */
+  setLocal(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxSize) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+}
+
+// 创建单例实例
+const moderationCache = new ModerationCache(config.moderation.cacheSize, config.moderation.cacheTtl);
+
+module.exports = moderationCache;
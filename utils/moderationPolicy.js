@@ -0,0 +1,111 @@
+const { config, matchesModelPattern } = require('../api/config');
+
+// 审核动作
+const PolicyActions = {
+  ALLOW: 'allow',     // 放行
+  WARN: 'warn',       // 放行并添加警告响应头
+  BLOCK: 'block',     // 拒绝请求
+  REVIEW: 'review'    // 暂不放行，等待人工复核
+};
+
+const validActions = Object.values(PolicyActions);
+
+/**
+ * 解析审核策略
+ * 支持紧凑字符串 "1-2:allow,3:warn,4-5:block" 或对象 { "1": "allow", "3": "warn" }
+ * 只需列出需要覆盖的等级，未列出的等级沿用上一层策略
+ * @param {string|Object} policy - 原始策略配置
+ * @returns {Object} 风险等级到动作的映射，如 { 1: 'allow', 5: 'block' }
+ */
+function parsePolicy(policy) {
+  const table = {};
+  if (!policy) return table;
+
+  const setLevels = (levels, action) => {
+    const normalizedAction = String(action).trim().toLowerCase();
+    if (!validActions.includes(normalizedAction)) {
+      console.warn(`[审核策略] 无效的审核动作 "${action}"，已忽略`);
+      return;
+    }
+    const [start, end] = String(levels).split('-').map(level => parseInt(level));
+    for (let level = start; level <= (end || start); level++) {
+      if (level >= 1 && level <= 5) {
+        table[level] = normalizedAction;
+      }
+    }
+  };
+
+  if (typeof policy === 'string') {
+    for (const item of policy.split(',')) {
+      const [levels, action] = item.split(':');
+      if (levels && action) setLevels(levels.trim(), action);
+    }
+  } else if (typeof policy === 'object') {
+    for (const [levels, action] of Object.entries(policy)) {
+      setLevels(levels, action);
+    }
+  }
+
+  return table;
+}
+
+/**
+ * 解析请求适用的审核策略：全局策略 < 场景策略 < 模型策略 < 密钥策略
+ * 指定场景时，模型策略和密钥策略都使用该场景下的配置
+ * @param {Object} [options]
+ * @param {string} [options.model] - 请求的模型名
+ * @param {Object} [options.tenant] - 请求的租户（来自 req.tenant）
+ * @param {string} [options.scope] - 审核场景，如 'image' 表示图像生成提示词
+ * @returns {Object} 风险等级到动作的映射
+ */
+function resolvePolicy(options = {}) {
+  const policyConfig = config.moderation.policy;
+  const scopeConfig = options.scope ? policyConfig.scopes[options.scope] : null;
+  const table = parsePolicy(policyConfig.default);
+
+  if (scopeConfig) {
+    Object.assign(table, parsePolicy(scopeConfig.default));
+  }
+
+  const modelPolicies = scopeConfig ? scopeConfig.models : policyConfig.models;
+  if (options.model) {
+    const modelPattern = Object.keys(modelPolicies)
+      .find(pattern => matchesModelPattern(options.model, [pattern.toLowerCase()]));
+    if (modelPattern) {
+      Object.assign(table, parsePolicy(modelPolicies[modelPattern]));
+    }
+  }
+
+  const tenantPolicy = options.scope
+    ? options.tenant?.scopePolicies?.[options.scope]
+    : options.tenant?.policy;
+  if (tenantPolicy) {
+    Object.assign(table, parsePolicy(tenantPolicy));
+  }
+
+  return table;
+}
+
+/**
+ * 根据审核结论和策略决定动作
+ * @param {Object} verdict - 审核结论 { riskLevel, isViolation }
+ * @param {Object} policy - resolvePolicy 返回的策略
+ * @returns {string} 审核动作
+ */
+function decideAction(verdict, policy) {
+  const riskLevel = parseInt(verdict.riskLevel);
+
+  if (riskLevel >= 1 && riskLevel <= 5) {
+    return policy[riskLevel] || PolicyActions.ALLOW;
+  }
+
+  // 审核模型没有返回有效的风险等级时，沿用其违规判断
+  return verdict.isViolation === true ? PolicyActions.BLOCK : PolicyActions.ALLOW;
+}
+
+module.exports = {
+  PolicyActions,
+  parsePolicy,
+  resolvePolicy,
+  decideAction
+};
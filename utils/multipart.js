@@ -0,0 +1,313 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// 单个分段头部的最大字节数
+const MAX_HEADER_BYTES = 16384;
+
+/**
+ * 从 Content-Type 中读取 multipart 边界
+ * @param {string} contentType - 请求的 Content-Type
+ * @returns {string|null}
+ */
+function getBoundary(contentType) {
+  if (!/^multipart\/form-data/i.test(contentType || '')) return null;
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(contentType);
+  return match ? (match[1] || match[2]).trim() : null;
+}
+
+/**
+ * 请求是否为 multipart/form-data
+ * @param {Object} req - 请求对象
+ * @returns {boolean}
+ */
+function isMultipart(req) {
+  return /^multipart\/form-data/i.test(req.headers['content-type'] || '');
+}
+
+/**
+ * 解析分段头部
+ * @param {string} text - 分段头部文本
+ * @returns {Object} { name, filename, contentType }
+ */
+function parsePartHeaders(text) {
+  const part = { name: null, filename: undefined, contentType: 'application/octet-stream' };
+  for (const line of text.split('\r\n')) {
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.substring(0, separator).trim().toLowerCase();
+    const value = line.substring(separator + 1).trim();
+
+    if (key === 'content-disposition') {
+      const name = /\bname="([^"]*)"/i.exec(value) || /\bname=([^;\s]+)/i.exec(value);
+      const filename = /\bfilename="([^"]*)"/i.exec(value) || /\bfilename=([^;\s]+)/i.exec(value);
+      part.name = name ? name[1] : null;
+      if (filename) part.filename = path.basename(filename[1]);
+    } else if (key === 'content-type') {
+      part.contentType = value;
+    }
+  }
+  return part;
+}
+
+// 解析失败的错误，status 为返回给客户端的状态码
+function multipartError(status, message, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * 流式解析 multipart/form-data 请求体，文件分段边接收边写入临时文件，不在内存中缓存整个文件
+ * 同名字段出现多次（如 timestamp_granularities[]）时解析为数组
+ * @param {Object} req - 请求对象，请求体不能已被读取
+ * @param {Object} [options]
+ * @param {number} [options.maxFileBytes] - 单个文件的最大字节数
+ * @param {number} [options.maxFieldBytes] - 单个普通字段的最大字节数
+ * @param {number} [options.maxParts] - 最大分段数
+ * @param {number} [options.maxFiles] - 最大文件分段数，同一个文件字段只能出现一次
+ * @returns {Promise<Object>} { fields, files }，files 为 { 字段名: { path, filename, contentType, size } }；
+ *   失败时抛出带 status 和 code 的错误，已写入的临时文件会被删除
+ */
+function parseMultipart(req, options = {}) {
+  const maxFileBytes = options.maxFileBytes || 26214400;
+  const maxFieldBytes = options.maxFieldBytes || 65536;
+  const maxParts = options.maxParts || 50;
+  const maxFiles = options.maxFiles || 1;
+
+  return new Promise((resolve, reject) => {
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) {
+      reject(multipartError(400, '请求缺少 multipart 边界', 'invalid_multipart'));
+      return;
+    }
+
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    const fields = {};
+    const files = {};
+    const pendingWrites = [];
+    // 在开头补上换行，使第一个边界与后续边界的格式一致
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let partCount = 0;
+    let fileCount = 0;
+    let failed = false;
+
+    const fail = error => {
+      if (failed) return;
+      failed = true;
+      req.removeListener('data', onData);
+      req.removeListener('end', onEnd);
+      // 丢弃剩余的请求体，避免连接挂起
+      req.resume();
+      if (part?.stream) part.stream.destroy();
+      Promise.allSettled(pendingWrites).then(() => {
+        cleanupFiles(files);
+        reject(error);
+      });
+    };
+
+    const startPart = headers => {
+      if (++partCount > maxParts) {
+        throw multipartError(400, `分段数超过${maxParts}个的限制`, 'invalid_multipart');
+      }
+      if (headers.name === null) {
+        throw multipartError(400, '分段缺少字段名', 'invalid_multipart');
+      }
+      if (headers.filename !== undefined) {
+        // 同名文件字段会覆盖 files 中先写入的临时文件，使其无法被清理
+        if (files[headers.name]) {
+          throw multipartError(400, `文件字段 ${headers.name} 重复`, 'invalid_multipart');
+        }
+        if (++fileCount > maxFiles) {
+          throw multipartError(400, `文件数超过${maxFiles}个的限制`, 'invalid_multipart');
+        }
+      }
+      part = { ...headers, size: 0, chunks: [] };
+      if (part.filename !== undefined) {
+        part.path = path.join(os.tmpdir(), `upload-${crypto.randomBytes(8).toString('hex')}`);
+        part.stream = fs.createWriteStream(part.path);
+        files[part.name] = { path: part.path, filename: part.filename || 'file', contentType: part.contentType, size: 0 };
+        pendingWrites.push(new Promise((resolveWrite, rejectWrite) => {
+          part.stream.on('close', resolveWrite);
+          part.stream.on('error', rejectWrite);
+        }));
+      }
+    };
+
+    const writePart = chunk => {
+      if (chunk.length === 0) return;
+      part.size += chunk.length;
+      if (part.stream) {
+        if (part.size > maxFileBytes) {
+          throw multipartError(413, `文件大小超过${maxFileBytes}字节的限制`, 'file_too_large');
+        }
+        // 临时文件写入较慢时暂停读取请求
+        if (!part.stream.write(chunk)) {
+          req.pause();
+          part.stream.once('drain', () => req.resume());
+        }
+      } else {
+        if (part.size > maxFieldBytes) {
+          throw multipartError(413, `字段 ${part.name} 超过${maxFieldBytes}字节的限制`, 'field_too_large');
+        }
+        part.chunks.push(chunk);
+      }
+    };
+
+    const endPart = () => {
+      if (part.stream) {
+        part.stream.end();
+        files[part.name].size = part.size;
+      } else {
+        const value = Buffer.concat(part.chunks).toString('utf8');
+        if (fields[part.name] === undefined) {
+          fields[part.name] = part.name.endsWith('[]') ? [value] : value;
+        } else {
+          fields[part.name] = [].concat(fields[part.name], value);
+        }
+      }
+      part = null;
+    };
+
+    const processBuffer = () => {
+      while (true) {
+        if (state === 'preamble' || state === 'body') {
+          const index = buffer.indexOf(delimiter);
+          if (index === -1) {
+            // 保留可能是边界开头的部分
+            const safeLength = buffer.length - (delimiter.length - 1);
+            if (safeLength > 0) {
+              if (state === 'body') writePart(buffer.subarray(0, safeLength));
+              buffer = buffer.subarray(safeLength);
+            }
+            return;
+          }
+          if (state === 'body') {
+            writePart(buffer.subarray(0, index));
+            endPart();
+          }
+          buffer = buffer.subarray(index + delimiter.length);
+          state = 'delimiter';
+        } else if (state === 'delimiter') {
+          if (buffer.length < 2) return;
+          if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+            state = 'done';
+            return;
+          }
+          const lineEnd = buffer.indexOf('\r\n');
+          if (lineEnd === -1) return;
+          // 边界后可以有空白
+          buffer = buffer.subarray(lineEnd + 2);
+          state = 'headers';
+        } else if (state === 'headers') {
+          const headerEnd = buffer.indexOf('\r\n\r\n');
+          if (headerEnd === -1) {
+            if (buffer.length > MAX_HEADER_BYTES) {
+              throw multipartError(400, '分段头部过长', 'invalid_multipart');
+            }
+            return;
+          }
+          startPart(parsePartHeaders(buffer.subarray(0, headerEnd).toString('utf8')));
+          buffer = buffer.subarray(headerEnd + 4);
+          state = 'body';
+        } else {
+          return;
+        }
+      }
+    };
+
+    function onData(chunk) {
+      if (state === 'done') return;
+      buffer = buffer.length === 0 ? chunk : Buffer.concat([buffer, chunk]);
+      try {
+        processBuffer();
+      } catch (error) {
+        fail(error);
+      }
+    }
+
+    function onEnd() {
+      if (state !== 'done') {
+        fail(multipartError(400, 'multipart 请求体不完整', 'invalid_multipart'));
+        return;
+      }
+      Promise.all(pendingWrites)
+        .then(() => resolve({ fields, files }))
+        .catch(error => {
+          cleanupFiles(files);
+          reject(error);
+        });
+    }
+
+    req.on('data', onData);
+    req.on('end', onEnd);
+    req.on('error', error => fail(error));
+  });
+}
+
+/**
+ * 删除解析时写入的临时文件
+ * @param {Object} files - parseMultipart 返回的 files
+ */
+function cleanupFiles(files) {
+  for (const file of Object.values(files || {})) {
+    fs.unlink(file.path, () => {});
+  }
+}
+
+// 转义分段头部中的引号和换行
+function escapeHeaderValue(value) {
+  return String(value).replace(/"/g, '%22').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+/**
+ * 生成转发给上游的 multipart 请求体，文件从临时文件流式读取
+ * @param {Object} fields - 普通字段，数组值按同名字段重复写入
+ * @param {Object} files - parseMultipart 返回的 files
+ * @returns {Object} { stream, contentType, contentLength }
+ */
+function createMultipartBody(fields, files) {
+  const boundary = `----TransitFilter${crypto.randomBytes(12).toString('hex')}`;
+  const parts = [];
+
+  for (const [name, value] of Object.entries(fields)) {
+    for (const item of [].concat(value)) {
+      parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${escapeHeaderValue(name)}"\r\n\r\n${item}\r\n`));
+    }
+  }
+  for (const [name, file] of Object.entries(files)) {
+    parts.push(Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${escapeHeaderValue(name)}"; filename="${escapeHeaderValue(file.filename)}"\r\nContent-Type: ${file.contentType}\r\n\r\n`));
+    parts.push(file);
+    parts.push(Buffer.from('\r\n'));
+  }
+  parts.push(Buffer.from(`--${boundary}--\r\n`));
+
+  const contentLength = parts.reduce((sum, item) => sum + (Buffer.isBuffer(item) ? item.length : item.size), 0);
+  const stream = Readable.from((async function* () {
+    for (const item of parts) {
+      if (Buffer.isBuffer(item)) {
+        yield item;
+      } else {
+        yield* fs.createReadStream(item.path);
+      }
+    }
+  })());
+
+  return {
+    stream,
+    contentType: `multipart/form-data; boundary=${boundary}`,
+    contentLength
+  };
+}
+
+module.exports = {
+  isMultipart,
+  parseMultipart,
+  createMultipartBody,
+  cleanupFiles
+};
@@ -0,0 +1,157 @@
+const { config, matchesModelPattern, ErrorTypes } = require('../api/config');
+
+// 转发给上游的聊天补全参数（OpenAI Chat Completions 规范），不在列表中的字段不转发
+const CHAT_COMPLETION_PARAMS = [
+  'messages', 'model', 'stream', 'stream_options',
+  'temperature', 'top_p', 'n', 'stop', 'seed',
+  'max_tokens', 'max_completion_tokens',
+  'presence_penalty', 'frequency_penalty', 'logit_bias',
+  'logprobs', 'top_logprobs',
+  'response_format', 'tools', 'tool_choice', 'parallel_tool_calls',
+  'functions', 'function_call',
+  'user', 'metadata', 'store', 'service_tier',
+  'reasoning_effort', 'verbosity', 'modalities', 'audio', 'prediction', 'web_search_options'
+];
+
+// 参数规则的动作
+const ParamActions = {
+  REJECT: 'reject',   // 参数值不在 allow 中时拒绝请求，未设置 allow 时出现即拒绝
+  STRIP: 'strip',     // 删除参数
+  RENAME: 'rename',   // 改名为 to，目标参数已存在时删除原参数
+  CLAMP: 'clamp'      // 数值限制在 min 和 max 之间
+};
+
+const validActions = Object.values(ParamActions);
+
+// 未设置 PARAM_RULES 时使用的规则：o3 的 temperature 必须为0，推理模型使用 max_completion_tokens
+// 模型名可能带有服务商前缀或后缀（如 openai/o3-mini、azure-o3），因此按包含匹配
+const DEFAULT_PARAM_RULES = {
+  '*o1*': {
+    max_tokens: { action: ParamActions.RENAME, to: 'max_completion_tokens' }
+  },
+  '*o3*': {
+    temperature: { action: ParamActions.REJECT, allow: [0], message: 'o3模型的temperature值必须为0' },
+    max_tokens: { action: ParamActions.RENAME, to: 'max_completion_tokens' }
+  },
+  '*o4*': {
+    max_tokens: { action: ParamActions.RENAME, to: 'max_completion_tokens' }
+  }
+};
+
+/**
+ * 校验并规范化参数规则表，无效的规则输出警告后忽略
+ * @param {Object} rules - { "模型名模式": { "参数名": { action, ... } } }
+ * @returns {Array<Object>} [{ pattern, param, action, allow, message, to, min, max }]，按配置顺序排列
+ */
+function normalizeParamRules(rules) {
+  const normalized = [];
+  if (!rules || typeof rules !== 'object') return normalized;
+
+  for (const [pattern, params] of Object.entries(rules)) {
+    for (const [param, rule] of Object.entries(params || {})) {
+      const action = String(rule?.action || '').toLowerCase();
+      if (!validActions.includes(action)) {
+        console.warn(`[参数规则] 模型 ${pattern} 的参数 ${param} 的动作 "${rule?.action}" 无效，已忽略`);
+        continue;
+      }
+      if (action === ParamActions.RENAME && typeof rule.to !== 'string') {
+        console.warn(`[参数规则] 模型 ${pattern} 的参数 ${param} 缺少改名目标 to，已忽略`);
+        continue;
+      }
+      if (action === ParamActions.CLAMP && typeof rule.min !== 'number' && typeof rule.max !== 'number') {
+        console.warn(`[参数规则] 模型 ${pattern} 的参数 ${param} 缺少 min 或 max，已忽略`);
+        continue;
+      }
+      normalized.push({
+        pattern: pattern.toLowerCase(),
+        param,
+        action,
+        allow: Array.isArray(rule.allow) ? rule.allow : null,
+        message: rule.message,
+        to: rule.to,
+        min: rule.min,
+        max: rule.max
+      });
+    }
+  }
+
+  return normalized;
+}
+
+const paramRules = normalizeParamRules(config.chat.paramRules || DEFAULT_PARAM_RULES);
+
+/**
+ * 生成转发给上游的请求体：只保留规范中的参数，未指定输出长度时使用 DEFAULT_MAX_TOKENS，
+ * 再按上游模型名依次执行匹配的参数规则
+ * @param {Object} body - 客户端请求体
+ * @param {string} model - 发送给上游的模型名（服务商映射后）
+ * @returns {Object} { body } 或 { error }，error 为 { error: { message, type, code, param } }
+ */
+function buildUpstreamBody(body, model) {
+  const upstreamBody = {};
+  for (const param of CHAT_COMPLETION_PARAMS) {
+    if (body[param] !== undefined) {
+      upstreamBody[param] = body[param];
+    }
+  }
+
+  upstreamBody.model = model;
+  upstreamBody.stream = body.stream || false;
+  // stream_options 只能与流式请求一起使用
+  if (!upstreamBody.stream) {
+    delete upstreamBody.stream_options;
+  }
+
+  const defaultMaxTokens = config.chat.defaultMaxTokens;
+  if (defaultMaxTokens > 0 && !upstreamBody.max_tokens && !upstreamBody.max_completion_tokens) {
+    upstreamBody.max_tokens = defaultMaxTokens;
+  }
+
+  for (const rule of paramRules) {
+    if (!matchesModelPattern(model, [rule.pattern])) continue;
+    // 与原来的 o3 检查一致，null 视为未设置
+    const value = upstreamBody[rule.param] ?? undefined;
+    if (value === undefined) continue;
+
+    switch (rule.action) {
+      case ParamActions.REJECT:
+        if (!rule.allow || !rule.allow.includes(value)) {
+          return {
+            error: {
+              error: {
+                message: rule.message || `模型 ${model} 不支持参数 ${rule.param} 的值 ${JSON.stringify(value)}`,
+                type: ErrorTypes.INVALID_REQUEST,
+                // 如 invalid_temperature，与 ErrorCodes.INVALID_TEMPERATURE 相同
+                code: `invalid_${rule.param}`,
+                param: rule.param
+              }
+            }
+          };
+        }
+        break;
+      case ParamActions.STRIP:
+        delete upstreamBody[rule.param];
+        break;
+      case ParamActions.RENAME:
+        if (upstreamBody[rule.to] === undefined) {
+          upstreamBody[rule.to] = value;
+        }
+        delete upstreamBody[rule.param];
+        break;
+      case ParamActions.CLAMP:
+        if (typeof value === 'number') {
+          upstreamBody[rule.param] = Math.min(rule.max ?? Infinity, Math.max(rule.min ?? -Infinity, value));
+        }
+        break;
+    }
+  }
+
+  return { body: upstreamBody };
+}
+
+module.exports = {
+  buildUpstreamBody,
+  normalizeParamRules,
+  ParamActions,
+  CHAT_COMPLETION_PARAMS
+};
@@ -0,0 +1,198 @@
+const { config, ErrorTypes, ErrorCodes, matchesModelPattern, checkCircuitBreaker } = require('../api/config');
+
+// 每个服务商的密钥轮询索引
+const keyIndexes = {};
+
+/**
+ * 根据模型名查找可以处理该模型的服务商，按优先级从高到低排序
+ * 优先级相同时，显式匹配模型模式的服务商排在兜底服务商之前
+ * @param {string} [model] - 请求的模型名
+ * @returns {Array<Object>} 服务商列表
+ */
+function findProviders(model) {
+  return config.providers
+    .map((provider, index) => ({
+      provider,
+      index,
+      explicit: provider.models.length > 0 && matchesModelPattern(model, provider.models)
+    }))
+    .filter(item => item.provider.models.length === 0 || item.explicit)
+    .sort((a, b) => (b.provider.priority - a.provider.priority)
+      || (Number(b.explicit) - Number(a.explicit))
+      || (a.index - b.index))
+    .map(item => item.provider);
+}
+
+/**
+ * 根据模型名选择服务商
+ * @param {string} [model] - 请求的模型名
+ * @returns {Object|null} 服务商配置，没有可用服务商时返回null
+ */
+function resolveProvider(model) {
+  return findProviders(model)[0] || null;
+}
+
+/**
+ * 轮询选择服务商的API密钥
+ * @param {Object} provider - 服务商配置
+ * @returns {string|undefined} API密钥
+ */
+function selectProviderKey(provider) {
+  if (provider.keys.length === 0) return undefined;
+
+  const index = keyIndexes[provider.name] || 0;
+  keyIndexes[provider.name] = (index + 1) % provider.keys.length;
+  return provider.keys[index % provider.keys.length];
+}
+
+/**
+ * 构造请求服务商所需的axios配置
+ * 未配置密钥的服务商（如内网部署的 vLLM）不发送 Authorization 请求头
+ * @param {Object} provider - 服务商配置
+ * @param {Object} [options] - 额外的axios配置
+ * @returns {Object} axios配置
+ */
+function buildProviderConfig(provider, options = {}) {
+  const key = selectProviderKey(provider);
+  return {
+    ...options,
+    headers: {
+      ...(key ? { 'Authorization': `Bearer ${key}` } : {}),
+      'Content-Type': 'application/json',
+      'Accept': 'application/json',
+      ...(options.headers || {})
+    }
+  };
+}
+
+/**
+ * 根据备用服务商的模型映射转换模型名
+ * @param {Object} modelMap - 模型映射，键支持 * 通配符
+ * @param {string} model - 原始模型名
+ * @returns {string} 映射后的模型名，没有匹配的映射时返回原始模型名
+ */
+function mapModel(modelMap, model) {
+  if (!model || !modelMap) return model;
+
+  if (modelMap[model]) return modelMap[model];
+
+  const pattern = Object.keys(modelMap).find(key => matchesModelPattern(model, [key.toLowerCase()]));
+  return pattern ? modelMap[pattern] : model;
+}
+
+/**
+ * 获取处理该模型的服务商链：主服务商及其有序的备用服务商
+ * @param {string} [model] - 请求的模型名
+ * @returns {Array<Object>} [{ provider, model }]，model 为映射后的模型名
+ */
+function resolveProviderChain(model) {
+  const primary = resolveProvider(model);
+  if (!primary) return [];
+
+  const chain = [{ provider: primary, model }];
+
+  for (const fallback of primary.fallbacks) {
+    const provider = fallback.ref
+      ? config.providers.find(item => item.name === fallback.ref)
+      : fallback;
+
+    if (!provider) {
+      console.warn(`[故障转移] 备用服务商 ${fallback.ref} 未配置，已忽略`);
+      continue;
+    }
+
+    if (chain.some(item => item.provider.name === provider.name)) continue;
+
+    chain.push({ provider, model: mapModel(fallback.modelMap, model) });
+  }
+
+  return chain;
+}
+
+/**
+ * 判断错误是否应该切换到下一个服务商
+ * 熔断、网络错误、超时、429和5xx错误会触发故障转移，其他客户端错误直接返回
+ * @param {Object} error - 请求错误
+ * @returns {boolean}
+ */
+function isFailoverError(error) {
+  if (error.error?.circuit_breaker) return true;
+
+  const status = error.response?.status;
+  if (!status) return true;
+
+  return status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * 按服务商链依次发送请求，主服务商熔断或返回可重试错误时切换到下一个服务商
+ * @param {string} model - 请求的模型名
+ * @param {Function} requestFn - 请求函数 (provider, model) => Promise，model 为映射后的模型名
+ * @returns {Promise<Object>} { result, provider }，provider 为实际处理请求的服务商
+ */
+async function executeWithFailover(model, requestFn) {
+  const chain = resolveProviderChain(model);
+
+  if (chain.length === 0) {
+    const error = new Error(`没有可以处理模型 "${model}" 的服务商`);
+    error.response = {
+      status: 400,
+      data: {
+        error: {
+          message: `没有可以处理模型 "${model}" 的服务商`,
+          type: ErrorTypes.INVALID_REQUEST,
+          code: ErrorCodes.MODEL_NOT_SUPPORTED
+        }
+      }
+    };
+    error.nonRetryable = true;
+    throw error;
+  }
+
+  let lastError = null;
+
+  for (let i = 0; i < chain.length; i++) {
+    const { provider, model: mappedModel } = chain[i];
+    const hasNext = i < chain.length - 1;
+
+    // 检查熔断器状态
+    if (!checkCircuitBreaker(provider.name)) {
+      console.warn(`[故障转移] 服务商 ${provider.name} 已熔断${hasNext ? `，切换到 ${chain[i + 1].provider.name}` : ''}`);
+      lastError = {
+        error: {
+          message: "主服务暂时不可用，请稍后再试",
+          type: ErrorTypes.SERVICE,
+          code: ErrorCodes.SERVICE_UNAVAILABLE,
+          circuit_breaker: true
+        }
+      };
+      continue;
+    }
+
+    try {
+      const result = await requestFn(provider, mappedModel);
+      if (i > 0) {
+        console.log(`[故障转移] 请求已由备用服务商 ${provider.name} 处理`);
+      }
+      return { result, provider };
+    } catch (error) {
+      lastError = error;
+      if (!hasNext || !isFailoverError(error)) {
+        throw error;
+      }
+      console.warn(`[故障转移] 服务商 ${provider.name} 请求失败 (${error.response?.status || error.message})，切换到 ${chain[i + 1].provider.name}`);
+    }
+  }
+
+  throw lastError;
+}
+
+module.exports = {
+  findProviders,
+  resolveProvider,
+  resolveProviderChain,
+  executeWithFailover,
+  selectProviderKey,
+  buildProviderConfig,
+  mapModel
+};
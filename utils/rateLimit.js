@@ -1,227 +1,329 @@
+const metrics = require('./metrics');
+const { config } = require('../api/config');
+const { stateStore } = require('./stateStore');
+const { RateLimitAlgorithms } = require('./rateLimitAlgorithms');
+
+const supportedAlgorithms = Object.values(RateLimitAlgorithms);
+
 /**
  * 速率限制工具类
  * 用于按路径和IP限制API请求速率
+ * 计数状态保存在共享状态存储中，使用 Redis 时多个实例共享同一组计数；
+ * 每个请求同时检查路径、IP在该路径、IP在所有路径三个限制器，全部通过时才计入
  */
 class RateLimiter {
     constructor() {
-        this.requestCounts = {};
-        this.windowStartTimes = {};
+        this.store = stateStore;
         this.limits = {};
-        this.ipRequestCounts = {}; // 按IP跟踪请求
-        this.ipWindowStartTimes = {}; // 按IP跟踪窗口开始时间
+        // 各限制的时间窗口为一分钟，令牌桶按每分钟的限制补充令牌
+        this.windowMs = 60000;
 
         // 初始化各路径的RPM限制
         this.limits['/v1/chat/completions'] = parseInt(process.env.CHAT_RPM || '60');
         this.limits['/v1/images/generations'] = parseInt(process.env.IMAGES_RPM || '20');
         this.limits['/v1/audio/transcriptions'] = parseInt(process.env.AUDIO_RPM || '20');
+        this.limits['/v1/audio/translations'] = parseInt(process.env.AUDIO_RPM || '20');
+        this.limits['/v1/audio/speech'] = parseInt(process.env.SPEECH_RPM || '20');
+        this.limits['/v1/moderations'] = parseInt(process.env.MODERATIONS_RPM || '60');
+        this.limits['/v1/embeddings'] = parseInt(process.env.EMBEDDINGS_RPM || '60');
         this.limits['/v1/models'] = parseInt(process.env.MODELS_RPM || '100');
+        this.limits['/v1/usage'] = parseInt(process.env.USAGE_RPM || '30');
+        this.limits['/admin'] = parseInt(process.env.ADMIN_RPM || '60');
 
         // 全局IP限制 - 每分钟最多300个请求
         this.globalIpLimit = parseInt(process.env.GLOBAL_IP_RPM || '300');
 
-        // 每分钟重置一次计数器
-        setInterval(() => this.resetCounters(), 60000);
+        this.algorithm = this.normalizeAlgorithm(config.rateLimit.algorithm, 'RATE_LIMIT_ALGORITHM', RateLimitAlgorithms.SLIDING_WINDOW_COUNTER);
+        this.ipRatio = config.rateLimit.ipRatio >= 0 ? config.rateLimit.ipRatio : 0.25;
+        this.rules = this.normalizeRules(config.rateLimit.rules || {});
     }
 
     /**
-     * 检查请求是否超过速率限制
-     * @param {string} path - API路径
-     * @param {string} ip - 客户端IP地址
-     * @returns {boolean} 如果超过限制返回true，否则返回false
+     * 启动时校验 RATE_LIMIT_RULES 中的算法名称
+     * @param {Object} rules - 路径 -> 规则
+     * @returns {Object} 校验后的规则
      */
-    async isRateLimited(path, ip) {
-        const now = Date.now();
-        const pathKey = path;
-        const ipKey = `${ip}`;
-        const globalIpKey = `global:${ip}`;
-
-        // 初始化路径的计数器和窗口开始时间
-        if (!this.requestCounts[pathKey]) {
-            this.requestCounts[pathKey] = 0;
-            this.windowStartTimes[pathKey] = now;
-        }
-
-        // 初始化IP的计数器和窗口开始时间
-        if (!this.ipRequestCounts[ipKey]) {
-            this.ipRequestCounts[ipKey] = {};
-        }
-        if (!this.ipRequestCounts[ipKey][pathKey]) {
-            this.ipRequestCounts[ipKey][pathKey] = 0;
-            this.ipWindowStartTimes[ipKey] = this.ipWindowStartTimes[ipKey] || {};
-            this.ipWindowStartTimes[ipKey][pathKey] = now;
-        }
-
-        // 初始化全局IP计数器
-        if (!this.ipRequestCounts[globalIpKey]) {
-            this.ipRequestCounts[globalIpKey] = 0;
-            this.ipWindowStartTimes[globalIpKey] = now;
-        }
-
-        // 如果已经过了一分钟，重置该路径的计数器
-        if (now - this.windowStartTimes[pathKey] > 60000) {
-            this.requestCounts[pathKey] = 0;
-            this.windowStartTimes[pathKey] = now;
+    normalizeRules(rules) {
+        const normalized = {};
+        for (const [path, rule] of Object.entries(rules)) {
+            normalized[path] = {
+                ...rule,
+                algorithm: this.normalizeAlgorithm(rule.algorithm, `RATE_LIMIT_RULES["${path}"]`, this.algorithm)
+            };
         }
+        return normalized;
+    }
 
-        // 如果已经过了一分钟，重置该IP+路径的计数器
-        if (now - this.ipWindowStartTimes[ipKey][pathKey] > 60000) {
-            this.ipRequestCounts[ipKey][pathKey] = 0;
-            this.ipWindowStartTimes[ipKey][pathKey] = now;
-        }
+    /**
+     * 校验算法名称，不支持时使用默认算法
+     * @param {string} algorithm - 算法名称
+     * @param {string} source - 配置来源，用于日志
+     * @param {string} fallback - 默认算法
+     * @returns {string}
+     */
+    normalizeAlgorithm(algorithm, source, fallback) {
+        if (!algorithm) return fallback;
+        if (supportedAlgorithms.includes(algorithm)) return algorithm;
+        console.warn(`[速率限制] ${source} 中的算法 "${algorithm}" 不受支持，使用 ${fallback}`);
+        return fallback;
+    }
 
-        // 如果已经过了一分钟，重置该IP的全局计数器
-        if (now - this.ipWindowStartTimes[globalIpKey] > 60000) {
-            this.ipRequestCounts[globalIpKey] = 0;
-            this.ipWindowStartTimes[globalIpKey] = now;
+    /**
+     * 获取路径的限制规则，RATE_LIMIT_RULES 中的配置覆盖 *_RPM 和默认比例
+     * @param {string} path - API路径
+     * @returns {Object} { algorithm, limit, burst, ipLimit, ipBurst }，ipLimit 为0表示不单独限制
+     */
+    getRule(path) {
+        const rule = this.rules[path] || {};
+        const algorithm = rule.algorithm || this.algorithm;
+        const limit = rule.limit ?? this.limits[path] ?? 60;
+        // 突发容量只对令牌桶生效，默认等于每分钟的限制
+        const burst = rule.burst ?? limit;
+
+        // 单个 IP 在该路径的请求限制，默认按 RATE_LIMIT_IP_RATIO（25%）计算
+        let ipLimit = rule.ipLimit;
+        if (ipLimit === undefined) {
+            const ipRatio = rule.ipRatio ?? this.ipRatio;
+            ipLimit = ipRatio > 0 ? Math.max(1, Math.floor(limit * ipRatio)) : 0;
         }
+        const ipBurst = rule.ipBurst ?? Math.max(1, Math.round(burst * ipLimit / limit));
 
-        // 增加请求计数
-        this.requestCounts[pathKey]++;
-        this.ipRequestCounts[ipKey][pathKey]++;
-        this.ipRequestCounts[globalIpKey]++;
-
-        // 该路径的全局请求限制，若未设置则默认限制为 60 次(RPM)
-        const pathLimit = this.limits[pathKey] || 60;
-
-        // 单个 IP 在该路径的请求限制，为全局路径限制的 25%(RPM)
-        const ipPathLimit = Math.floor(pathLimit * 0.25);
-
-        // 单个 IP 在所有路径上的全局请求限制(RPM)
-        const globalIpLimit = this.globalIpLimit;
+        return { algorithm, limit, burst, ipLimit, ipBurst };
+    }
 
+    /**
+     * 获取单个 IP 在所有路径上的限制规则
+     * @returns {Object} { algorithm, limit, burst }
+     */
+    getGlobalIpRule() {
+        const rule = this.rules.global_ip || {};
+        const limit = rule.limit ?? this.globalIpLimit;
+        return {
+            algorithm: rule.algorithm || this.algorithm,
+            limit,
+            burst: rule.burst ?? limit
+        };
+    }
 
-        // 检查是否超过任一限制
-        const isPathLimited = this.requestCounts[pathKey] > pathLimit;
-        const isIpPathLimited = this.ipRequestCounts[ipKey][pathKey] > ipPathLimit;
-        const isGlobalIpLimited = this.ipRequestCounts[globalIpKey] > globalIpLimit;
+    /**
+     * 获取计数器在状态存储中的键
+     * 路径不包含冒号，IP（包括IPv6）放在最后，便于从键中解析
+     * @param {string} path - API路径
+     * @param {string} ip - 客户端IP地址
+     * @returns {Object} { path, ipPath, globalIp }
+     */
+    getKeys(path, ip) {
+        return {
+            path: `ratelimit:path:${path}`,
+            ipPath: `ratelimit:ip-path:${path}:${ip}`,
+            globalIp: `ratelimit:ip:${ip}`
+        };
+    }
 
-        // 记录异常请求模式
-        if (isPathLimited || isIpPathLimited || isGlobalIpLimited) {
-            console.warn(`[速率限制] 请求来自 IP: ${ip}，请求路径: ${path}。当前计数：该路径的总请求数(RPM) ${this.requestCounts[pathKey]}/${pathLimit}，该 IP 在该路径的请求数(RPM) ${this.ipRequestCounts[ipKey][pathKey]}/${ipPathLimit}，该 IP 的所有请求总数(RPM) ${this.ipRequestCounts[globalIpKey]}/${globalIpLimit}`);
+    /**
+     * 构造限制器，限制为0的限制器不参与检查
+     * @param {string} type - path / ipPath / globalIp
+     * @param {string} path - API路径
+     * @param {string} ip - 客户端IP地址
+     * @returns {Object|null} { type, key, algorithm, limit, windowMs, burst }
+     */
+    buildLimiter(type, path, ip) {
+        const key = this.getKeys(path, ip)[type];
+        let limiter;
+        if (type === 'globalIp') {
+            limiter = this.getGlobalIpRule();
+        } else {
+            const rule = this.getRule(path);
+            limiter = type === 'path'
+                ? { algorithm: rule.algorithm, limit: rule.limit, burst: rule.burst }
+                : { algorithm: rule.algorithm, limit: rule.ipLimit, burst: rule.ipBurst };
         }
-
-        return isPathLimited || isIpPathLimited || isGlobalIpLimited;
+        if (!(limiter.limit > 0)) return null;
+        return { type, key, windowMs: this.windowMs, ...limiter };
     }
 
     /**
-     * 获取路径当前的请求计数和限制
+     * 检查并计入请求，返回值与 getRateLimitInfo 相同
      * @param {string} path - API路径
      * @param {string} ip - 客户端IP地址
-     * @returns {Object} 包含当前计数和限制的对象
+     * @returns {Promise<Object>} 速率限制信息，limited 为true表示超过限制
      */
-    getRateLimitInfo(path, ip) {
-        const pathKey = path;
-        const ipKey = `${ip}`;
-        const globalIpKey = `global:${ip}`;
-        const pathLimit = this.limits[pathKey] || 60;
-        const ipPathLimit = Math.max(Math.floor(pathLimit * 1.5), pathLimit);
-        const globalIpLimit = this.globalIpLimit;
-
-        // 计算剩余请求数（取三个限制中的最小值）
-        const pathRemaining = Math.max(0, pathLimit - (this.requestCounts[pathKey] || 0));
-        const ipPathRemaining = Math.max(0, ipPathLimit - ((this.ipRequestCounts[ipKey] && this.ipRequestCounts[ipKey][pathKey]) || 0));
-        const globalIpRemaining = Math.max(0, globalIpLimit - (this.ipRequestCounts[globalIpKey] || 0));
-        const remaining = Math.min(pathRemaining, ipPathRemaining, globalIpRemaining);
-
-        // 计算重置时间（取三个窗口中最早的重置时间）
-        const pathReset = Math.ceil((this.windowStartTimes[pathKey] || Date.now()) / 1000) + 60;
-        const ipPathReset = Math.ceil(((this.ipWindowStartTimes[ipKey] && this.ipWindowStartTimes[ipKey][pathKey]) || Date.now()) / 1000) + 60;
-        const globalIpReset = Math.ceil((this.ipWindowStartTimes[globalIpKey] || Date.now()) / 1000) + 60;
-        const reset = Math.min(pathReset, ipPathReset, globalIpReset);
+    async checkRateLimit(path, ip) {
+        return this.evaluate(path, ip, true);
+    }
 
-        return {
-            current: this.requestCounts[pathKey] || 0,
-            limit: pathLimit,
-            remaining: remaining,
-            reset: reset,
-            details: {
-                path: {
-                    current: this.requestCounts[pathKey] || 0,
-                    limit: pathLimit,
-                    remaining: pathRemaining
-                },
-                ipPath: {
-                    current: (this.ipRequestCounts[ipKey] && this.ipRequestCounts[ipKey][pathKey]) || 0,
-                    limit: ipPathLimit,
-                    remaining: ipPathRemaining
-                },
-                globalIp: {
-                    current: this.ipRequestCounts[globalIpKey] || 0,
-                    limit: globalIpLimit,
-                    remaining: globalIpRemaining
-                }
-            }
-        };
+    /**
+     * 获取路径当前的请求计数和限制，不计入请求
+     * @param {string} path - API路径
+     * @param {string} ip - 客户端IP地址
+     * @returns {Promise<Object>} 速率限制信息，limited 为true表示下一个请求会被拒绝
+     */
+    async getRateLimitInfo(path, ip) {
+        return this.evaluate(path, ip, false);
     }
 
     /**
-     * 重置所有路径的计数器
+     * 按当前算法计算各限制器的状态
+     * @param {string} path - API路径
+     * @param {string} ip - 客户端IP地址
+     * @param {boolean} commit - 是否计入本次请求
+     * @returns {Promise<Object>} { limited, limit, remaining, reset, retryAfter, details }
+     *   limit / remaining / reset 取剩余额度最少的限制器，reset 和 retryAfter 单位为秒
      */
-    resetCounters() {
+    async evaluate(path, ip, commit) {
+        const limiters = ['path', 'ipPath', 'globalIp']
+            .map(type => this.buildLimiter(type, path, ip))
+            .filter(Boolean);
         const now = Date.now();
 
-        // 重置路径计数器
-        for (const path in this.requestCounts) {
-            if (now - this.windowStartTimes[path] > 60000) {
-                this.requestCounts[path] = 0;
-                this.windowStartTimes[path] = now;
-            }
+        let outcome;
+        try {
+            outcome = await this.store.rateLimit(limiters, { now, commit });
+        } catch (error) {
+            // 共享存储不可用时放行请求，避免限流组件故障导致整个服务不可用
+            console.error(`[速率限制] 读取计数器失败，本次请求不做限制：`, error.message);
+            outcome = {
+                allowed: true,
+                results: limiters.map(limiter => ({
+                    allowed: true, current: 0, remaining: limiter.limit, resetTime: now, retryAfter: 0
+                }))
+            };
         }
 
-        // 重置IP计数器
-        for (const ip in this.ipRequestCounts) {
-            if (ip.startsWith('global:')) {
-                // 重置全局IP计数器
-                if (now - this.ipWindowStartTimes[ip] > 60000) {
-                    this.ipRequestCounts[ip] = 0;
-                    this.ipWindowStartTimes[ip] = now;
-                }
-            } else {
-                // 重置IP+路径计数器
-                for (const path in this.ipRequestCounts[ip]) {
-                    if (this.ipWindowStartTimes[ip] && now - this.ipWindowStartTimes[ip][path] > 60000) {
-                        this.ipRequestCounts[ip][path] = 0;
-                        this.ipWindowStartTimes[ip][path] = now;
-                    }
-                }
+        const details = { path: null, ipPath: null, globalIp: null };
+        limiters.forEach((limiter, index) => {
+            const result = outcome.results[index];
+            details[limiter.type] = {
+                algorithm: limiter.algorithm,
+                current: result.current,
+                limit: limiter.limit,
+                remaining: result.remaining,
+                reset: Math.ceil(result.resetTime / 1000)
+            };
+        });
+
+        const limited = !outcome.allowed;
+        if (commit && limited) {
+            const rejected = limiters.filter((limiter, index) => !outcome.results[index].allowed);
+            const labels = { path: 'path', ipPath: 'ip_path', globalIp: 'global_ip' };
+            for (const limiter of rejected) {
+                metrics.rateLimitRejections.inc({ limiter: labels[limiter.type], route: path });
             }
+
+            // 记录异常请求模式
+            const summary = limiters.map(limiter => `${limiter.type} ${details[limiter.type].current}/${limiter.limit}`).join('，');
+            console.warn(`[速率限制] 请求来自 IP: ${ip}，请求路径: ${path}，超过限制：${rejected.map(limiter => limiter.type).join('、')}。当前计数：${summary}`);
         }
 
-        // 清理超过5分钟未活动的IP记录，防止内存泄漏
-        this.cleanupInactiveIps(now);
+        // 响应头使用剩余额度最少的限制器
+        let tightest = 0;
+        outcome.results.forEach((result, index) => {
+            if (result.remaining < outcome.results[tightest].remaining) tightest = index;
+        });
+        const tightestResult = outcome.results[tightest];
+        const retryAfter = Math.max(0, ...outcome.results.filter(result => !result.allowed).map(result => result.retryAfter));
+
+        return {
+            limited,
+            current: details.path?.current ?? 0,
+            limit: limiters[tightest]?.limit ?? 0,
+            remaining: tightestResult?.remaining ?? 0,
+            reset: Math.ceil((tightestResult?.resetTime ?? now) / 1000),
+            retryAfter: Math.ceil(retryAfter / 1000),
+            details
+        };
     }
 
     /**
-     * 清理不活跃的IP记录
-     * @param {number} now - 当前时间戳
+     * 列出所有计数器并解析出路径和IP
+     * @returns {Promise<Array<Object>>} [{ key, type, path, ip }]，type 为 path / ipPath / globalIp
      */
-    cleanupInactiveIps(now) {
-        const inactiveThreshold = 300000; // 5分钟
+    async listCounters() {
+        const [pathKeys, ipPathKeys, globalIpKeys] = await Promise.all([
+            this.store.keys('ratelimit:path:'),
+            this.store.keys('ratelimit:ip-path:'),
+            this.store.keys('ratelimit:ip:')
+        ]);
+
+        return [
+            ...pathKeys.map(key => ({ key, type: 'path', path: key.substring('ratelimit:path:'.length), ip: null })),
+            ...ipPathKeys.map(key => {
+                const rest = key.substring('ratelimit:ip-path:'.length);
+                const separator = rest.indexOf(':');
+                return { key, type: 'ipPath', path: rest.substring(0, separator), ip: rest.substring(separator + 1) };
+            }),
+            ...globalIpKeys.map(key => ({ key, type: 'globalIp', path: null, ip: key.substring('ratelimit:ip:'.length) }))
+        ];
+    }
 
-        for (const ip in this.ipRequestCounts) {
-            let isActive = false;
+    /**
+     * 查看速率限制计数器
+     * @param {Object} [filter]
+     * @param {string} [filter.ip] - 只返回该IP的计数
+     * @param {string} [filter.path] - 只返回该路径的计数
+     * @returns {Promise<Object>} { paths, ips }
+     */
+    async getCounters(filter = {}) {
+        const counters = (await this.listCounters()).filter(counter => {
+            if (counter.type === 'path') return !filter.path || counter.path === filter.path;
+            if (filter.ip && counter.ip !== filter.ip) return false;
+            return counter.type === 'globalIp' || !filter.path || counter.path === filter.path;
+        });
+        // 按当前配置的算法读取计数，不计入请求
+        const now = Date.now();
+        const values = await Promise.all(counters.map(async counter => {
+            const limiter = this.buildLimiter(counter.type, counter.path, counter.ip);
+            if (!limiter) return null;
+            const { results } = await this.store.rateLimit([limiter], { now, commit: false });
+            return { limiter, ...results[0] };
+        }));
+
+        const paths = {};
+        const ips = {};
+        const getIpEntry = ip => {
+            ips[ip] = ips[ip] || { total: 0, paths: {} };
+            return ips[ip];
+        };
 
-            if (ip.startsWith('global:')) {
-                // 检查全局IP是否活跃
-                if (now - this.ipWindowStartTimes[ip] < inactiveThreshold) {
-                    isActive = true;
-                }
+        counters.forEach((counter, index) => {
+            const value = values[index];
+            if (!value) return;
+            if (counter.type === 'path') {
+                paths[counter.path] = {
+                    algorithm: value.limiter.algorithm,
+                    current: value.current,
+                    limit: value.limiter.limit,
+                    remaining: value.remaining,
+                    resetTime: value.resetTime
+                };
+            } else if (counter.type === 'ipPath') {
+                getIpEntry(counter.ip).paths[counter.path] = value.current;
             } else {
-                // 检查IP+路径是否活跃
-                for (const path in this.ipWindowStartTimes[ip]) {
-                    if (now - this.ipWindowStartTimes[ip][path] < inactiveThreshold) {
-                        isActive = true;
-                        break;
-                    }
-                }
+                getIpEntry(counter.ip).total = value.current;
             }
+        });
 
-            // 如果IP不活跃，删除相关记录
-            if (!isActive) {
-                delete this.ipRequestCounts[ip];
-                delete this.ipWindowStartTimes[ip];
-            }
-        }
+        return { paths, ips };
+    }
+
+    /**
+     * 清除速率限制计数器，不指定IP和路径时清除所有计数器
+     * @param {Object} [filter]
+     * @param {string} [filter.ip] - 只清除该IP的计数
+     * @param {string} [filter.path] - 只清除该路径的计数
+     * @returns {Promise<void>}
+     */
+    async clearCounters(filter = {}) {
+        const keys = (await this.listCounters())
+            .filter(counter => {
+                if (counter.type === 'path') return !filter.ip && (!filter.path || counter.path === filter.path);
+                // 只清除路径计数时保留IP的全局计数
+                if (counter.type === 'globalIp') return !filter.path && (!filter.ip || counter.ip === filter.ip);
+                return (!filter.ip || counter.ip === filter.ip) && (!filter.path || counter.path === filter.path);
+            })
+            .map(counter => counter.key);
+
+        await this.store.del(...keys);
     }
 }
 
@@ -0,0 +1,343 @@
+// 速率限制算法
+// 内存存储直接调用下面的 JS 实现，Redis 存储执行等价的 Lua 脚本，两者的计算方式必须保持一致。
+// 每个算法返回 { allowed, current, remaining, resetTime, retryAfter }：
+//   allowed    - 是否还能再放行一个请求（提交后为本次请求是否放行）
+//   resetTime  - 恢复到完整额度的时间戳(毫秒)
+//   retryAfter - 被拒绝时距离下一个请求可以放行的毫秒数，放行时为0
+
+const RateLimitAlgorithms = {
+  FIXED_WINDOW: 'fixed-window',                     // 固定窗口：窗口从第一次请求开始计算
+  SLIDING_WINDOW_LOG: 'sliding-window-log',         // 滑动窗口日志：记录窗口内每个请求的时间，精确但占用较多存储
+  SLIDING_WINDOW_COUNTER: 'sliding-window-counter', // 滑动窗口计数：按上一个窗口的计数加权估算，存储开销固定
+  TOKEN_BUCKET: 'token-bucket'                      // 令牌桶：按速率补充令牌，允许不超过 burst 的突发请求
+};
+
+/**
+ * 状态需要保留的时间(毫秒)
+ * @param {Object} limiter - { algorithm, limit, windowMs, burst }
+ * @returns {number}
+ */
+function stateTtl(limiter) {
+  if (limiter.algorithm === RateLimitAlgorithms.TOKEN_BUCKET) {
+    return Math.ceil(limiter.burst * limiter.windowMs / limiter.limit) + 1000;
+  }
+  return limiter.windowMs * 2;
+}
+
+const algorithms = {
+  [RateLimitAlgorithms.FIXED_WINDOW](state, limiter, now, apply) {
+    const { limit, windowMs } = limiter;
+    let start = now;
+    let count = 0;
+    if (state && now - state.start < windowMs) {
+      start = state.start;
+      count = state.count;
+    }
+
+    const allowed = count < limit;
+    if (apply && allowed) {
+      count++;
+      state = { start, count };
+    }
+
+    return {
+      state,
+      result: {
+        allowed,
+        current: count,
+        remaining: Math.max(0, limit - count),
+        resetTime: start + windowMs,
+        retryAfter: allowed ? 0 : start + windowMs - now
+      }
+    };
+  },
+
+  [RateLimitAlgorithms.SLIDING_WINDOW_LOG](state, limiter, now, apply) {
+    const { limit, windowMs } = limiter;
+    const entries = (state?.entries || []).filter(time => time > now - windowMs);
+
+    const allowed = entries.length < limit;
+    if (apply && allowed) {
+      entries.push(now);
+    }
+
+    const count = entries.length;
+    return {
+      state: { entries },
+      result: {
+        allowed,
+        current: count,
+        remaining: Math.max(0, limit - count),
+        resetTime: count > 0 ? entries[count - 1] + windowMs : now,
+        // 需要等到窗口内的请求数降到 limit - 1
+        retryAfter: allowed ? 0 : entries[count - limit] + windowMs - now
+      }
+    };
+  },
+
+  [RateLimitAlgorithms.SLIDING_WINDOW_COUNTER](state, limiter, now, apply) {
+    const { limit, windowMs } = limiter;
+    const window = Math.floor(now / windowMs);
+    const windowStart = window * windowMs;
+    let current = 0;
+    let previous = 0;
+    if (state?.window === window) {
+      current = state.current;
+      previous = state.previous;
+    } else if (state?.window === window - 1) {
+      previous = state.current;
+    }
+
+    // 上一个窗口的计数按仍处于滑动窗口内的比例计入
+    let estimate = previous * (1 - (now - windowStart) / windowMs) + current;
+    const allowed = estimate + 1 <= limit;
+    if (apply && allowed) {
+      current++;
+      estimate++;
+      state = { window, current, previous };
+    }
+
+    let resetTime = now;
+    if (current > 0) {
+      resetTime = windowStart + windowMs * 2;
+    } else if (previous > 0) {
+      resetTime = windowStart + windowMs;
+    }
+
+    let retryAfter = 0;
+    if (!allowed) {
+      const room = limit - 1 - current;
+      retryAfter = room >= 0
+        // 当前窗口内等待上一个窗口的权重衰减
+        ? windowStart + windowMs * (1 - room / previous) - now
+        // 当前窗口已满，等待下一个窗口中本窗口的权重衰减
+        : windowStart + windowMs + windowMs * (1 - (limit - 1) / current) - now;
+    }
+
+    return {
+      state,
+      result: {
+        allowed,
+        current: Math.floor(estimate),
+        remaining: Math.max(0, Math.floor(limit - estimate)),
+        resetTime,
+        retryAfter: Math.ceil(retryAfter)
+      }
+    };
+  },
+
+  [RateLimitAlgorithms.TOKEN_BUCKET](state, limiter, now, apply) {
+    const { limit, windowMs, burst } = limiter;
+    // 每毫秒补充的令牌数
+    const rate = limit / windowMs;
+    let tokens = burst;
+    if (state) {
+      tokens = Math.min(burst, state.tokens + Math.max(0, now - state.updatedAt) * rate);
+    }
+
+    const allowed = tokens >= 1;
+    if (apply && allowed) {
+      tokens--;
+      state = { tokens, updatedAt: now };
+    }
+
+    return {
+      state,
+      result: {
+        allowed,
+        current: burst - Math.floor(tokens),
+        remaining: Math.floor(tokens),
+        resetTime: now + Math.ceil((burst - tokens) / rate),
+        retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate)
+      }
+    };
+  }
+};
+
+/**
+ * 在内存状态上执行一组限制器：所有限制器都允许时才提交，被拒绝的请求不消耗任何额度
+ * @param {Function} load - (key) => 状态对象或null
+ * @param {Function} save - (key, state, ttl) => void
+ * @param {Array<Object>} limiters - [{ key, algorithm, limit, windowMs, burst }]
+ * @param {Object} options
+ * @param {number} options.now - 当前时间戳(毫秒)
+ * @param {boolean} options.commit - 是否计入本次请求，为false时只查询
+ * @returns {Object} { allowed, results }
+ */
+function evaluateLimiters(load, save, limiters, { now, commit }) {
+  const states = limiters.map(limiter => {
+    const state = load(limiter.key);
+    // 切换算法后旧的状态不再适用
+    return state?.algorithm === limiter.algorithm ? state : null;
+  });
+
+  const check = apply => limiters.map((limiter, index) => algorithms[limiter.algorithm](states[index], limiter, now, apply));
+
+  let evaluated = check(false);
+  const allowed = evaluated.every(item => item.result.allowed);
+  if (commit && allowed) {
+    evaluated = check(true);
+    evaluated.forEach((item, index) => {
+      save(limiters[index].key, { ...item.state, algorithm: limiters[index].algorithm }, stateTtl(limiters[index]));
+    });
+  }
+
+  return { allowed, results: evaluated.map(item => item.result) };
+}
+
+// 与 evaluateLimiters 等价的 Redis 脚本，在一次 EVAL 中原子地完成检查和提交
+// KEYS 为各限制器的键；ARGV[1] 为当前时间戳，ARGV[2] 为是否提交(1/0)，
+// 之后每个限制器依次为 algorithm, limit, windowMs, burst, member（滑动窗口日志中的成员名）
+// 返回 [allowed, 然后每个限制器依次为 allowed, current, remaining, resetTime, retryAfter]
+const RATE_LIMIT_SCRIPT = `
+local now = tonumber(ARGV[1])
+local commit = ARGV[2] == '1'
+
+-- 键的类型或算法与当前配置不一致时删除旧状态，返回键是否可用
+local function prepare(key, keyType, algorithm)
+  local actual = redis.call('TYPE', key)['ok']
+  if actual == 'none' then return false end
+  if actual ~= keyType or (algorithm and redis.call('HGET', key, 'algorithm') ~= algorithm) then
+    redis.call('DEL', key)
+    return false
+  end
+  return true
+end
+
+local function fixedWindow(key, limit, windowMs, burst, member, apply)
+  local start, count = now, 0
+  if prepare(key, 'hash', 'fixed-window') then
+    local values = redis.call('HMGET', key, 'start', 'count')
+    if now - tonumber(values[1]) < windowMs then
+      start, count = tonumber(values[1]), tonumber(values[2])
+    end
+  end
+  local allowed = count < limit
+  if apply and allowed then
+    count = count + 1
+    redis.call('HSET', key, 'algorithm', 'fixed-window', 'start', start, 'count', count)
+    redis.call('PEXPIRE', key, windowMs * 2)
+  end
+  local retryAfter = 0
+  if not allowed then retryAfter = start + windowMs - now end
+  return {allowed, count, math.max(0, limit - count), start + windowMs, retryAfter}
+end
+
+local function slidingWindowLog(key, limit, windowMs, burst, member, apply)
+  prepare(key, 'zset', nil)
+  redis.call('ZREMRANGEBYSCORE', key, '-inf', now - windowMs)
+  local count = redis.call('ZCARD', key)
+  local allowed = count < limit
+  if apply and allowed then
+    redis.call('ZADD', key, now, member)
+    redis.call('PEXPIRE', key, windowMs * 2)
+    count = count + 1
+  end
+  local resetTime = now
+  if count > 0 then
+    resetTime = tonumber(redis.call('ZRANGE', key, -1, -1, 'WITHSCORES')[2]) + windowMs
+  end
+  local retryAfter = 0
+  if not allowed then
+    retryAfter = tonumber(redis.call('ZRANGE', key, count - limit, count - limit, 'WITHSCORES')[2]) + windowMs - now
+  end
+  return {allowed, count, math.max(0, limit - count), resetTime, retryAfter}
+end
+
+local function slidingWindowCounter(key, limit, windowMs, burst, member, apply)
+  local window = math.floor(now / windowMs)
+  local windowStart = window * windowMs
+  local current, previous = 0, 0
+  if prepare(key, 'hash', 'sliding-window-counter') then
+    local values = redis.call('HMGET', key, 'window', 'current', 'previous')
+    local stored = tonumber(values[1])
+    if stored == window then
+      current, previous = tonumber(values[2]), tonumber(values[3])
+    elseif stored == window - 1 then
+      previous = tonumber(values[2])
+    end
+  end
+  local estimate = previous * (1 - (now - windowStart) / windowMs) + current
+  local allowed = estimate + 1 <= limit
+  if apply and allowed then
+    current = current + 1
+    estimate = estimate + 1
+    redis.call('HSET', key, 'algorithm', 'sliding-window-counter', 'window', window, 'current', current, 'previous', previous)
+    redis.call('PEXPIRE', key, windowMs * 2)
+  end
+  local resetTime = now
+  if current > 0 then
+    resetTime = windowStart + windowMs * 2
+  elseif previous > 0 then
+    resetTime = windowStart + windowMs
+  end
+  local retryAfter = 0
+  if not allowed then
+    local room = limit - 1 - current
+    if room >= 0 then
+      retryAfter = windowStart + windowMs * (1 - room / previous) - now
+    else
+      retryAfter = windowStart + windowMs + windowMs * (1 - (limit - 1) / current) - now
+    end
+  end
+  return {allowed, math.floor(estimate), math.max(0, math.floor(limit - estimate)), resetTime, math.ceil(retryAfter)}
+end
+
+local function tokenBucket(key, limit, windowMs, burst, member, apply)
+  local rate = limit / windowMs
+  local tokens = burst
+  if prepare(key, 'hash', 'token-bucket') then
+    local values = redis.call('HMGET', key, 'tokens', 'updatedAt')
+    tokens = math.min(burst, tonumber(values[1]) + math.max(0, now - tonumber(values[2])) * rate)
+  end
+  local allowed = tokens >= 1
+  if apply and allowed then
+    tokens = tokens - 1
+    redis.call('HSET', key, 'algorithm', 'token-bucket', 'tokens', tokens, 'updatedAt', now)
+    redis.call('PEXPIRE', key, math.ceil(burst / rate) + 1000)
+  end
+  local retryAfter = 0
+  if not allowed then retryAfter = math.ceil((1 - tokens) / rate) end
+  return {allowed, burst - math.floor(tokens), math.floor(tokens), now + math.ceil((burst - tokens) / rate), retryAfter}
+end
+
+local algorithms = {
+  ['fixed-window'] = fixedWindow,
+  ['sliding-window-log'] = slidingWindowLog,
+  ['sliding-window-counter'] = slidingWindowCounter,
+  ['token-bucket'] = tokenBucket
+}
+
+local function check(apply)
+  local results = {}
+  local allowed = true
+  for i, key in ipairs(KEYS) do
+    local base = 2 + (i - 1) * 5
+    local result = algorithms[ARGV[base + 1]](key, tonumber(ARGV[base + 2]), tonumber(ARGV[base + 3]), tonumber(ARGV[base + 4]), ARGV[base + 5], apply)
+    if not result[1] then allowed = false end
+    results[i] = result
+  end
+  return results, allowed
+end
+
+local results, allowed = check(false)
+if commit and allowed then
+  results = check(true)
+end
+
+local reply = {allowed and 1 or 0}
+for _, result in ipairs(results) do
+  table.insert(reply, result[1] and 1 or 0)
+  for j = 2, 5 do
+    table.insert(reply, math.floor(result[j]))
+  end
+end
+return reply
+`;
+
+module.exports = {
+  RateLimitAlgorithms,
+  RATE_LIMIT_SCRIPT,
+  evaluateLimiters,
+  stateTtl
+};
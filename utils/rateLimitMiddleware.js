@@ -1,4 +1,5 @@
 const rateLimiter = require('./rateLimit');
+const { getClientIp } = require('./clientIp');
 const { ErrorTypes, ErrorCodes } = require('../api/config');
 
 /**
@@ -9,49 +10,45 @@ const { ErrorTypes, ErrorCodes } = require('../api/config');
  * @returns {boolean} 如果请求被限制返回true，否则返回false
  */
 async function rateLimitMiddleware(req, res, path) {
-    // 获取客户端IP
-    const ip = req.headers['x-forwarded-for'] ||
-        req.connection.remoteAddress ||
-        '0.0.0.0';
+    // 获取客户端IP，只采用受信任代理转发的 X-Forwarded-For
+    const ip = getClientIp(req);
 
-    // 检查速率限制
-    if (await rateLimiter.isRateLimited(path, ip)) {
-        const rateLimitInfo = rateLimiter.getRateLimitInfo(path, ip);
+    // 检查并计入请求，响应头与限制使用同一次计算的结果
+    const rateLimitInfo = await rateLimiter.checkRateLimit(path, ip);
 
-        // 设置速率限制响应头
-        res.setHeader('X-RateLimit-Limit', rateLimitInfo.limit);
-        res.setHeader('X-RateLimit-Remaining', rateLimitInfo.remaining);
-        res.setHeader('X-RateLimit-Reset', rateLimitInfo.reset);
+    // 设置速率限制响应头
+    res.setHeader('X-RateLimit-Limit', rateLimitInfo.limit);
+    res.setHeader('X-RateLimit-Remaining', rateLimitInfo.remaining);
+    res.setHeader('X-RateLimit-Reset', rateLimitInfo.reset);
 
+    if (rateLimitInfo.limited) {
         // 返回429状态码
         res.statusCode = 429;
+        res.setHeader('Retry-After', rateLimitInfo.retryAfter);
         res.setHeader('Content-Type', 'application/json');
         res.end(JSON.stringify({
             error: {
-                message: `请求过于频繁，请稍后再试。当前路径限制为每分钟${rateLimitInfo.limit}个请求。`,
+                message: `请求过于频繁，请在${rateLimitInfo.retryAfter}秒后重试。当前限制为每分钟${rateLimitInfo.limit}个请求。`,
                 type: ErrorTypes.RATE_LIMIT,
                 code: ErrorCodes.RATE_LIMIT_EXCEEDED,
                 details: {
                     limit: rateLimitInfo.limit,
                     remaining: rateLimitInfo.remaining,
                     reset: rateLimitInfo.reset,
+                    retry_after: rateLimitInfo.retryAfter,
                     // 添加更详细的限制信息
-                    path_limit: rateLimitInfo.details.path.limit,
-                    path_current: rateLimitInfo.details.path.current,
-                    ip_limit: rateLimitInfo.details.globalIp.limit,
-                    ip_current: rateLimitInfo.details.globalIp.current
+                    path_limit: rateLimitInfo.details.path?.limit ?? null,
+                    path_current: rateLimitInfo.details.path?.current ?? null,
+                    ip_path_limit: rateLimitInfo.details.ipPath?.limit ?? null,
+                    ip_path_current: rateLimitInfo.details.ipPath?.current ?? null,
+                    ip_limit: rateLimitInfo.details.globalIp?.limit ?? null,
+                    ip_current: rateLimitInfo.details.globalIp?.current ?? null
                 }
             }
         }));
         return true;
     }
 
-    // 设置速率限制响应头
-    const rateLimitInfo = rateLimiter.getRateLimitInfo(path, ip);
-    res.setHeader('X-RateLimit-Limit', rateLimitInfo.limit);
-    res.setHeader('X-RateLimit-Remaining', rateLimitInfo.remaining);
-    res.setHeader('X-RateLimit-Reset', rateLimitInfo.reset);
-
     return false;
 }
 
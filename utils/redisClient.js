@@ -0,0 +1,247 @@
+const net = require('net');
+const tls = require('tls');
+
+/**
+ * Redis 返回的错误回复（如 WRONGTYPE、NOAUTH）
+ */
+class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * 解析 RESP 协议的回复，数据不完整时返回 undefined，等待更多数据
+ * @param {Buffer} buffer - 已接收的数据
+ * @param {number} offset - 开始解析的位置
+ * @returns {Object|undefined} { value, offset }，offset 为下一条回复的开始位置
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return undefined;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return undefined;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (item === undefined) return undefined;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`无法解析的回复类型 "${type}"`);
+  }
+}
+
+/**
+ * 将命令编码为 RESP 数组
+ * @param {Array} args - 命令及参数
+ * @returns {string}
+ */
+function encodeCommand(args) {
+  let command = `*${args.length}\r\n`;
+  for (const arg of args) {
+    const value = String(arg);
+    command += `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+  }
+  return command;
+}
+
+/**
+ * 最小化的 Redis 客户端
+ * 只实现 RESP2 协议的请求/回复模式，不依赖第三方库；命令按发送顺序排队等待回复，
+ * 连接断开后未完成的命令会失败，下一条命令自动重新连接
+ */
+class RedisClient {
+  /**
+   * @param {string} redisUrl - 连接地址，如 redis://:password@127.0.0.1:6379/0，rediss:// 使用TLS
+   * @param {Object} [options]
+   * @param {number} [options.connectTimeout] - 连接超时时间(毫秒)
+   * @param {number} [options.commandTimeout] - 命令超时时间(毫秒)，超时后断开连接
+   */
+  constructor(redisUrl, options = {}) {
+    const parsed = new URL(redisUrl);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = parseInt(parsed.port || '6379');
+    this.tls = parsed.protocol === 'rediss:';
+    this.username = decodeURIComponent(parsed.username || '');
+    this.password = decodeURIComponent(parsed.password || '');
+    this.db = parseInt(parsed.pathname.replace('/', '') || '0');
+    this.connectTimeout = options.connectTimeout || 5000;
+    this.commandTimeout = options.commandTimeout || 5000;
+
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];          // 等待回复的命令 { resolve, reject, timer }
+    this.buffer = Buffer.alloc(0);
+  }
+
+  /**
+   * 建立连接并完成认证和选择数据库
+   * @returns {Promise<void>}
+   */
+  connect() {
+    if (this.socket) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = this.tls
+        ? tls.connect({ host: this.host, port: this.port, servername: this.host })
+        : net.connect({ host: this.host, port: this.port });
+
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`连接 Redis ${this.host}:${this.port} 超时`));
+      }, this.connectTimeout);
+
+      socket.setNoDelay(true);
+      socket.once(this.tls ? 'secureConnect' : 'connect', async () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            await this.send(['SELECT', this.db]);
+          }
+          resolve();
+        } catch (error) {
+          socket.destroy();
+          reject(error);
+        }
+      });
+
+      socket.on('data', chunk => this.handleData(chunk));
+      socket.on('error', error => {
+        clearTimeout(timer);
+        this.handleClose(socket, error);
+        reject(error);
+      });
+      socket.on('close', () => {
+        clearTimeout(timer);
+        this.handleClose(socket, new Error('Redis 连接已关闭'));
+        reject(new Error('Redis 连接已关闭'));
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * 处理接收到的数据，按顺序交给等待中的命令
+   * @param {Buffer} chunk - 新接收的数据
+   */
+  handleData(chunk) {
+    this.buffer = this.buffer.length === 0 ? chunk : Buffer.concat([this.buffer, chunk]);
+
+    let offset = 0;
+    while (offset < this.buffer.length) {
+      let reply;
+      try {
+        reply = parseReply(this.buffer, offset);
+      } catch (error) {
+        this.socket?.destroy(error);
+        return;
+      }
+      if (reply === undefined) break;
+
+      offset = reply.offset;
+      const command = this.pending.shift();
+      if (!command) continue;
+
+      clearTimeout(command.timer);
+      if (reply.value instanceof RedisError) {
+        command.reject(reply.value);
+      } else {
+        command.resolve(reply.value);
+      }
+    }
+
+    this.buffer = offset >= this.buffer.length ? Buffer.alloc(0) : this.buffer.subarray(offset);
+  }
+
+  /**
+   * 连接断开时让所有等待中的命令失败
+   * @param {Object} socket - 断开的连接，已被新连接替换时忽略
+   * @param {Error} error - 断开原因
+   */
+  handleClose(socket, error) {
+    if (this.socket && this.socket !== socket) return;
+
+    this.socket = null;
+    this.buffer = Buffer.alloc(0);
+    const pending = this.pending;
+    this.pending = [];
+    for (const command of pending) {
+      clearTimeout(command.timer);
+      command.reject(error);
+    }
+  }
+
+  /**
+   * 在已建立的连接上发送命令
+   * @param {Array} args - 命令及参数
+   * @returns {Promise<*>} 命令的回复
+   */
+  send(args) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.socket?.destroy(new Error(`Redis 命令 ${args[0]} 超时`));
+      }, this.commandTimeout);
+      this.pending.push({ resolve, reject, timer });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * 发送命令，未连接时先建立连接
+   * @param {...*} args - 命令及参数，如 ('SET', 'key', 'value', 'PX', 1000)
+   * @returns {Promise<*>} 命令的回复
+   */
+  async command(...args) {
+    if (!this.socket) {
+      await this.connect();
+    }
+    return this.send(args);
+  }
+
+  /**
+   * 关闭连接
+   */
+  quit() {
+    if (this.socket) {
+      this.socket.end();
+      this.socket = null;
+    }
+  }
+}
+
+module.exports = {
+  RedisClient,
+  RedisError
+};
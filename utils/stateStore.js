@@ -0,0 +1,296 @@
+const crypto = require('crypto');
+const { config, applyCircuitBreakerState, applyRuntimeSettings, circuitBreakerEvents } = require('../api/config');
+const { RedisClient } = require('./redisClient');
+const { RATE_LIMIT_SCRIPT, evaluateLimiters } = require('./rateLimitAlgorithms');
+
+// Redis 中原子地增加计数，首次创建时设置过期时间，返回 [计数, 剩余毫秒]
+const INCR_SCRIPT = `
+local value = redis.call('INCRBY', KEYS[1], ARGV[2])
+local ttl = redis.call('PTTL', KEYS[1])
+if ttl < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+  ttl = tonumber(ARGV[1])
+end
+return {value, ttl}
+`;
+
+/**
+ * 进程内状态存储
+ * 单实例部署的默认存储，重启或冷启动后状态清空
+ */
+class MemoryStore {
+  constructor() {
+    this.shared = false;
+    this.entries = new Map(); // 键 -> { value, expiresAt }，expiresAt 为0表示不过期
+
+    // 定期清理过期条目，防止内存泄漏
+    this.sweepTimer = setInterval(() => this.sweep(), 60000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * 获取未过期的条目
+   * @param {string} key - 键
+   * @returns {Object|null} { value, expiresAt }
+   */
+  getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  async get(key) {
+    const entry = this.getEntry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, { value: JSON.stringify(value), expiresAt: ttl ? Date.now() + ttl : 0 });
+  }
+
+  async del(...keys) {
+    for (const key of keys) {
+      this.entries.delete(key);
+    }
+  }
+
+  async incr(key, ttl, amount = 1) {
+    const now = Date.now();
+    let entry = this.getEntry(key);
+    if (!entry) {
+      entry = { value: '0', expiresAt: now + ttl };
+      this.entries.set(key, entry);
+    }
+    entry.value = String(parseInt(entry.value) + Math.round(amount));
+    return { value: parseInt(entry.value), ttl: entry.expiresAt ? entry.expiresAt - now : -1 };
+  }
+
+  async ttl(key) {
+    const entry = this.getEntry(key);
+    if (!entry) return -2;
+    return entry.expiresAt ? entry.expiresAt - Date.now() : -1;
+  }
+
+  async keys(prefix) {
+    const keys = [];
+    for (const key of this.entries.keys()) {
+      if (key.startsWith(prefix) && this.getEntry(key)) keys.push(key);
+    }
+    return keys;
+  }
+
+  async rateLimit(limiters, options) {
+    // 读取和写入之间没有异步操作，多个请求不会交错执行
+    const load = key => {
+      const entry = this.getEntry(key);
+      return entry ? JSON.parse(entry.value) : null;
+    };
+    const save = (key, state, ttl) => {
+      this.entries.set(key, { value: JSON.stringify(state), expiresAt: options.now + ttl });
+    };
+    return evaluateLimiters(load, save, limiters, options);
+  }
+
+  /**
+   * 清理过期条目
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt && now >= entry.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+}
+
+/**
+ * Redis 状态存储
+ * 多个实例（包括 Vercel 的多个函数实例）通过同一个 Redis 共享状态
+ */
+class RedisStore {
+  /**
+   * @param {RedisClient} client - Redis 客户端
+   * @param {string} keyPrefix - 所有键的前缀，多个部署共用一个 Redis 时用于隔离
+   */
+  constructor(client, keyPrefix) {
+    this.shared = true;
+    this.client = client;
+    this.keyPrefix = keyPrefix;
+    this.scriptHashes = new Map(); // 脚本 -> SHA1，使用 EVALSHA 避免每次发送完整脚本
+  }
+
+  /**
+   * 执行 Lua 脚本，Redis 中没有缓存该脚本时回退到 EVAL
+   * @param {string} script - 脚本内容
+   * @param {Array<string>} keys - 键（不含前缀）
+   * @param {Array} args - 参数
+   * @returns {Promise<*>} 脚本的返回值
+   */
+  async evalScript(script, keys, args) {
+    let sha = this.scriptHashes.get(script);
+    if (!sha) {
+      sha = crypto.createHash('sha1').update(script).digest('hex');
+      this.scriptHashes.set(script, sha);
+    }
+
+    const prefixedKeys = keys.map(key => this.keyPrefix + key);
+    try {
+      return await this.client.command('EVALSHA', sha, keys.length, ...prefixedKeys, ...args);
+    } catch (error) {
+      if (!error.message.startsWith('NOSCRIPT')) throw error;
+      return this.client.command('EVAL', script, keys.length, ...prefixedKeys, ...args);
+    }
+  }
+
+  async get(key) {
+    const value = await this.client.command('GET', this.keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, ttl) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (ttl) args.push('PX', Math.max(1, Math.ceil(ttl)));
+    await this.client.command(...args);
+  }
+
+  async del(...keys) {
+    if (keys.length === 0) return;
+    await this.client.command('DEL', ...keys.map(key => this.keyPrefix + key));
+  }
+
+  async incr(key, ttl, amount = 1) {
+    const [value, remaining] = await this.evalScript(INCR_SCRIPT, [key], [Math.max(1, Math.ceil(ttl)), Math.round(amount)]);
+    return { value, ttl: remaining };
+  }
+
+  async ttl(key) {
+    return this.client.command('PTTL', this.keyPrefix + key);
+  }
+
+  async keys(prefix) {
+    // SCAN 的匹配模式中需要转义通配符
+    const pattern = (this.keyPrefix + prefix).replace(/[*?[\]\\]/g, '\\$&') + '*';
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [nextCursor, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 100);
+      cursor = nextCursor;
+      keys.push(...batch.map(key => key.substring(this.keyPrefix.length)));
+    } while (cursor !== '0');
+    return [...new Set(keys)];
+  }
+
+  async rateLimit(limiters, options) {
+    const args = [options.now, options.commit ? 1 : 0];
+    for (const limiter of limiters) {
+      // 滑动窗口日志的成员名需要唯一，同一毫秒内的多个请求才会分别记录
+      const member = `${options.now}-${crypto.randomBytes(4).toString('hex')}`;
+      args.push(limiter.algorithm, limiter.limit, limiter.windowMs, limiter.burst, member);
+    }
+
+    const [allowed, ...values] = await this.evalScript(RATE_LIMIT_SCRIPT, limiters.map(limiter => limiter.key), args);
+    const results = limiters.map((limiter, index) => {
+      const [limiterAllowed, current, remaining, resetTime, retryAfter] = values.slice(index * 5, index * 5 + 5);
+      return { allowed: limiterAllowed === 1, current, remaining, resetTime, retryAfter };
+    });
+    return { allowed: allowed === 1, results };
+  }
+}
+
+/**
+ * 根据配置创建状态存储
+ * 所有方法都是异步的：get / set(key, value, ttl毫秒) / del / incr(key, ttl毫秒, 增量) / ttl / keys(prefix) /
+ * rateLimit(limiters, { now, commit })，rateLimit 原子地检查并计入一组速率限制器，算法见 rateLimitAlgorithms
+ * ttl 的返回值与 Redis PTTL 一致：剩余毫秒数，-1 表示不过期，-2 表示不存在
+ * @param {Object} options - config.stateStore
+ * @returns {MemoryStore|RedisStore}
+ */
+function createStateStore(options) {
+  if (options.backend === 'redis') {
+    console.log(`[共享状态] 使用 Redis 存储 (${options.redisUrl.replace(/\/\/[^@]*@/, '//***@')})`);
+    return new RedisStore(new RedisClient(options.redisUrl), options.keyPrefix);
+  }
+
+  if (options.backend !== 'memory') {
+    console.warn(`[共享状态] 未知的存储类型 "${options.backend}"，使用进程内存储`);
+  }
+  return new MemoryStore();
+}
+
+/**
+ * 在实例之间同步熔断器状态
+ * 本地熔断或重置时写入共享存储，并定时拉取其他实例写入的状态；
+ * 失败计数仍由各实例独立统计，任一实例触发熔断后所有实例都会熔断
+ * @param {RedisStore} store - 共享状态存储
+ * @param {number} interval - 拉取间隔(毫秒)
+ * @returns {Function} 立即拉取一次的函数
+ */
+function syncCircuitBreakers(store, interval) {
+  const publish = state => {
+    // 熔断状态在到期后再保留一段时间，让其他实例能拉取到最后的状态
+    const ttl = Math.max(state.resetTime - Date.now(), 0) + 5 * 60000;
+    store.set(`breaker:${state.name}`, state, ttl).catch(error => {
+      console.error(`[共享状态] 同步 ${state.name} 熔断器状态失败：`, error.message);
+    });
+  };
+  circuitBreakerEvents.on('trip', publish);
+  circuitBreakerEvents.on('reset', publish);
+
+  const pull = async () => {
+    const names = ['global', ...Object.keys(config.serviceHealth).filter(name => name !== 'firstProvider')];
+    try {
+      const states = await Promise.all(names.map(name => store.get(`breaker:${name}`)));
+      names.forEach((name, index) => applyCircuitBreakerState(name, states[index]));
+    } catch (error) {
+      console.error('[共享状态] 拉取熔断器状态失败：', error.message);
+    }
+  };
+
+  pull();
+  setInterval(pull, interval).unref();
+  return pull;
+}
+
+// 运行时开关在共享存储中的键
+const RUNTIME_SETTINGS_KEY = 'settings';
+
+/**
+ * 在实例之间同步运行时开关（管理接口 PATCH /admin/settings 写入共享存储）
+ * 与熔断器状态一样定时拉取，共享存储中没有设置时使用环境变量的配置
+ * @param {RedisStore} store - 共享状态存储
+ * @param {number} interval - 拉取间隔(毫秒)
+ */
+function syncRuntimeSettings(store, interval) {
+  const pull = async () => {
+    try {
+      applyRuntimeSettings(await store.get(RUNTIME_SETTINGS_KEY));
+    } catch (error) {
+      console.error('[共享状态] 拉取运行时开关失败：', error.message);
+    }
+  };
+
+  pull();
+  setInterval(pull, interval).unref();
+}
+
+// 创建单例实例
+const stateStore = createStateStore(config.stateStore);
+
+if (stateStore.shared) {
+  syncCircuitBreakers(stateStore, config.stateStore.syncInterval);
+  syncRuntimeSettings(stateStore, config.stateStore.syncInterval);
+}
+
+module.exports = {
+  stateStore,
+  RUNTIME_SETTINGS_KEY,
+  MemoryStore,
+  RedisStore,
+  createStateStore,
+  syncCircuitBreakers
+};
@@ -0,0 +1,237 @@
+const { ErrorTypes, ErrorCodes } = require('../api/config');
+
+/**
+ * 流式输出审核器
+ * 解析上游返回的SSE数据块，累积 delta.content，在检查点审核新增的文本（带上已审核文本末尾的一小段，
+ * 避免违规内容被检查点切开），已通过审核的文本不再重复审核，审核未通过时以 content_filter 结束流
+ */
+class StreamModerator {
+  /**
+   * @param {Object} options
+   * @param {Function} options.moderate - 审核函数，接收待审核的文本片段，违规或需要复核时抛出 content_violation / content_under_review 错误
+   * @param {Function} options.write - 向客户端写入数据的函数
+   * @param {Function} options.onStop - 流被截断（违规或审核失败）后的回调，用于清理上游流和响应
+   * @param {string} options.model - 请求的模型名，用于构造 content_filter 数据块
+   * @param {number} options.checkChars - 距离上次审核新增多少字符后触发检查点
+   * @param {number} options.checkInterval - 距离上次审核多少毫秒后触发检查点
+   * @param {number} [options.overlapChars] - 每次审核带上的已审核文本末尾字符数
+   * @param {boolean} options.holdback - 是否暂存未审核的数据，审核通过后再发送给客户端
+   */
+  constructor(options) {
+    this.moderate = options.moderate;
+    this.write = options.write;
+    this.onStop = options.onStop;
+    this.model = options.model;
+    this.checkChars = options.checkChars;
+    this.checkInterval = options.checkInterval;
+    this.overlapChars = options.overlapChars || 0;
+    this.holdback = options.holdback;
+
+    this.buffer = '';            // 尚未组成完整事件的原始数据
+    this.accumulated = '';       // 累积的模型输出文本
+    this.checkedLength = 0;      // 已通过审核的文本长度
+    this.lastCheckTime = Date.now();
+    this.pending = [];           // 暂存的事件 { raw, endOffset }
+    this.doneEvent = null;       // 上游的 [DONE] 事件，等待最终审核后再发送
+    this.chunkMeta = {};         // 最近一个数据块的 id/created/model
+    this.chain = Promise.resolve();
+    this.checkScheduled = false;
+    this.stopped = false;
+  }
+
+  /**
+   * 接收上游数据块
+   * @param {Buffer|string} chunk - 上游SSE数据
+   */
+  push(chunk) {
+    if (this.stopped) return;
+
+    this.buffer += chunk.toString();
+    const events = this.buffer.split(/\r?\n\r?\n/);
+    this.buffer = events.pop();
+
+    for (const event of events) {
+      this.handleEvent(event);
+    }
+
+    if (this.shouldCheck()) {
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * 处理一个完整的SSE事件
+   * @param {string} event - 不含结尾空行的事件文本
+   */
+  handleEvent(event) {
+    if (event.trim() === '') return;
+
+    const raw = `${event}\n\n`;
+    const dataLines = event.split(/\r?\n/)
+      .filter(line => line.startsWith('data:'))
+      .map(line => line.substring(5).trim());
+    const payload = dataLines.join('\n');
+
+    // [DONE] 要等最终审核完成后再发送
+    if (payload === '[DONE]') {
+      this.doneEvent = raw;
+      return;
+    }
+
+    try {
+      const data = JSON.parse(payload);
+      this.chunkMeta = {
+        id: data.id || this.chunkMeta.id,
+        created: data.created || this.chunkMeta.created,
+        model: data.model || this.chunkMeta.model
+      };
+
+      for (const choice of data.choices || []) {
+        const delta = choice.delta || {};
+        if (typeof delta.content === 'string') {
+          this.accumulated += delta.content;
+        }
+        // 工具调用参数同样由模型生成，需要一并审核
+        for (const toolCall of delta.tool_calls || []) {
+          if (toolCall.function?.arguments) {
+            this.accumulated += toolCall.function.arguments;
+          }
+        }
+      }
+    } catch (error) {
+      // 非JSON事件（注释、心跳等）原样转发
+    }
+
+    if (this.holdback) {
+      this.pending.push({ raw, endOffset: this.accumulated.length });
+      // 没有未审核文本时无需暂存
+      if (this.accumulated.length === this.checkedLength) {
+        this.release(this.checkedLength);
+      }
+    } else {
+      this.write(raw);
+    }
+  }
+
+  /**
+   * 判断是否到达检查点
+   * @returns {boolean}
+   */
+  shouldCheck() {
+    const uncheckedLength = this.accumulated.length - this.checkedLength;
+    if (uncheckedLength <= 0) return false;
+
+    return uncheckedLength >= this.checkChars ||
+      Date.now() - this.lastCheckTime >= this.checkInterval;
+  }
+
+  /**
+   * 排队执行一次审核，保证同一时间只有一个审核请求
+   */
+  scheduleCheck() {
+    if (this.checkScheduled) return;
+    this.checkScheduled = true;
+    this.chain = this.chain.then(() => {
+      this.checkScheduled = false;
+      return this.runCheck();
+    });
+  }
+
+  /**
+   * 审核上次检查点之后新增的文本，开头带上 overlapChars 个已审核的字符
+   */
+  async runCheck() {
+    if (this.stopped) return;
+
+    const targetLength = this.accumulated.length;
+    if (targetLength <= this.checkedLength) return;
+
+    try {
+      const start = Math.max(0, this.checkedLength - this.overlapChars);
+      await this.moderate(this.accumulated.substring(start, targetLength));
+    } catch (error) {
+      this.stop(error);
+      return;
+    }
+
+    if (this.stopped) return;
+
+    this.checkedLength = targetLength;
+    this.lastCheckTime = Date.now();
+    this.release(targetLength);
+
+    // 审核期间又累积了足够多的文本，继续下一次检查
+    if (this.shouldCheck()) {
+      this.scheduleCheck();
+    }
+  }
+
+  /**
+   * 发送已通过审核的暂存事件
+   * @param {number} offset - 已审核文本的长度
+   */
+  release(offset) {
+    while (this.pending.length > 0 && this.pending[0].endOffset <= offset) {
+      this.write(this.pending.shift().raw);
+    }
+  }
+
+  /**
+   * 上游流结束，执行最终审核并发送剩余数据
+   * @returns {Promise<boolean>} 流是否正常结束（未被截断）
+   */
+  async finish() {
+    if (this.buffer.trim() !== '') {
+      this.handleEvent(this.buffer);
+      this.buffer = '';
+    }
+
+    await this.chain;
+    await this.runCheck();
+
+    if (this.stopped) return false;
+
+    this.release(Infinity);
+    this.write(this.doneEvent || 'data: [DONE]\n\n');
+    return true;
+  }
+
+  /**
+   * 截断流：丢弃暂存数据，违规时发送 content_filter 结束块
+   * @param {Object} error - 审核抛出的错误
+   */
+  stop(error) {
+    if (this.stopped) return;
+    this.stopped = true;
+    this.pending = [];
+
+    if (error.error?.code === ErrorCodes.CONTENT_VIOLATION || error.error?.code === ErrorCodes.CONTENT_UNDER_REVIEW) {
+      console.warn(`[流式输出审核] 检测到违规内容，截断流式响应 (ID: ${error.error.details?.logId})`);
+      this.write(`data: ${JSON.stringify({
+        id: this.chunkMeta.id || `chatcmpl-filtered-${Date.now()}`,
+        object: 'chat.completion.chunk',
+        created: this.chunkMeta.created || Math.floor(Date.now() / 1000),
+        model: this.chunkMeta.model || this.model,
+        choices: [{
+          index: 0,
+          delta: {},
+          finish_reason: 'content_filter'
+        }]
+      })}\n\n`);
+    } else {
+      console.error(`[流式输出审核] 审核失败，截断流式响应:`, error.message || error.error?.message);
+      this.write(`data: ${JSON.stringify(error.error ? error : {
+        error: {
+          message: "输出内容审核失败，已终止响应",
+          type: ErrorTypes.SERVICE,
+          code: ErrorCodes.INTERNAL_ERROR
+        }
+      })}\n\n`);
+    }
+
+    this.write('data: [DONE]\n\n');
+    this.onStop(error);
+  }
+}
+
+module.exports = StreamModerator;
@@ -0,0 +1,118 @@
+// 令牌数估算
+// 不依赖分词器：中日韩字符按每字一个令牌，其他字符按每4个字符一个令牌估算，
+// 用于转发前估算提示词令牌数，以及上游未返回 usage 时估算输出令牌数
+
+// 中日韩文字及全角符号
+const CJK_PATTERN = /[\u3000-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
+// 每条消息的格式开销和回复的起始开销，与 OpenAI 的计算方式一致
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+// 图片按细节等级估算的令牌数
+const IMAGE_TOKENS_LOW = 85;
+const IMAGE_TOKENS_HIGH = 765;
+
+/**
+ * 估算文本的令牌数
+ * @param {string} text - 文本
+ * @returns {number}
+ */
+function estimateTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / 4);
+}
+
+/**
+ * 估算聊天补全请求的提示词令牌数
+ * @param {Object} body - 请求体
+ * @returns {number}
+ */
+function estimatePromptTokens(body) {
+  let tokens = TOKENS_PER_REPLY;
+
+  for (const message of body?.messages || []) {
+    tokens += TOKENS_PER_MESSAGE;
+    if (typeof message.content === 'string') {
+      tokens += estimateTokens(message.content);
+    } else if (Array.isArray(message.content)) {
+      for (const part of message.content) {
+        if (part.type === 'text') {
+          tokens += estimateTokens(part.text);
+        } else if (part.type === 'image_url') {
+          tokens += part.image_url?.detail === 'low' ? IMAGE_TOKENS_LOW : IMAGE_TOKENS_HIGH;
+        }
+      }
+    }
+    if (message.tool_calls) {
+      tokens += estimateTokens(JSON.stringify(message.tool_calls));
+    }
+  }
+
+  if (body?.tools) {
+    tokens += estimateTokens(JSON.stringify(body.tools));
+  }
+
+  return tokens;
+}
+
+/**
+ * 流式响应的令牌统计
+ * 解析上游返回的SSE数据块：优先使用最后一个数据块中的 usage（stream_options.include_usage），
+ * 否则按累积的 delta 内容估算输出令牌数
+ */
+class StreamUsageTracker {
+  constructor() {
+    this.buffer = '';
+    this.outputText = '';
+    this.usage = null;
+  }
+
+  /**
+   * 接收上游数据块
+   * @param {Buffer|string} chunk - 上游SSE数据
+   */
+  push(chunk) {
+    this.buffer += chunk.toString();
+    const events = this.buffer.split(/\r?\n\r?\n/);
+    this.buffer = events.pop();
+
+    for (const event of events) {
+      const payload = event.split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.substring(5).trim())
+        .join('\n');
+      if (!payload || payload === '[DONE]') continue;
+
+      try {
+        const data = JSON.parse(payload);
+        if (data.usage) {
+          this.usage = data.usage;
+        }
+        for (const choice of data.choices || []) {
+          const delta = choice.delta || {};
+          if (typeof delta.content === 'string') this.outputText += delta.content;
+          if (delta.tool_calls) this.outputText += JSON.stringify(delta.tool_calls);
+        }
+      } catch (error) {
+        // 无法解析的事件不计入
+      }
+    }
+  }
+
+  // 上游返回的提示词令牌数，未返回时为 undefined
+  get promptTokens() {
+    return this.usage?.prompt_tokens;
+  }
+
+  get completionTokens() {
+    return this.usage?.completion_tokens ?? estimateTokens(this.outputText);
+  }
+}
+
+module.exports = {
+  estimateTokens,
+  estimatePromptTokens,
+  StreamUsageTracker
+};
@@ -0,0 +1,187 @@
+const metrics = require('./metrics');
+const { config, matchesModelPattern } = require('../api/config');
+const { stateStore } = require('./stateStore');
+
+/**
+ * 每分钟令牌数(TPM)限制
+ * 按密钥和模型分别统计最近一分钟消耗的令牌数，使用滑动窗口计数：
+ * 上一分钟的用量按仍处于窗口内的比例计入。转发前先预占估算的提示词令牌数，
+ * 请求结束后按上游返回的 usage（或估算的输出令牌数）修正
+ */
+class TokenLimiter {
+    constructor() {
+        this.store = stateStore;
+        this.windowMs = 60000;
+        this.modelLimits = config.tokenLimits.models;
+    }
+
+    /**
+     * 获取请求适用的令牌额度
+     * @param {Object} tenant - 租户对象
+     * @param {string} model - 请求的模型名
+     * @returns {Array<Object>} [{ scope, id, limit }]，scope 为 key 或 model
+     */
+    getBudgets(tenant, model) {
+        const budgets = [];
+        if (tenant?.tpm > 0) {
+            budgets.push({ scope: 'key', id: tenant.id, limit: tenant.tpm });
+        }
+
+        const pattern = Object.keys(this.modelLimits).find(item => matchesModelPattern(model, [item]));
+        if (pattern && this.modelLimits[pattern] > 0) {
+            budgets.push({ scope: 'model', id: pattern, limit: this.modelLimits[pattern] });
+        }
+        return budgets;
+    }
+
+    /**
+     * 计数器在状态存储中的键，每分钟一个
+     * @param {Object} budget - 令牌额度
+     * @param {number} window - 窗口序号
+     * @returns {string}
+     */
+    getKey(budget, window) {
+        return `tpm:${budget.scope}:${budget.id}:${window}`;
+    }
+
+    /**
+     * 按当前和上一分钟的计数计算额度最近一分钟的用量
+     * @param {Object} budget - 令牌额度
+     * @param {number} now - 当前时间戳(毫秒)
+     * @param {number} current - 当前窗口的计数
+     * @param {number} previous - 上一个窗口的计数
+     * @returns {Object} { used, remaining, resetTime }
+     */
+    computeUsage(budget, now, current, previous) {
+        const windowStart = Math.floor(now / this.windowMs) * this.windowMs;
+        const used = Math.max(0, (previous || 0) * (1 - (now - windowStart) / this.windowMs) + (current || 0));
+        let resetTime = now;
+        if (current > 0) {
+            resetTime = windowStart + this.windowMs * 2;
+        } else if (previous > 0) {
+            resetTime = windowStart + this.windowMs;
+        }
+
+        return {
+            used: Math.ceil(used),
+            remaining: Math.max(0, Math.floor(budget.limit - used)),
+            resetTime
+        };
+    }
+
+    /**
+     * 计入令牌数，tokens 为负数时退还预占的额度
+     * @param {Array<Object>} budgets - 令牌额度
+     * @param {number} tokens - 令牌数
+     * @param {number} window - 计入的窗口序号，修正和退还要计入预占时的窗口
+     * @returns {Promise<void>}
+     */
+    async record(budgets, tokens, window) {
+        if (budgets.length === 0 || !tokens) return;
+        await Promise.all(budgets.map(budget => this.store.incr(this.getKey(budget, window), this.windowMs * 2, tokens)));
+    }
+
+    /**
+     * 预占估算的提示词令牌数，超过额度时退还并返回 limited
+     * @param {Object} tenant - 租户对象
+     * @param {string} model - 请求的模型名
+     * @param {number} promptTokens - 估算的提示词令牌数
+     * @returns {Promise<Object|null>} 没有适用的额度时返回null；提示词令牌数超过额度上限时返回 { tooLarge, limit, budgets }；
+     *   否则返回 { limited, limit, remaining, reset, budgets, reservation }，取剩余额度最少的额度，reset 为秒数
+     */
+    async reserve(tenant, model, promptTokens) {
+        const budgets = this.getBudgets(tenant, model);
+        if (budgets.length === 0) return null;
+
+        // 提示词超过每分钟额度的请求等多久都无法通过，不能按速率限制让客户端重试
+        const oversized = budgets.filter(budget => promptTokens > budget.limit);
+        if (oversized.length > 0) {
+            console.warn(`[令牌限制] 模型 ${model} 的请求估算提示词令牌数 ${promptTokens} 超过额度上限，${oversized.map(budget => `${budget.scope}:${budget.id} ${budget.limit}`).join('，')}`);
+            return {
+                tooLarge: true,
+                limit: Math.min(...oversized.map(budget => budget.limit)),
+                budgets: oversized
+            };
+        }
+
+        // 先在当前窗口预占再检查，并发请求看到的用量都包含彼此的预占，不会同时通过；超过限制时退还
+        const now = Date.now();
+        const window = Math.floor(now / this.windowMs);
+        let counts;
+        try {
+            counts = await Promise.all(budgets.map(async budget => {
+                const [current, previous] = await Promise.all([
+                    this.store.incr(this.getKey(budget, window), this.windowMs * 2, promptTokens),
+                    this.store.get(this.getKey(budget, window - 1))
+                ]);
+                return { current: current.value, previous: previous || 0 };
+            }));
+        } catch (error) {
+            // 与请求数限制一致，共享存储不可用时放行请求
+            console.error(`[令牌限制] 预占令牌失败，本次请求不做限制：`, error.message);
+            return null;
+        }
+
+        // reserved 包含本次预占，available 为预占前的用量，用于响应头和错误详情
+        const reserved = budgets.map((budget, index) => this.computeUsage(budget, now, counts[index].current, counts[index].previous));
+        const available = budgets.map((budget, index) => this.computeUsage(budget, now, counts[index].current - promptTokens, counts[index].previous));
+
+        let tightest = 0;
+        available.forEach((usage, index) => {
+            if (usage.remaining < available[tightest].remaining) tightest = index;
+        });
+
+        const exceeded = budgets.filter((budget, index) => reserved[index].used > budget.limit);
+        const info = {
+            limited: exceeded.length > 0,
+            limit: budgets[tightest].limit,
+            remaining: available[tightest].remaining,
+            reset: Math.max(0, Math.ceil((available[tightest].resetTime - now) / 1000)),
+            budgets: budgets.map((budget, index) => ({ ...budget, ...available[index] })),
+            reservation: null
+        };
+
+        if (info.limited) {
+            try {
+                await this.record(budgets, -promptTokens, window);
+            } catch (error) {
+                console.error(`[令牌限制] 退还预占的令牌失败：`, error.message);
+            }
+            for (const budget of exceeded) {
+                metrics.rateLimitRejections.inc({ limiter: `${budget.scope}_tpm`, route: '/v1/chat/completions' });
+            }
+            console.warn(`[令牌限制] 模型 ${model} 的请求超过令牌限制，估算提示词令牌数 ${promptTokens}，${exceeded.map(budget => `${budget.scope}:${budget.id} 剩余 ${available[budgets.indexOf(budget)].remaining}/${budget.limit}`).join('，')}`);
+            return info;
+        }
+
+        // 预占后当前窗口有用量，要到下一个窗口结束才完全恢复
+        info.remaining = reserved[tightest].remaining;
+        info.reset = Math.ceil((window * this.windowMs + this.windowMs * 2 - now) / 1000);
+        info.reservation = { budgets, promptTokens, window };
+        return info;
+    }
+
+    /**
+     * 请求结束后按实际用量修正预占的令牌数
+     * 修正计入预占时的窗口，跨越分钟边界的请求不会在下一个窗口留下负数
+     * @param {Object} reservation - reserve 返回的 reservation
+     * @param {Object} [usage] - { promptTokens, completionTokens }，未调用上游时为空，退还预占的令牌
+     * @returns {Promise<void>}
+     */
+    async settle(reservation, usage) {
+        if (!reservation) return;
+        const promptTokens = usage ? (usage.promptTokens ?? reservation.promptTokens) : 0;
+        const completionTokens = usage?.completionTokens || 0;
+
+        try {
+            await this.record(reservation.budgets, promptTokens - reservation.promptTokens + completionTokens, reservation.window);
+        } catch (error) {
+            console.error(`[令牌限制] 记录令牌用量失败：`, error.message);
+        }
+    }
+}
+
+// 创建单例实例
+const tokenLimiter = new TokenLimiter();
+
+module.exports = tokenLimiter;
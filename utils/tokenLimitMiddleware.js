@@ -0,0 +1,71 @@
+const tokenLimiter = require('./tokenLimit');
+const { estimatePromptTokens } = require('./tokenCounter');
+const { ErrorTypes, ErrorCodes } = require('../api/config');
+
+/**
+ * 每分钟令牌数限制中间件，需要在认证中间件之后调用
+ * 通过检查后在响应结束时按 req.tokenUsage（{ promptTokens, completionTokens }）修正令牌用量，
+ * 处理函数调用上游成功后需要设置 req.tokenUsage，未设置时退还预占的令牌
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @returns {boolean} 如果请求被限制返回true，否则返回false
+ */
+async function tokenLimitMiddleware(req, res) {
+    const promptTokens = estimatePromptTokens(req.body);
+    const info = await tokenLimiter.reserve(req.tenant, req.body?.model, promptTokens);
+    if (!info) return false;
+
+    if (info.tooLarge) {
+        res.statusCode = 400;
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            error: {
+                message: `估算本次请求的提示词令牌数为${promptTokens}，超过每分钟${info.limit}个令牌的限制，请缩短请求内容。`,
+                type: ErrorTypes.INVALID_REQUEST,
+                code: ErrorCodes.REQUEST_TOO_LARGE,
+                details: {
+                    limit: info.limit,
+                    requested: promptTokens,
+                    budgets: info.budgets.map(budget => ({ scope: budget.scope, limit: budget.limit }))
+                }
+            }
+        }));
+        return true;
+    }
+
+    // 与 OpenAI 相同的令牌限制响应头
+    res.setHeader('x-ratelimit-limit-tokens', info.limit);
+    res.setHeader('x-ratelimit-remaining-tokens', info.remaining);
+    res.setHeader('x-ratelimit-reset-tokens', `${info.reset}s`);
+
+    if (info.limited) {
+        res.statusCode = 429;
+        res.setHeader('Retry-After', info.reset);
+        res.setHeader('Content-Type', 'application/json');
+        res.end(JSON.stringify({
+            error: {
+                message: `请求的令牌数超过每分钟${info.limit}个令牌的限制，估算本次请求的提示词令牌数为${promptTokens}，请稍后再试。`,
+                type: ErrorTypes.RATE_LIMIT,
+                code: ErrorCodes.TOKEN_LIMIT_EXCEEDED,
+                details: {
+                    limit: info.limit,
+                    remaining: info.remaining,
+                    reset: info.reset,
+                    requested: promptTokens,
+                    budgets: info.budgets.map(budget => ({
+                        scope: budget.scope,
+                        limit: budget.limit,
+                        used: budget.used,
+                        remaining: budget.remaining
+                    }))
+                }
+            }
+        }));
+        return true;
+    }
+
+    res.once('close', () => tokenLimiter.settle(info.reservation, req.tokenUsage));
+    return false;
+}
+
+module.exports = tokenLimitMiddleware;
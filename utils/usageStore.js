@@ -0,0 +1,303 @@
+const fs = require('fs');
+const path = require('path');
+const { config } = require('../api/config');
+const { estimatePromptTokens } = require('./tokenCounter');
+
+// 统计粒度
+const Granularity = {
+  HOUR: 'hour',
+  DAY: 'day'
+};
+
+const HOUR_MS = 3600000;
+const DAY_MS = 86400000;
+
+// CSV 导出的列
+const CSV_COLUMNS = [
+  'granularity', 'start', 'tenantId', 'tenantName', 'endpoint', 'model', 'provider',
+  'requests', 'errors', 'promptTokens', 'completionTokens', 'totalTokens', 'moderationCalls', 'moderationTokens'
+];
+
+/**
+ * 用量统计
+ * 每个聊天补全、图像生成和音频转录请求结束时按租户、接口、模型和服务商累加到
+ * 每小时和每天的统计桶中，统计桶定期写入本地的 JSON 文件，进程重启后继续累加
+ */
+class UsageStore {
+  /**
+   * @param {Object} options
+   * @param {boolean} options.enabled - 是否启用
+   * @param {string} options.dir - 数据目录
+   * @param {number} options.hourlyRetentionDays - 每小时统计保留的天数
+   * @param {number} options.dailyRetentionDays - 每天统计保留的天数
+   * @param {number} options.flushInterval - 写入文件的间隔(毫秒)
+   */
+  constructor(options) {
+    this.enabled = options.enabled;
+    this.filePath = path.join(options.dir, 'usage.json');
+    this.hourlyRetentionMs = options.hourlyRetentionDays * DAY_MS;
+    this.dailyRetentionMs = options.dailyRetentionDays * DAY_MS;
+    this.flushInterval = options.flushInterval;
+
+    this.buckets = new Map(); // 统计桶的键 -> 统计桶
+    this.loaded = false;
+    this.dirty = false;
+    this.flushTimer = null;
+    // 串行化文件读写
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * 首次使用时从文件加载统计桶
+   * @returns {Promise<void>}
+   */
+  ensureLoaded() {
+    if (this.loaded) return this.queue;
+    this.loaded = true;
+
+    this.queue = this.queue.then(async () => {
+      try {
+        const data = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        for (const bucket of data.buckets || []) {
+          const key = this.getBucketKey(bucket);
+          const existing = this.buckets.get(key);
+          // 加载完成前已经累加的用量与文件中的用量合并
+          this.buckets.set(key, existing ? this.mergeBucket(bucket, existing) : bucket);
+        }
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          console.error(`[用量统计] 加载用量文件失败 (${this.filePath})：`, error.message);
+        }
+      }
+    });
+    return this.queue;
+  }
+
+  /**
+   * 统计桶的键
+   * @param {Object} bucket - 统计桶
+   * @returns {string}
+   */
+  getBucketKey(bucket) {
+    return [bucket.granularity, bucket.start, bucket.tenantId, bucket.endpoint, bucket.model, bucket.provider].join('|');
+  }
+
+  /**
+   * 将 source 的用量累加到 target
+   * @param {Object} target - 统计桶
+   * @param {Object} source - 统计桶或单次请求的用量
+   * @returns {Object} target
+   */
+  mergeBucket(target, source) {
+    target.requests += source.requests;
+    target.errors += source.errors;
+    target.promptTokens += source.promptTokens;
+    target.completionTokens += source.completionTokens;
+    target.totalTokens += source.totalTokens;
+    target.moderationCalls += source.moderationCalls;
+    target.moderationTokens += source.moderationTokens;
+    for (const [status, count] of Object.entries(source.statuses || {})) {
+      target.statuses[status] = (target.statuses[status] || 0) + count;
+    }
+    return target;
+  }
+
+  /**
+   * 开始统计请求的用量，需要在认证中间件之后调用
+   * 处理函数可以在 req.usageRecord 上设置服务商，审核调用通过 req.usageRecord.moderation 累加，
+   * 令牌数取自令牌限制使用的 req.tokenUsage；响应结束时记录
+   * @param {Object} req - 请求对象
+   * @param {Object} res - 响应对象
+   * @param {string} endpoint - API路径
+   */
+  track(req, res, endpoint) {
+    if (!this.enabled || !req.tenant) return;
+
+    req.usageRecord = {
+      provider: null,
+      moderation: { calls: 0, tokens: 0 }
+    };
+
+    res.once('close', () => {
+      const tokenUsage = req.tokenUsage;
+      // 流式响应中上游未返回 usage 时，提示词令牌数按请求估算
+      const promptTokens = tokenUsage ? (tokenUsage.promptTokens ?? estimatePromptTokens(req.body)) : 0;
+      const completionTokens = tokenUsage?.completionTokens || 0;
+
+      this.record({
+        timestamp: Date.now(),
+        tenant: req.tenant,
+        endpoint,
+        model: req.body?.model || null,
+        provider: req.usageRecord.provider || res.getHeader('X-Served-By') || null,
+        status: res.statusCode,
+        promptTokens,
+        completionTokens,
+        moderationCalls: req.usageRecord.moderation.calls,
+        moderationTokens: req.usageRecord.moderation.tokens
+      });
+    });
+  }
+
+  /**
+   * 记录一次请求的用量
+   * @param {Object} entry - { timestamp, tenant, endpoint, model, provider, status, promptTokens, completionTokens, moderationCalls, moderationTokens }
+   */
+  record(entry) {
+    if (!this.enabled) return;
+    this.ensureLoaded();
+
+    const usage = {
+      requests: 1,
+      errors: entry.status >= 400 ? 1 : 0,
+      statuses: { [entry.status]: 1 },
+      promptTokens: entry.promptTokens,
+      completionTokens: entry.completionTokens,
+      totalTokens: entry.promptTokens + entry.completionTokens,
+      moderationCalls: entry.moderationCalls,
+      moderationTokens: entry.moderationTokens
+    };
+
+    for (const [granularity, size] of [[Granularity.HOUR, HOUR_MS], [Granularity.DAY, DAY_MS]]) {
+      const bucket = {
+        granularity,
+        // 按UTC时间划分统计桶
+        start: new Date(Math.floor(entry.timestamp / size) * size).toISOString(),
+        tenantId: entry.tenant.id,
+        tenantName: entry.tenant.name,
+        endpoint: entry.endpoint,
+        model: entry.model,
+        provider: entry.provider
+      };
+      const key = this.getBucketKey(bucket);
+      if (!this.buckets.has(key)) {
+        this.buckets.set(key, {
+          ...bucket,
+          requests: 0, errors: 0, statuses: {},
+          promptTokens: 0, completionTokens: 0, totalTokens: 0,
+          moderationCalls: 0, moderationTokens: 0
+        });
+      }
+      this.mergeBucket(this.buckets.get(key), usage);
+    }
+
+    this.dirty = true;
+    this.scheduleFlush();
+  }
+
+  /**
+   * 延迟写入文件，合并短时间内的多次更新
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushInterval);
+    this.flushTimer.unref();
+  }
+
+  /**
+   * 清理过期的统计桶并写入文件，先写临时文件再重命名，避免进程退出时文件损坏
+   * @returns {Promise<void>}
+   */
+  flush() {
+    if (!this.dirty) return this.queue;
+    this.dirty = false;
+
+    this.queue = this.queue
+      .then(async () => {
+        this.prune();
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, JSON.stringify({ buckets: [...this.buckets.values()] }));
+        await fs.promises.rename(tempPath, this.filePath);
+      })
+      .catch(error => {
+        console.error(`[用量统计] 写入用量文件失败 (${this.filePath})：`, error.message);
+      });
+    return this.queue;
+  }
+
+  /**
+   * 删除超过保留时间的统计桶
+   */
+  prune() {
+    const now = Date.now();
+    for (const [key, bucket] of this.buckets) {
+      const retention = bucket.granularity === Granularity.HOUR ? this.hourlyRetentionMs : this.dailyRetentionMs;
+      if (now - Date.parse(bucket.start) > retention) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 查询用量统计，结果按时间和租户排序
+   * @param {Object} [filters]
+   * @param {string} [filters.granularity] - hour 或 day，默认 day
+   * @param {number} [filters.from] - 开始时间戳(毫秒)
+   * @param {number} [filters.to] - 结束时间戳(毫秒)
+   * @param {string} [filters.tenant] - 租户ID或名称
+   * @param {string} [filters.tenantId] - 租户ID，精确匹配
+   * @param {string} [filters.model] - 模型名
+   * @param {string} [filters.endpoint] - API路径
+   * @returns {Promise<Object>} { data, totals }
+   */
+  async query(filters = {}) {
+    await this.ensureLoaded();
+
+    const granularity = filters.granularity || Granularity.DAY;
+    const data = [...this.buckets.values()]
+      .filter(bucket => {
+        if (bucket.granularity !== granularity) return false;
+        const start = Date.parse(bucket.start);
+        if (filters.from && start + (granularity === Granularity.HOUR ? HOUR_MS : DAY_MS) <= filters.from) return false;
+        if (filters.to && start > filters.to) return false;
+        if (filters.tenant && bucket.tenantId !== filters.tenant && bucket.tenantName !== filters.tenant) return false;
+        if (filters.tenantId && bucket.tenantId !== filters.tenantId) return false;
+        if (filters.model && bucket.model !== filters.model) return false;
+        if (filters.endpoint && bucket.endpoint !== filters.endpoint) return false;
+        return true;
+      })
+      .map(bucket => ({ ...bucket, statuses: { ...bucket.statuses } }))
+      .sort((a, b) => a.start.localeCompare(b.start) || a.tenantName.localeCompare(b.tenantName));
+
+    const totals = data.reduce((sum, bucket) => this.mergeBucket(sum, bucket), {
+      requests: 0, errors: 0, statuses: {},
+      promptTokens: 0, completionTokens: 0, totalTokens: 0,
+      moderationCalls: 0, moderationTokens: 0
+    });
+
+    return { data, totals };
+  }
+
+  /**
+   * 将查询结果转换为CSV
+   * @param {Array<Object>} data - query 返回的统计桶
+   * @returns {string}
+   */
+  toCsv(data) {
+    const escape = value => {
+      let text = value === null || value === undefined ? '' : String(value);
+      // 模型名等字段来自客户端请求，以公式字符开头时加上单引号，避免在电子表格中作为公式执行
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const lines = [CSV_COLUMNS.join(',')];
+    for (const bucket of data) {
+      lines.push(CSV_COLUMNS.map(column => escape(bucket[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+  }
+}
+
+// 创建单例实例
+const usageStore = new UsageStore(config.usage);
+
+module.exports = {
+  usageStore,
+  Granularity
+};